@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+// plan.mjs
+// Batch planning without the UI: fetch /schedule (or read saved responses) for a date range, run the
+// same planner and roster as the app and write the hourly, shift-plan and roster files for every day.
+// Exit codes: 0 done, 1 bad arguments or no data, 2 a day's shortage went over --max-short.
+//
+//   npm run plan -- --from 2025-11-01 --to 2025-11-30 --threshold 3 --cap-ft 18 --cap-pt 6 --out plans
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import axios from 'axios';
+import { MAX_RANGE_DAYS, listDates, planDays, assignWeek, checkWeek, PlanInputError } from '../src/engine.js';
+import { hourlyCSV, shiftPlanCSV, rosterCSV, weekPlanCSV, weekRosterCSV, weekRulesCSV } from '../src/reports.js';
+import { mockAdapter } from '../src/mockApi.js';
+import { USAGE, OPTIONS, UsageError, buildSettings, readSaved } from './planArgs.mjs';
+
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+
+async function fetchDays(dates, threshold, v) {
+  const base = v.api || process.env.REACT_APP_API_BASE;
+  if (!v.mock && !base) throw new UsageError('Give --api, --mock or --input (or set REACT_APP_API_BASE)');
+  const days = [];
+  for (const d of dates) {
+    try {
+      const res = await axios.post(`${base}/schedule`, { Date: d, Threshold: threshold }, v.mock ? { adapter: mockAdapter } : undefined);
+      days.push(res.data);
+    } catch (err) {
+      throw new Error(`${d}: ${err.response?.data?.error || err.message || 'Failed to fetch schedule'}`);
+    }
+  }
+  return days;
+}
+
+function write(dir, name, text) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+async function main(argv) {
+  const { values: v } = parseArgs({ args: argv, options: OPTIONS, strict: true });
+  if (v.help) { console.log(USAGE); return 0; }
+
+  if (v.from && !ISO.test(v.from)) throw new UsageError('--from must be YYYY-MM-DD');
+  if (v.to && !ISO.test(v.to)) throw new UsageError('--to must be YYYY-MM-DD');
+  if (!v.from && !v.input) throw new UsageError('--from is required');
+  const from = v.from;
+  const to = v.to || v.from;
+  if (from && to < from) throw new UsageError('--to must be on or after --from');
+  const dates = from ? listDates(from, to) : null;
+  if (dates && dates[dates.length - 1] !== to) throw new UsageError(`Date range is longer than ${MAX_RANGE_DAYS} days`);
+  if (!['csv', 'json'].includes(v.format)) throw new UsageError('--format must be csv or json');
+  const maxShort = v['max-short'] === undefined ? null : parseFloat(v['max-short']);
+  if (maxShort !== null && !(maxShort >= 0)) throw new UsageError('--max-short must be a number >= 0');
+  const settings = buildSettings(v);
+
+  let days;
+  if (v.input) days = readSaved(v.input, dates);
+  else {
+    const threshold = parseFloat(v.threshold);
+    if (!(threshold > 0)) throw new UsageError('--threshold must be more than 0');
+    days = await fetchDays(dates, threshold, v);
+  }
+
+  const plans = assignWeek(planDays(days, settings), settings);
+  fs.mkdirSync(v.out, { recursive: true });
+  let over = 0;
+  plans.forEach((d, i) => {
+    if (!d) { console.log(`${days[i].inputs?.Date}: no model rows, skipped`); return; }
+    const files = v.format === 'json'
+      ? [write(v.out, `plan_${d.date}.json`, JSON.stringify(d, null, 2))]
+      : [
+        write(v.out, `hourly_${d.date}.csv`, hourlyCSV(days[i], d).join('\n')),
+        write(v.out, `shift_plan_${d.date}.csv`, shiftPlanCSV(d).join('\n')),
+        write(v.out, `roster_${d.date}.csv`, rosterCSV(d).join('\n')),
+      ];
+    const ft = d.roster.filter((r) => r.type === 'FT').length;
+    const short = d.plan.totalShortUnits;
+    const flag = maxShort !== null && short > maxShort ? ` over the ${maxShort} limit` : '';
+    if (flag) over += 1;
+    console.log(`${d.date} ${d.weekday.padEnd(9)} FT ${ft} PT ${d.roster.length - ft} short ${short} agent-hours${flag} -> ${files.join(', ')}`);
+  });
+
+  const planned = plans.filter(Boolean);
+  if (!planned.length) throw new UsageError('No day had model rows to plan');
+  if (v.format === 'csv' && planned.length > 1) {
+    const span = `${planned[0].date}_${planned[planned.length - 1].date}`;
+    write(v.out, `week_plan_${span}.csv`, weekPlanCSV(planned).join('\n'));
+    write(v.out, `week_roster_${span}.csv`, weekRosterCSV(planned).join('\n'));
+  }
+  const check = checkWeek(plans, settings);
+  if (check) {
+    const span = `${planned[0].date}_${planned[planned.length - 1].date}`;
+    const file = v.format === 'csv' ? write(v.out, `week_rules_${span}.csv`, weekRulesCSV(check).join('\n')) : null;
+    const who = new Set(check.violations.map((x) => x.agent)).size;
+    console.log(`Week rules: ${check.violations.length} violations for ${who} of ${check.people.length} people${file ? ` -> ${file}` : ''}`);
+  }
+  if (over) {
+    console.error(`${over} of ${planned.length} days are short more than ${maxShort} agent-hours`);
+    return 2;
+  }
+  return 0;
+}
+
+main(process.argv.slice(2)).then((code) => { process.exitCode = code; }, (err) => {
+  console.error(err instanceof PlanInputError ? err.message : `Error: ${err.message}`);
+  if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') console.error('Run with --help for options.');
+  process.exitCode = 1;
+});
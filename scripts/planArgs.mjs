@@ -0,0 +1,92 @@
+// planArgs.mjs
+// Command-line handling for plan.mjs, apart from the run itself so Jest can load it: the usage text,
+// the options for node:util parseArgs, flags -> settings and saved /schedule responses.
+
+import fs from 'node:fs';
+import { DEFAULT_SETTINGS, settingError } from '../src/engine.js';
+
+export const USAGE = `Usage: npm run plan -- --from YYYY-MM-DD [--to YYYY-MM-DD] [options]
+
+Data (one of):
+  --api URL              /schedule base URL (default REACT_APP_API_BASE)
+  --mock                 use the bundled synthetic backend
+  --input FILE           saved /schedule response JSON (one response or an array)
+
+Plan inputs (same as the form; blank means the form default):
+  --threshold MIN        ASA threshold in minutes (required with --api / --mock)
+  --cap-ft N, --cap-pt N           concurrent caps
+  --total-ft N, --total-pt N       total headcount per day
+  --strategy NAME        auto | ft_first | pt_first | mixed | optimal
+  --mixed-ratio PCT      FT percent for mixed
+  --pt-len H             part-time length in whole hours, 1 to 16 (the form offers 4 or 6)
+  --pt-len-weekend H     part-time length on Saturday and Sunday, same range
+  --lunch-minutes N      lunch length
+  --set KEY=VALUE        any other setting by its name, e.g. --set ahtSeconds=240 (repeatable);
+                         --set weekRules=true turns on the week rules (ftWeekHours, minRestHours, ...);
+                         --set shrinkagePct=30 grosses every interval's requirement up for 30% shrinkage
+
+Output:
+  --out DIR              where files go (default ./plans)
+  --format csv|json      csv: hourly, shift plan and roster per day plus week files; json: one file per day
+  --max-short UNITS      exit 2 when any day is short more than this many agent-hours
+  --help`;
+
+export const OPTIONS = {
+  from: { type: 'string' }, to: { type: 'string' },
+  api: { type: 'string' }, mock: { type: 'boolean' }, input: { type: 'string' },
+  threshold: { type: 'string' },
+  'cap-ft': { type: 'string' }, 'cap-pt': { type: 'string' }, 'total-ft': { type: 'string' }, 'total-pt': { type: 'string' },
+  strategy: { type: 'string' }, 'mixed-ratio': { type: 'string' },
+  'pt-len': { type: 'string' }, 'pt-len-weekend': { type: 'string' }, 'lunch-minutes': { type: 'string' },
+  set: { type: 'string', multiple: true },
+  out: { type: 'string', default: 'plans' }, format: { type: 'string', default: 'csv' },
+  'max-short': { type: 'string' },
+  help: { type: 'boolean' },
+};
+
+// flag -> settings key, values stay strings the way the form holds them
+const FLAG_SETTINGS = {
+  'cap-ft': 'capFT', 'cap-pt': 'capPT', 'total-ft': 'totalFT', 'total-pt': 'totalPT',
+  strategy: 'strategy', 'mixed-ratio': 'mixedRatio', 'pt-len': 'ptLen', 'lunch-minutes': 'lunchMinutes',
+};
+
+// bad arguments: printed with a pointer to --help, exit code 1
+export class UsageError extends Error {}
+
+// parsed flags -> planDay settings, refused with a UsageError when a value is unknown or out of range
+export function buildSettings(v) {
+  const s = { ...DEFAULT_SETTINGS };
+  for (const [flag, key] of Object.entries(FLAG_SETTINGS)) if (v[flag] !== undefined) s[key] = v[flag];
+  if (v['pt-len-weekend'] !== undefined) { s.ptLenWeekendOverride = true; s.ptLenWeekend = v['pt-len-weekend']; }
+  for (const kv of v.set || []) {
+    const i = kv.indexOf('=');
+    const key = kv.slice(0, i);
+    if (i < 1 || !(key in DEFAULT_SETTINGS) || key === 'templates' || key === 'employees' || key === 'queues' || key === 'shrinkage') throw new UsageError(`--set ${kv}: unknown setting`);
+    const value = kv.slice(i + 1);
+    s[key] = typeof DEFAULT_SETTINGS[key] === 'boolean' ? value === 'true' : value;
+  }
+  // the same checks a restored form goes through in the app
+  for (const key of Object.keys(s)) {
+    const err = settingError(key, s[key]);
+    if (err) throw new UsageError(err);
+  }
+  return s;
+}
+
+// saved responses in the requested range (every one in the file when no --from)
+export function readSaved(file, dates) {
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new UsageError(`Cannot read ${file}: ${err.message}`);
+  }
+  const all = (Array.isArray(json) ? json : [json]).filter((d) => d?.data?.length && d.inputs?.Date);
+  if (!all.length) throw new UsageError(`${file} holds no /schedule responses`);
+  if (!dates) return all.sort((a, b) => a.inputs.Date.localeCompare(b.inputs.Date));
+  return dates.map((d) => {
+    const found = all.find((x) => x.inputs.Date === d);
+    if (!found) throw new UsageError(`${file} has no response for ${d}`);
+    return found;
+  });
+}
@@ -2,371 +2,443 @@
 // Bootstrap 5 UI. No hardcoded samples. Consumes your /schedule output.
 // Enforces headcount <= Total FT/PT (or caps if totals omitted).
 // Builds a per-employee roster with lunch windows.
+// The planning itself lives in engine.js; this file is state, forms, tables and CSV exports.
 
 import axios from 'axios';
-import { useMemo, useRef, useState } from 'react';
+import { MOCK_API, mockAdapter } from './mockApi';
+import {
+  MAX_RANGE_DAYS, listDates, parseEmployees, parseQueues, parseShrinkage, shrinkageOverCap, MAX_SHRINKAGE_PCT, DEFAULT_TEMPLATES, MAX_SHIFT_HOURS, checkTemplate,
+  ERLANG_GAP_SHARE, planDays, SOLVER_RANGE_SECONDS, summarizeDays, parseActuals, compareActuals, adjustRosterRow, applyRosterEdits,
+  simulateHires, MAX_SIMULATED_HIRES, assignWeek, checkWeek, swapShifts,
+  replanIntraday, INTRADAY_EXTEND_HOURS, INTRADAY_MAX_CALL_INS, PlanInputError,
+} from './engine';
+import {
+  hhmm, fmtBreaks, hourlyCSV, shiftPlanCSV, rosterCSV, weekPlanCSV, weekRosterCSV, weekRulesCSV, planWorkbook, rosterCalendars,
+} from './reports';
+import { buildXlsx, zipFiles } from './xlsx';
+import {
+  FORM_DEFAULTS, restoreForm, saveForm, replaceUrlQuery, scheduleCacheKey, readCachedSchedule, writeCachedSchedule,
+  scheduleCacheSize, clearScheduleCache,
+} from './storage';
+import { Fragment, useCallback, useEffect, useMemo, useRef, useState } from 'react';
 
 const fmtInt = new Intl.NumberFormat('en-US', { maximumFractionDigits: 0 });
 const fmtFloat1 = new Intl.NumberFormat('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+const fmtNum = new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 }); // agent-hours at sub-hour intervals
+const fmtPct = new Intl.NumberFormat('en-US', { style: 'percent', maximumFractionDigits: 0 });
+const fmtMoney = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+// projected ASA in seconds -> minutes as shown next to the ASA threshold
+const fmtAsa = (sec) => (sec === Infinity ? 'overloaded' : fmtFloat1.format(sec / 60));
 
-const snap30 = (minutes) => Math.round(minutes / 30) * 30;
-const isWeekendName = (weekday) => weekday === 'Saturday' || weekday === 'Sunday';
-const ceilDiv = (a, b) => Math.ceil(a / b);
-
-// ---------- hire recommendations from shortages ----------
-function computeHireRecommendations(plan, ptLenHours = 4) {
-  if (!plan?.shortage?.length) return null;
-  const totalShort = plan.totalShortUnits ?? plan.shortage.reduce((s, v) => s + v, 0);
-  const peakShort = Math.max(...plan.shortage, 0);
-  const minFT8 = Math.max(ceilDiv(totalShort, 8), peakShort);
-  const minPTcur = ceilDiv(totalShort, ptLenHours);
-  const minPT4 = ceilDiv(totalShort, 4);
-  const minPT6 = ceilDiv(totalShort, 6);
-  const mixFT = Math.max(peakShort, Math.floor(totalShort / 8));
-  const mixResidual = Math.max(0, totalShort - mixFT * 8);
-  const mixPT = ceilDiv(mixResidual, ptLenHours);
-  return { totalShort, peakShort, minFT8, minPTcur, minPT4, minPT6, mixed: { ft: mixFT, pt: mixPT, ptLenHours } };
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url;
+  a.download = filename; a.click(); URL.revokeObjectURL(url);
 }
 
-// ---------- roster builder with lunches ----------
-function buildRoster(shiftsFT, shiftsPT, lunchMin) {
-  const roster = [];
-  let idFT = 1;
-  let idPT = 1;
-
-  const add = (type, start, end, L) => {
-    const lenH = end - start;
-    const durMin = lenH * 60;
-    const lunchDur = Math.max(0, parseInt(L || '30', 10));
-    const mid = start * 60 + durMin / 2;
-    const ls = snap30(mid - lunchDur / 2);
-    const le = ls + lunchDur;
-    roster.push({
-      agent: `${type}-${type === 'FT' ? idFT++ : idPT++}`,
-      type,
-      start,
-      end,
-      hours: lenH,
-      lunchStart: Math.max(start * 60, ls),
-      lunchEnd: Math.min(end * 60, le),
-    });
-  };
-
-  for (const s of shiftsFT) for (let k = 0; k < s.count; k++) add('FT', s.start, s.end, lunchMin);
-  for (const s of shiftsPT) for (let k = 0; k < s.count; k++) add('PT', s.start, s.end, lunchMin);
-  return roster;
+function downloadCSV(lines, filename) {
+  downloadBlob(new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' }), filename);
 }
 
-// ---------- planner (concurrent caps + total headcount) ----------
-function buildShiftPlanStrategic(requiredPerHourInt, limits, opts) {
-  // limits: { capFT, capPT, maxFTShifts, maxPTShifts }
-  const H = 24;
-  const FT = 8;
-  const PT = opts.ptLenHours;
-  const startsFT = Array.from({ length: H - FT + 1 }, (_, s) => s);
-  const startsPT = Array.from({ length: H - PT + 1 }, (_, s) => s);
-  const deficit = requiredPerHourInt.slice();
-  const covFT = Array(H).fill(0);
-  const covPT = Array(H).fill(0);
-  let placedFT = 0;
-  let placedPT = 0;
-
-  const canPlaceFTAt = (s) => {
-    if (placedFT >= limits.maxFTShifts) return false;
-    for (let h = s; h < s + FT; h++) {
-      if (covFT[h] >= limits.capFT) return false;
-      if (covFT[h] + covPT[h] >= limits.capFT + limits.capPT) return false;
-    }
-    return true;
-  };
-  const canPlacePTAt = (s) => {
-    if (placedPT >= limits.maxPTShifts) return false;
-    for (let h = s; h < s + PT; h++) {
-      if (covPT[h] >= limits.capPT) return false;
-      if (covFT[h] + covPT[h] >= limits.capFT + limits.capPT) return false;
-    }
-    return true;
-  };
-
-  const scoreWindow = (s, len, type) => {
-    let score = 0;
-    for (let h = s; h < s + len; h++) {
-      const totalRoom = Math.max(0, limits.capFT + limits.capPT - (covFT[h] + covPT[h]));
-      if (totalRoom <= 0) continue;
-      const roomType = type === 'FT'
-        ? Math.min(totalRoom, Math.max(0, limits.capFT - covFT[h]))
-        : Math.min(totalRoom, Math.max(0, limits.capPT - covPT[h]));
-      if (roomType > 0) score += Math.min(deficit[h], roomType);
-    }
-    return score;
-  };
-
-  const shiftsFT = [];
-  const shiftsPT = [];
-
-  const placeOneFT = () => {
-    if (placedFT >= limits.maxFTShifts) return false;
-    let bestS = -1, best = 0;
-    for (const s of startsFT) {
-      if (!canPlaceFTAt(s)) continue;
-      const sc = scoreWindow(s, FT, 'FT');
-      if (sc > best) { best = sc; bestS = s; }
-    }
-    if (best <= 0) return false;
-    shiftsFT.push({ start: bestS, end: bestS + FT, count: 1 });
-    for (let h = bestS; h < bestS + FT; h++) { covFT[h] += 1; deficit[h] = Math.max(0, deficit[h] - 1); }
-    placedFT += 1;
-    return true;
-  };
+// a chart's <svg> as a standalone file: namespace and pixel size from its viewBox
+function svgMarkup(svg) {
+  const clone = svg.cloneNode(true);
+  const { width, height } = svg.viewBox.baseVal;
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.removeAttribute('class');
+  return new XMLSerializer().serializeToString(clone);
+}
 
-  const placeOnePT = () => {
-    if (placedPT >= limits.maxPTShifts) return false;
-    let bestS = -1, best = 0;
-    for (const s of startsPT) {
-      if (!canPlacePTAt(s)) continue;
-      const sc = scoreWindow(s, PT, 'PT');
-      if (sc > best) { best = sc; bestS = s; }
-    }
-    if (best <= 0) return false;
-    shiftsPT.push({ start: bestS, end: bestS + PT, count: 1 });
-    for (let h = bestS; h < bestS + PT; h++) { covPT[h] += 1; deficit[h] = Math.max(0, deficit[h] - 1); }
-    placedPT += 1;
-    return true;
-  };
+function downloadSVG(svg, filename) {
+  downloadBlob(new Blob([svgMarkup(svg)], { type: 'image/svg+xml;charset=utf-8' }), filename);
+}
 
-  const placeLoop = () => {
-    if (opts.strategy === 'ft_first') {
-      while (placeOneFT() || placeOnePT()) {}
-    } else if (opts.strategy === 'pt_first') {
-      while (placeOnePT() || placeOneFT()) {}
-    } else if (opts.strategy === 'mixed') {
-      const target = Math.min(100, Math.max(0, opts.mixedFtPercent)) / 100;
-      let ft = 0, pt = 0, progress = true;
-      while (progress) {
-        progress = false;
-        const share = (ft + pt) > 0 ? ft / (ft + pt) : 1;
-        if (share < target) {
-          if (placeOneFT()) { ft++; progress = true; }
-          if (placeOnePT()) { pt++; progress = true; }
-        } else {
-          if (placeOnePT()) { pt++; progress = true; }
-          if (placeOneFT()) { ft++; progress = true; }
-        }
-      }
-    } else {
-      if (opts.isWeekend) while (placeOnePT() || placeOneFT()) {}
-      else while (placeOneFT() || placeOnePT()) {}
-    }
+// drawn through an <img> onto a canvas at 2x so it stays sharp in a report
+function downloadPNG(svg, filename, scale = 2) {
+  const { width, height } = svg.viewBox.baseVal;
+  const url = URL.createObjectURL(new Blob([svgMarkup(svg)], { type: 'image/svg+xml;charset=utf-8' }));
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale; canvas.height = height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob((blob) => blob && downloadBlob(blob, filename), 'image/png');
   };
+  img.onerror = () => URL.revokeObjectURL(url);
+  img.src = url;
+}
 
-  placeLoop();
-
-  const merge = (arr) => {
-    const sorted = arr.sort((a, b) => a.start - b.start || a.end - b.end);
-    const out = [];
-    for (const p of sorted) {
-      const last = out[out.length - 1];
-      if (last && last.start === p.start && last.end === p.end) last.count += p.count;
-      else out.push({ ...p });
-    }
-    return out;
-  };
+// ---------- scenarios ----------
+const MAX_SCENARIOS = 6;
+const SCENARIO_COLORS = ['#0d6efd', '#dc3545', '#198754', '#fd7e14', '#6f42c1', '#20c997'];
 
-  const mergedFT = merge(shiftsFT);
-  const mergedPT = merge(shiftsPT);
-  const coverage = covFT.map((v, i) => v + covPT[i]);
-  const shortage = coverage.map((c, h) => Math.max(0, requiredPerHourInt[h] - c));
-  const excess = coverage.map((c, h) => Math.max(0, c - requiredPerHourInt[h]));
-
-  return {
-    shiftsFT: mergedFT,
-    shiftsPT: mergedPT,
-    coverage,
-    required: requiredPerHourInt,
-    shortage,
-    excess,
-    maxConcurrent: Math.max(...coverage),
-    limits,
-    hoursShort: shortage.reduce((n, v) => n + (v > 0 ? 1 : 0), 0),
-    totalShortUnits: shortage.reduce((s, v) => s + v, 0),
-  };
+// default scenario name from the inputs that usually differ, e.g. "mixed 60%, cap 18 + 6 PT"
+function describeScenario(f) {
+  const strategy = f.strategy === 'mixed' ? `mixed ${f.mixedRatio}%` : f.strategy;
+  const pt = parseInt(f.capPT, 10) > 0 ? ` + ${f.capPT} PT` : '';
+  return `${strategy}, cap ${f.capFT || 0}${pt}`;
 }
 
 export default function App() {
-  const [date, setDate] = useState('');
-  const [asaThreshold, setAsaThreshold] = useState('');
+  // a shared link or the last saved form fills the inputs from the first render (see restoreForm)
+  const [restoredForm] = useState(restoreForm);
+  const start = restoredForm?.form || FORM_DEFAULTS;
+  const [date, setDate] = useState(start.date);
+  const [asaThreshold, setAsaThreshold] = useState(start.asaThreshold);
+  const [ahtSeconds, setAhtSeconds] = useState(start.ahtSeconds); // average handle time for the Erlang C check
+  const [requirementSource, setRequirementSource] = useState(start.requirementSource); // model | erlang: what the planner staffs to
+  const [slSeconds, setSlSeconds] = useState(start.slSeconds); // service level: share of calls answered within this many seconds
 
   // concurrent caps
-  const [capFT, setCapFT] = useState('');
-  const [capPT, setCapPT] = useState('');
+  const [capFT, setCapFT] = useState(start.capFT);
+  const [capPT, setCapPT] = useState(start.capPT);
 
   // total headcount (always enforced; if left blank we assume totals = caps)
-  const [totalFT, setTotalFT] = useState('');
-  const [totalPT, setTotalPT] = useState('');
+  const [totalFT, setTotalFT] = useState(start.totalFT);
+  const [totalPT, setTotalPT] = useState(start.totalPT);
+
+  // pay rules for plan cost (optional) and a daily budget the planner stays within
+  const [rateFT, setRateFT] = useState(start.rateFT); // per hour
+  const [ratePT, setRatePT] = useState(start.ratePT);
+  const [nightDiffPct, setNightDiffPct] = useState(start.nightDiffPct); // % on top of base inside the night window
+  const [nightStart, setNightStart] = useState(start.nightStart);
+  const [nightEnd, setNightEnd] = useState(start.nightEnd);
+  const [weekendDiffPct, setWeekendDiffPct] = useState(start.weekendDiffPct); // % on top of base on Saturday and Sunday
+  const [otAfterHours, setOtAfterHours] = useState(start.otAfterHours); // paid hours in one shift before overtime; blank = none
+  const [otMultiplier, setOtMultiplier] = useState(start.otMultiplier);
+  const [dailyBudget, setDailyBudget] = useState(start.dailyBudget);
+
+  // week rules across a date range: weekly hours and days, rest, consecutive days, breaks
+  const [weekRules, setWeekRules] = useState(start.weekRules);
+  const [ftWeekHours, setFtWeekHours] = useState(start.ftWeekHours);
+  const [ftWeekDays, setFtWeekDays] = useState(start.ftWeekDays);
+  const [ptWeekMinHours, setPtWeekMinHours] = useState(start.ptWeekMinHours); // blank = no minimum
+  const [ptWeekMaxHours, setPtWeekMaxHours] = useState(start.ptWeekMaxHours); // blank = no maximum
+  const [minRestHours, setMinRestHours] = useState(start.minRestHours);
+  const [maxConsecutiveDays, setMaxConsecutiveDays] = useState(start.maxConsecutiveDays);
+  const [breakOverHours, setBreakOverHours] = useState(start.breakOverHours); // shifts longer than this need a lunch or break
 
   // strategy and shifts
-  const [strategy, setStrategy] = useState('auto'); // auto | ft_first | pt_first | mixed
-  const [mixedRatio, setMixedRatio] = useState('60'); // FT percent when mixed
-  const [ptLen, setPtLen] = useState('4'); // 4 or 6
-  const [ptLenWeekendOverride, setPtLenWeekendOverride] = useState(false);
-  const [ptLenWeekend, setPtLenWeekend] = useState('6');
-  const [lunchMinutes, setLunchMinutes] = useState('30');
-
-  const [scheduleData, setScheduleData] = useState(null);
+  const [strategy, setStrategy] = useState(start.strategy); // auto | ft_first | pt_first | mixed | optimal
+  const [mixedRatio, setMixedRatio] = useState(start.mixedRatio); // FT percent when mixed
+  const [solverSeconds, setSolverSeconds] = useState(start.solverSeconds); // time limit per day for the optimal solver
+  const [ptLen, setPtLen] = useState(start.ptLen); // 4 or 6
+  const [ptLenWeekendOverride, setPtLenWeekendOverride] = useState(start.ptLenWeekendOverride);
+  const [ptLenWeekend, setPtLenWeekend] = useState(start.ptLenWeekend);
+  const [lunchMinutes, setLunchMinutes] = useState(start.lunchMinutes);
+  const [lunchMinHours, setLunchMinHours] = useState(start.lunchMinHours); // no lunch on shifts shorter than this
+  const [lunchMarginHours, setLunchMarginHours] = useState(start.lunchMarginHours); // lunch window: this far from start and end
+  const [breakMinutes, setBreakMinutes] = useState(start.breakMinutes);
+  const [breakEveryHours, setBreakEveryHours] = useState(start.breakEveryHours); // one break per this many shift hours
+  const [overnight, setOvernight] = useState(start.overnight); // shifts may end past midnight
+  const [intervalMinutes, setIntervalMinutes] = useState(start.intervalMinutes); // planning resolution: 60 | 30 | 15
+  const [shiftTemplates, setShiftTemplates] = useState(start.templates); // shift library the planner picks from
+
+  // named employees (CSV text); empty means anonymous FT-n / PT-n agents
+  const [employeesText, setEmployeesText] = useState(start.employeesText);
+  const employeePool = useMemo(() => parseEmployees(employeesText), [employeesText]);
+  // skill-based queues (CSV text: name and share of demand); empty means one queue
+  const [queuesText, setQueuesText] = useState(start.queuesText);
+  const queueList = useMemo(() => parseQueues(queuesText), [queuesText]);
+  // shrinkage: one overall percentage plus rules by weekday and hour (CSV text)
+  const [shrinkagePct, setShrinkagePct] = useState(start.shrinkagePct);
+  const [shrinkageText, setShrinkageText] = useState(start.shrinkageText);
+  const shrinkageList = useMemo(() => parseShrinkage(shrinkageText), [shrinkageText]);
+  const shrinkageCapped = useMemo(
+    () => shrinkageOverCap({ shrinkagePct, shrinkage: shrinkageList.rules }), [shrinkagePct, shrinkageList]
+  );
+
+  // single day or a date range (one /schedule call per day)
+  const [rangeMode, setRangeMode] = useState(start.rangeMode);
+  const [endDate, setEndDate] = useState(start.endDate);
+
+  // one /schedule response per day; activeDay picks the one shown in detail
+  const [days, setDays] = useState([]);
+  const [activeDay, setActiveDay] = useState(0);
+  const scheduleData = days[activeDay] || null;
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState('');
   const formRef = useRef(null);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setError('');
-    const form = formRef.current;
-    if (form && !form.checkValidity()) { form.reportValidity(); return; }
+  // uploaded actuals for the day in view: parseActuals output plus the file name
+  const [actuals, setActuals] = useState(null);
+
+  // saved scenarios: { id, name, form } where form is a snapshot of every planning input
+  const [scenarios, setScenarios] = useState([]);
+
+  // persistence: loaded means the form on screen produced a plan so a reload or link reopens it
+  const [loaded, setLoaded] = useState(false);
+  const [cacheNote, setCacheNote] = useState('');
+  const [cacheSize, setCacheSize] = useState(() => scheduleCacheSize());
+  const [copied, setCopied] = useState(false);
+
+  // hand edits from the roster timeline: { [date]: { base, roster } }. An edit only applies to the plan
+  // it was made on (base), so changing any input or fetching again drops it.
+  const [rosterEdits, setRosterEdits] = useState({});
+
+  const rangeDates = rangeMode && date && endDate >= date ? listDates(date, endDate) : [];
+
+  // one /schedule response per date, from the local cache when this backend already answered it
+  const loadDays = useCallback(async (dates, threshold) => {
     setIsLoading(true);
+    setCacheNote('');
+    let current = dates[0];
+    let cached = 0;
     try {
-      const payload = { Date: date, Threshold: parseFloat(asaThreshold) };
-      const res = await axios.post(`${process.env.REACT_APP_API_BASE}/schedule`, payload);
-      setScheduleData(res.data);
+      const fetched = [];
+      for (const d of dates) {
+        current = d;
+        setProgress(dates.length > 1 ? `${fetched.length + 1}/${dates.length}` : '');
+        const key = scheduleCacheKey(MOCK_API ? 'mock' : process.env.REACT_APP_API_BASE, d, threshold);
+        const hit = readCachedSchedule(key);
+        if (hit) { fetched.push(hit); cached += 1; continue; }
+        const payload = { Date: d, Threshold: parseFloat(threshold) };
+        // REACT_APP_MOCK_API=true answers from the bundled synthetic backend instead of Flask
+        const res = await axios.post(`${process.env.REACT_APP_API_BASE}/schedule`, payload, MOCK_API ? { adapter: mockAdapter } : undefined);
+        writeCachedSchedule(key, res.data);
+        fetched.push(res.data);
+      }
+      setDays(fetched);
+      setActiveDay(0);
+      setLoaded(true);
+      if (cached) setCacheNote(cached === dates.length ? 'Loaded from the local cache' : `${cached} of ${dates.length} days from the local cache`);
     } catch (err) {
-      setScheduleData(null);
-      setError(err.response?.data?.error || 'Failed to fetch schedule');
+      setDays([]);
+      setLoaded(false);
+      const msg = err.response?.data?.error || 'Failed to fetch schedule';
+      setError(dates.length > 1 ? `${current}: ${msg}` : msg);
     } finally {
       setIsLoading(false);
+      setProgress('');
+      setCacheSize(scheduleCacheSize());
     }
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    const form = formRef.current;
+    if (form && !form.checkValidity()) { form.reportValidity(); return; }
+    if (rangeMode && !rangeDates.length) { setError('End date must be on or after the start date'); return; }
+    loadDays(rangeMode ? rangeDates : [date], asaThreshold);
+  };
+
+  const handleClearCache = () => {
+    clearScheduleCache();
+    setCacheSize(0);
+    setCacheNote('');
+  };
+
+  const copyLink = () => {
+    navigator.clipboard?.writeText(window.location.href).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    }, () => {});
   };
 
   const handleReset = () => {
-    setDate(''); setAsaThreshold('');
+    setDate(''); setAsaThreshold(''); setAhtSeconds(''); setRequirementSource('model'); setSlSeconds('20'); setShrinkagePct('');
+    setRangeMode(false); setEndDate('');
     setCapFT(''); setCapPT('');
-    setTotalFT(''); setTotalPT('');
-    setStrategy('auto'); setMixedRatio('60');
+    setTotalFT(''); setTotalPT(''); setRateFT(''); setRatePT('');
+    setNightDiffPct('0'); setNightStart('22:00'); setNightEnd('06:00'); setWeekendDiffPct('0');
+    setOtAfterHours(''); setOtMultiplier('1.5'); setDailyBudget('');
+    setWeekRules(false); setFtWeekHours('40'); setFtWeekDays('5'); setPtWeekMinHours(''); setPtWeekMaxHours('');
+    setMinRestHours('11'); setMaxConsecutiveDays('6'); setBreakOverHours('6');
+    setStrategy('auto'); setMixedRatio('60'); setSolverSeconds('2');
     setPtLen('4'); setPtLenWeekendOverride(false); setPtLenWeekend('6');
-    setLunchMinutes('30'); setScheduleData(null); setError('');
+    setLunchMinutes('30'); setLunchMinHours('0'); setLunchMarginHours('2');
+    setBreakMinutes('15'); setBreakEveryHours('4'); setOvernight(false); setIntervalMinutes('60');
+    setShiftTemplates(DEFAULT_TEMPLATES); setEmployeesText(''); setQueuesText(''); setShrinkageText(''); setDays([]); setActiveDay(0); setError('');
+    setScenarios([]); setActuals(null); setLoaded(false); setCacheNote(''); setRosterEdits({});
   };
 
-  // ---------- aggregates + plan + roster ----------
-  const aggregates = useMemo(() => {
-    if (!scheduleData?.data?.length) return null;
-
-    const rows = scheduleData.data;
-    const totalCalls = rows.reduce((s, r) => s + (r.CALLS ?? 0), 0);
-    const staffInt = rows.map((r) => Math.max(0, Math.ceil(r.Staff ?? 0)));
-    const totalStaffHours = staffInt.reduce((s, v) => s + v, 0);
-    const peakStaff = Math.max(...staffInt);
-    const avgStaff = totalStaffHours / rows.length;
-
-    const peakCallsRow = rows.reduce((max, r) => (r.CALLS > max.CALLS ? r : max), rows[0]);
-    const breaches = rows.filter((r) => r.ASA > scheduleData.inputs.ASA_Threshold_Min).length;
-
-    const weekday = scheduleData.inputs.Weekday;
-    const weekend = isWeekendName(weekday);
-    const ptHours = weekend && ptLenWeekendOverride ? parseInt(ptLenWeekend, 10) : parseInt(ptLen, 10);
-
-    // if totals not provided, assume totals = caps
-    const capFt = Math.max(0, parseInt(capFT || `${Math.ceil(peakStaff)}`, 10));
-    const capPt = Math.max(0, parseInt(capPT || '0', 10));
-    const maxFTShifts = Math.max(0, parseInt((totalFT || capFT || `${Math.ceil(peakStaff)}`), 10));
-    const maxPTShifts = Math.max(0, parseInt((totalPT || capPT || '0'), 10));
-
-    const plan = buildShiftPlanStrategic(
-      staffInt,
-      { capFT: capFt, capPT: capPt, maxFTShifts, maxPTShifts },
-      { strategy, mixedFtPercent: parseInt(mixedRatio, 10), isWeekend: weekend, ptLenHours: ptHours }
-    );
-
-    const roster = buildRoster(plan.shiftsFT, plan.shiftsPT, lunchMinutes);
-    const recs = computeHireRecommendations(plan, ptHours);
-
-    return {
-      hours: rows.length,
-      totalCalls,
-      totalStaffHours,
-      peakStaff,
-      avgStaff,
-      peakHour: peakCallsRow.Hour,
-      peakCalls: peakCallsRow.CALLS,
-      breaches,
-      plan,
-      roster,
-      ptLenHours: ptHours,
-      recs,
-    };
-  }, [
-    scheduleData,
+  // ---------- aggregates + plan + roster (one per fetched day) ----------
+  const settings = useMemo(() => ({
+    ahtSeconds, requirementSource, slSeconds, shrinkagePct,
+    capFT, capPT, totalFT, totalPT,
+    rateFT, ratePT, nightDiffPct, nightStart, nightEnd, weekendDiffPct, otAfterHours, otMultiplier, dailyBudget,
+    weekRules, ftWeekHours, ftWeekDays, ptWeekMinHours, ptWeekMaxHours, minRestHours, maxConsecutiveDays, breakOverHours,
+    strategy, mixedRatio, solverSeconds,
+    ptLen, ptLenWeekendOverride, ptLenWeekend,
+    lunchMinutes, lunchMinHours, lunchMarginHours, breakMinutes, breakEveryHours, overnight, intervalMinutes,
+    templates: shiftTemplates,
+    employees: employeePool.employees,
+    queues: queueList.queues,
+    shrinkage: shrinkageList.rules,
+  }), [
+    ahtSeconds, requirementSource, slSeconds, shrinkagePct,
     capFT, capPT, totalFT, totalPT,
-    strategy, mixedRatio,
+    rateFT, ratePT, nightDiffPct, nightStart, nightEnd, weekendDiffPct, otAfterHours, otMultiplier, dailyBudget,
+    weekRules, ftWeekHours, ftWeekDays, ptWeekMinHours, ptWeekMaxHours, minRestHours, maxConsecutiveDays, breakOverHours,
+    strategy, mixedRatio, solverSeconds,
     ptLen, ptLenWeekendOverride, ptLenWeekend,
-    lunchMinutes
+    lunchMinutes, lunchMinHours, lunchMarginHours, breakMinutes, breakEveryHours, overnight, intervalMinutes,
+    shiftTemplates, employeePool, queueList, shrinkageList
   ]);
 
+  // the exact solver takes seconds per day, so with it the plan keeps the inputs of the last Generate
+  // instead of re-solving on every keystroke; other strategies follow the form as it is typed
+  const [generated, setGenerated] = useState({ days, settings });
+  if (generated.days !== days) setGenerated({ days, settings });
+  const planSettings = settings.strategy === 'optimal' ? generated.settings : settings;
+  const planStale = planSettings !== settings && days.length > 0;
+
+  // with week rules on, anonymous agents become the same people across the range. Inputs the planner
+  // refuses show as a form error instead of taking the page down.
+  const { plannedDays, planError } = useMemo(() => {
+    try {
+      return { plannedDays: assignWeek(planDays(days, planSettings), planSettings), planError: '' };
+    } catch (err) {
+      if (!(err instanceof PlanInputError)) throw err;
+      return { plannedDays: [], planError: err.errors.join('; ') };
+    }
+  }, [days, planSettings]);
+  // what every view and export shows: the planner's days with any roster edits applied
+  const dayPlans = useMemo(() => plannedDays.map((d) => {
+    const e = d && rosterEdits[d.date];
+    return e && e.base === d ? applyRosterEdits(d, e.roster, planSettings) : d;
+  }), [plannedDays, rosterEdits, planSettings]);
+  const aggregates = dayPlans[activeDay] || null;
+  const weekCheck = useMemo(() => checkWeek(dayPlans, planSettings), [dayPlans, planSettings]);
+
+  const editRoster = (roster) => {
+    const base = plannedDays[activeDay];
+    if (base) setRosterEdits((m) => ({ ...m, [base.date]: { base, roster } }));
+  };
+  // a supervisor's shift swap lands on the roster like any other edit, or comes back with why not
+  const swapRoster = (a, b) => {
+    const { roster, reasons } = swapShifts(aggregates, a, b, planSettings);
+    if (!reasons.length) editRoster(roster);
+    return reasons;
+  };
+  const resetRosterEdits = () => {
+    const date = plannedDays[activeDay]?.date;
+    setRosterEdits(({ [date]: dropped, ...rest }) => rest);
+  };
+  const actualsReport = useMemo(
+    () => (aggregates && actuals?.rows.length ? compareActuals(aggregates, scheduleData, actuals, planSettings) : null),
+    [aggregates, scheduleData, actuals, planSettings]
+  );
+
+  // ---------- scenarios ----------
+  // the form as typed (employees, queues and shrinkage as CSV text) so a scenario can be planned again or promoted
+  const formSnapshot = () => {
+    const { employees, queues, shrinkage, ...rest } = settings;
+    return { ...rest, employeesText, queuesText, shrinkageText };
+  };
+  const saveScenario = (name) => {
+    const form = formSnapshot();
+    setScenarios((list) => [...list, { id: Date.now(), name: name.trim() || describeScenario(form), form }].slice(-MAX_SCENARIOS));
+  };
+  const removeScenario = (id) => setScenarios((list) => list.filter((x) => x.id !== id));
+  // every planning input from a form snapshot (scenario, saved form or shared link)
+  const applyForm = (f) => {
+    setAhtSeconds(f.ahtSeconds); setRequirementSource(f.requirementSource); setSlSeconds(f.slSeconds); setShrinkagePct(f.shrinkagePct);
+    setCapFT(f.capFT); setCapPT(f.capPT); setTotalFT(f.totalFT); setTotalPT(f.totalPT);
+    setRateFT(f.rateFT); setRatePT(f.ratePT); setNightDiffPct(f.nightDiffPct); setNightStart(f.nightStart); setNightEnd(f.nightEnd);
+    setWeekendDiffPct(f.weekendDiffPct); setOtAfterHours(f.otAfterHours); setOtMultiplier(f.otMultiplier); setDailyBudget(f.dailyBudget);
+    setWeekRules(f.weekRules); setFtWeekHours(f.ftWeekHours); setFtWeekDays(f.ftWeekDays);
+    setPtWeekMinHours(f.ptWeekMinHours); setPtWeekMaxHours(f.ptWeekMaxHours); setMinRestHours(f.minRestHours);
+    setMaxConsecutiveDays(f.maxConsecutiveDays); setBreakOverHours(f.breakOverHours);
+    setStrategy(f.strategy); setMixedRatio(f.mixedRatio); setSolverSeconds(f.solverSeconds);
+    setPtLen(f.ptLen); setPtLenWeekendOverride(f.ptLenWeekendOverride); setPtLenWeekend(f.ptLenWeekend);
+    setLunchMinutes(f.lunchMinutes); setLunchMinHours(f.lunchMinHours); setLunchMarginHours(f.lunchMarginHours);
+    setBreakMinutes(f.breakMinutes); setBreakEveryHours(f.breakEveryHours); setOvernight(f.overnight);
+    setIntervalMinutes(f.intervalMinutes); setShiftTemplates(f.templates); setEmployeesText(f.employeesText);
+    setQueuesText(f.queuesText); setShrinkageText(f.shrinkageText);
+  };
+  // promote: the scenario's inputs become the form, so the active plan, roster and exports follow it
+  const promoteScenario = (sc) => applyForm(sc.form);
+
+  // ---------- persistence ----------
+  // a restored form that had a plan opens it again on first mount
+  const didReopen = useRef(false);
+  useEffect(() => {
+    if (didReopen.current || !restoredForm?.loaded) return; // StrictMode mounts twice in development
+    didReopen.current = true;
+    const f = restoredForm.form;
+    const dates = f.rangeMode ? (f.date && f.endDate >= f.date ? listDates(f.date, f.endDate) : []) : [f.date];
+    if (dates[0] && parseFloat(f.asaThreshold) > 0) loadDays(dates, f.asaThreshold);
+  }, [restoredForm, loadDays]);
+
+  // every change is saved for the next visit and mirrored in the URL
+  useEffect(() => {
+    const { employees, queues, shrinkage, ...planning } = settings;
+    const form = { date, asaThreshold, rangeMode, endDate, ...planning, employeesText, queuesText, shrinkageText };
+    saveForm(form, loaded);
+    replaceUrlQuery(form);
+  }, [loaded, date, asaThreshold, rangeMode, endDate, settings, employeesText, queuesText, shrinkageText]);
+  // each scenario is planned like the active plan; one the planner refuses shows why in its row
+  const scenarioPlans = useMemo(() => scenarios.map((sc) => {
+    const s = {
+      ...sc.form, employees: parseEmployees(sc.form.employeesText).employees, queues: parseQueues(sc.form.queuesText).queues,
+      shrinkage: parseShrinkage(sc.form.shrinkageText).rules,
+    };
+    try {
+      const plans = assignWeek(planDays(days, s), s);
+      return { ...sc, dayPlans: plans, totals: summarizeDays(plans), error: '' };
+    } catch (err) {
+      if (!(err instanceof PlanInputError)) throw err;
+      return { ...sc, dayPlans: [], totals: null, error: err.errors.join('; ') };
+    }
+  }), [scenarios, days]);
   // ---------- exports ----------
   const exportHourlyCSV = () => {
     if (!scheduleData?.data?.length) return;
-    const headers = ['DateLabel','DateMDY','Year','Month','Day','DayName','Hour','Is_Weekend','CALLS','ASA','Staff'];
-    const lines = [headers.join(',')];
-    scheduleData.data.forEach((r) => {
-      lines.push(
-        [
-          r.DateLabel, r.DateMDY, r.Year, r.Month, r.Day, r.DayName, r.Hour, r.Is_Weekend, r.CALLS, r.ASA, r.Staff
-        ].map((v) => (typeof v === 'string' ? `"${v.replace(/"/g, '""')}"` : v)).join(',')
-      );
-    });
-    const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a'); a.href = url;
-    const d = scheduleData.inputs?.Date || 'schedule';
-    a.download = `hourly_${d}.csv`; a.click(); URL.revokeObjectURL(url);
+    downloadCSV(hourlyCSV(scheduleData, aggregates), `hourly_${scheduleData.inputs?.Date || 'schedule'}.csv`);
   };
 
   const exportShiftCSV = () => {
     if (!aggregates?.plan) return;
-    const p = aggregates.plan;
-    const out = [];
-    out.push(`Capped full timers,${p.limits.capFT}`);
-    out.push(`Capped part timers,${p.limits.capPT}`);
-    out.push(`Total FT employees,${p.limits.maxFTShifts}`);
-    out.push(`Total PT employees,${p.limits.maxPTShifts}`);
-    out.push('');
-    out.push('Full-time shifts (8h)'); out.push('StartHour,EndHour,Agents');
-    p.shiftsFT.forEach((s) => out.push([s.start, s.end, s.count].join(',')));
-    out.push('');
-    out.push('Part-time shifts'); out.push('StartHour,EndHour,Agents');
-    p.shiftsPT.forEach((s) => out.push([s.start, s.end, s.count].join(',')));
-    out.push('');
-    out.push('Coverage'); out.push('Hour,Required,Coverage,Short,Excess');
-    for (let h = 0; h < 24; h++) {
-      const req = p.required[h] ?? 0;
-      const cov = p.coverage[h] ?? 0;
-      const short = Math.max(0, req - cov);
-      const over = Math.max(0, cov - req);
-      out.push([h, req, cov, short, over].join(','));
-    }
-    const blob = new Blob([out.join('\n')], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a'); a.href = url;
-    const d = scheduleData?.inputs?.Date || 'schedule';
-    a.download = `shift_plan_${d}.csv`; a.click(); URL.revokeObjectURL(url);
+    downloadCSV(shiftPlanCSV(aggregates), `shift_plan_${scheduleData?.inputs?.Date || 'schedule'}.csv`);
   };
 
   const exportRosterCSV = () => {
     if (!aggregates?.roster?.length) return;
-    const hhmm = (mins) => `${String(Math.floor(mins/60)).padStart(2,'0')}:${String(mins%60).padStart(2,'0')}`;
-    const out = [['Employee','Type','Start','End','LunchStart','LunchEnd','Hours'].join(',')];
-    aggregates.roster.forEach((r) => {
-      out.push([
-        r.agent, r.type,
-        `${String(r.start).padStart(2,'0')}:00`,
-        `${String(r.end).padStart(2,'0')}:00`,
-        hhmm(r.lunchStart),
-        hhmm(r.lunchEnd),
-        r.hours
-      ].join(','));
-    });
-    const blob = new Blob([out.join('\n')], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a'); a.href = url;
-    const d = scheduleData?.inputs?.Date || 'schedule';
-    a.download = `roster_${d}.csv`; a.click(); URL.revokeObjectURL(url);
+    downloadCSV(rosterCSV(aggregates), `roster_${scheduleData?.inputs?.Date || 'schedule'}.csv`);
+  };
+
+  // combined exports for every fetched day (date range mode)
+  const exportWeekCSV = () => {
+    const planned = dayPlans.filter(Boolean);
+    if (!planned.length) return;
+    downloadCSV(weekPlanCSV(planned), `week_plan_${planned[0].date}_${planned[planned.length - 1].date}.csv`);
+  };
+
+  const exportWeekRosterCSV = () => {
+    const planned = dayPlans.filter(Boolean);
+    if (!planned.length) return;
+    downloadCSV(weekRosterCSV(planned), `week_roster_${planned[0].date}_${planned[planned.length - 1].date}.csv`);
+  };
+
+  const exportWeekRulesCSV = () => {
+    const planned = dayPlans.filter(Boolean);
+    if (!weekCheck || !planned.length) return;
+    downloadCSV(weekRulesCSV(weekCheck), `week_rules_${planned[0].date}_${planned[planned.length - 1].date}.csv`);
+  };
+
+  // Hourly, Shift Plan, Coverage and Roster sheets for the day in view
+  const exportWorkbook = () => {
+    if (!aggregates?.plan) return;
+    const xlsx = buildXlsx(planWorkbook(aggregates, scheduleData));
+    downloadBlob(new Blob([xlsx], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), `plan_${aggregates.date}.xlsx`);
+  };
+
+  // one .ics per employee: a single agent's file, or every agent's in a zip
+  const exportCalendars = (plans, agent) => {
+    const cals = rosterCalendars(plans.filter(Boolean)).filter((c) => !agent || c.agent === agent);
+    if (!cals.length) return;
+    const dates = plans.filter(Boolean).map((d) => d.date);
+    const span = dates.length > 1 ? `${dates[0]}_${dates[dates.length - 1]}` : dates[0];
+    if (agent) downloadBlob(new Blob([cals[0].text], { type: 'text/calendar;charset=utf-8' }), `${cals[0].fileName.replace(/\.ics$/, '')}_${span}.ics`);
+    else downloadBlob(new Blob([zipFiles(cals.map((c) => ({ name: c.fileName, data: c.text })))], { type: 'application/zip' }), `calendars_${span}.zip`);
   };
 
   const meta = scheduleData?.model_meta || {};
@@ -375,10 +447,18 @@ export default function App() {
     <div className="container py-4">
       <header className="mb-4 d-flex align-items-center justify-content-between">
         <div>
-          <h1 className="h3 mb-1">AI Schedule Recommender</h1>
+          <h1 className="h3 mb-1">
+            AI Schedule Recommender
+            {MOCK_API && <span className="badge text-bg-warning ms-2 align-middle fs-6" title="REACT_APP_MOCK_API is on: synthetic data, no Flask backend">Mock API</span>}
+          </h1>
           <p className="text-body-secondary mb-0">Consumes /schedule, enforces headcount, prints a per-employee roster with lunches</p>
         </div>
-        <button className="btn btn-outline-secondary" type="button" onClick={handleReset}>Reset</button>
+        <div className="d-flex gap-2">
+          <button className="btn btn-outline-secondary" type="button" onClick={copyLink} title="Copy a link that opens these inputs and their plan">
+            {copied ? 'Link copied' : 'Copy link'}
+          </button>
+          <button className="btn btn-outline-secondary" type="button" onClick={handleReset}>Reset</button>
+        </div>
       </header>
 
       {/* Inputs */}
@@ -388,14 +468,51 @@ export default function App() {
           <form ref={formRef} onSubmit={handleSubmit} noValidate>
             <div className="row g-3">
               <div className="col-md-3">
-                <label htmlFor="date" className="form-label">Date</label>
+                <label htmlFor="date" className="form-label">{rangeMode ? 'Start date' : 'Date'}</label>
                 <input type="date" className="form-control" id="date" value={date}
                   onChange={(e) => setDate(e.target.value)} required />
+                <div className="form-check mt-2">
+                  <input className="form-check-input" type="checkbox" id="rangeMode"
+                    checked={rangeMode} onChange={(e) => setRangeMode(e.target.checked)} />
+                  <label className="form-check-label" htmlFor="rangeMode">Plan a date range</label>
+                </div>
+                {rangeMode && (
+                  <div className="mt-2">
+                    <label htmlFor="endDate" className="form-label">End date</label>
+                    <input type="date" className="form-control" id="endDate" value={endDate} min={date || undefined}
+                      onChange={(e) => setEndDate(e.target.value)} required />
+                    <div className="form-text">
+                      {rangeDates.length ? `${rangeDates.length} days, one /schedule call each` : `Up to ${MAX_RANGE_DAYS} days`}
+                    </div>
+                  </div>
+                )}
               </div>
               <div className="col-md-3">
                 <label htmlFor="asaThreshold" className="form-label">ASA Threshold (minutes)</label>
                 <input type="number" className="form-control" id="asaThreshold" value={asaThreshold}
                   onChange={(e) => setAsaThreshold(e.target.value)} step="0.1" min="0" required />
+                <div className="input-group input-group-sm mt-2">
+                  <span className="input-group-text">AHT</span>
+                  <input type="number" className="form-control" id="ahtSeconds" value={ahtSeconds}
+                    onChange={(e) => setAhtSeconds(e.target.value)} min="1" step="1" placeholder="optional" />
+                  <span className="input-group-text">sec</span>
+                </div>
+                <div className="input-group input-group-sm mt-2">
+                  <span className="input-group-text">SL within</span>
+                  <input type="number" className="form-control" id="slSeconds" value={slSeconds}
+                    onChange={(e) => setSlSeconds(e.target.value)} min="0" step="1" />
+                  <span className="input-group-text">sec</span>
+                </div>
+                <select id="requirementSource" className="form-select form-select-sm mt-2" value={requirementSource}
+                  onChange={(e) => setRequirementSource(e.target.value)} aria-label="Requirement source">
+                  <option value="model">Plan to the model's Staff</option>
+                  <option value="erlang">Plan to Erlang C</option>
+                </select>
+                <div className="form-text">
+                  {requirementSource === 'erlang' && !(parseFloat(ahtSeconds) > 0)
+                    ? 'Enter an AHT to plan to Erlang C; the model is used until then.'
+                    : 'With an AHT, Erlang C agents from CALLS and the ASA threshold are shown next to the model, and the plan gets a projected ASA and service level.'}
+                </div>
               </div>
               <div className="col-md-3">
                 <label htmlFor="capFT" className="form-label">Capped full timers (concurrent)</label>
@@ -428,6 +545,7 @@ export default function App() {
                   <option value="ft_first">FT first</option>
                   <option value="pt_first">PT first</option>
                   <option value="mixed">Mixed ratio</option>
+                  <option value="optimal">Optimal (exact solver)</option>
                 </select>
                 {strategy === 'mixed' && (
                   <div className="mt-2">
@@ -436,6 +554,14 @@ export default function App() {
                       onChange={(e) => setMixedRatio(e.target.value)} min="0" max="100" step="5" />
                   </div>
                 )}
+                {strategy === 'optimal' && (
+                  <div className="mt-2">
+                    <label htmlFor="solverSeconds" className="form-label">Solver time limit (seconds per day)</label>
+                    <input type="number" className="form-control" id="solverSeconds" value={solverSeconds}
+                      onChange={(e) => setSolverSeconds(e.target.value)} min="0.5" step="0.5" />
+                    <div className="form-text">Minimizes total shortage, then excess. Returns the best plan found if time runs out. Solves when you press Generate; a date range shares {SOLVER_RANGE_SECONDS} seconds (or the per-day limit, if longer) across its days.</div>
+                  </div>
+                )}
               </div>
 
               <div className="col-md-3">
@@ -455,6 +581,7 @@ export default function App() {
                     <option value="6">Weekend PT: 6</option>
                   </select>
                 )}
+                <div className="form-text">Used by the standard PT template. Other lengths go in Shift templates below.</div>
               </div>
             </div>
 
@@ -463,25 +590,235 @@ export default function App() {
                 <label htmlFor="lunchMinutes" className="form-label">Lunch minutes</label>
                 <input type="number" className="form-control" id="lunchMinutes" value={lunchMinutes}
                   onChange={(e) => setLunchMinutes(e.target.value)} min="0" step="5" />
-                <div className="form-text">Placed mid shift, snapped to 30 minute blocks.</div>
+                <div className="input-group input-group-sm mt-2">
+                  <span className="input-group-text">No lunch under</span>
+                  <input type="number" className="form-control" id="lunchMinHours" value={lunchMinHours}
+                    onChange={(e) => setLunchMinHours(e.target.value)} min="0" step="0.5" />
+                  <span className="input-group-text">h</span>
+                </div>
+                <div className="input-group input-group-sm mt-2">
+                  <span className="input-group-text">Window margin</span>
+                  <input type="number" className="form-control" id="lunchMarginHours" value={lunchMarginHours}
+                    onChange={(e) => setLunchMarginHours(e.target.value)} min="0" step="0.5" />
+                  <span className="input-group-text">h</span>
+                </div>
+                <div className="form-text">Staggered on 30 minute blocks inside the window to protect coverage.</div>
+              </div>
+              <div className="col-md-3">
+                <label htmlFor="breakMinutes" className="form-label">Break minutes</label>
+                <input type="number" className="form-control" id="breakMinutes" value={breakMinutes}
+                  onChange={(e) => setBreakMinutes(e.target.value)} min="0" step="5" />
+                <div className="input-group input-group-sm mt-2">
+                  <span className="input-group-text">One per</span>
+                  <input type="number" className="form-control" id="breakEveryHours" value={breakEveryHours}
+                    onChange={(e) => setBreakEveryHours(e.target.value)} min="1" step="1" />
+                  <span className="input-group-text">h worked</span>
+                </div>
+                <div className="form-text">0 turns breaks off. Breaks stay at least 30 minutes clear of lunch.</div>
+              </div>
+              <div className="col-md-3">
+                <label htmlFor="intervalMinutes" className="form-label">Planning interval</label>
+                <select id="intervalMinutes" className="form-select" value={intervalMinutes} onChange={(e) => setIntervalMinutes(e.target.value)}>
+                  <option value="60">60 minutes</option>
+                  <option value="30">30 minutes</option>
+                  <option value="15">15 minutes</option>
+                </select>
+                <div className="form-text mb-2">Shifts can start on any interval. Hourly model rows are split; rows with a Minute field are used as is.</div>
+                <div className="form-check">
+                  <input className="form-check-input" type="checkbox" id="overnight"
+                    checked={overnight} onChange={(e) => setOvernight(e.target.checked)} />
+                  <label className="form-check-label" htmlFor="overnight">Allow shifts past midnight</label>
+                </div>
+                <div className="form-text">
+                  For 24/7 centers. A single day wraps late shifts onto its own early hours; a date range carries them into the next day.
+                </div>
               </div>
-              <div className="col-md-3 d-flex align-items-end">
+              <div className="col-md-3 d-flex flex-column justify-content-end">
                 <button
                   type="submit"
                   className="btn btn-primary w-100"
-                  disabled={isLoading || !date || !asaThreshold || capFT === '' || capPT === ''}
+                  disabled={isLoading || !date || (rangeMode && !endDate) || !asaThreshold || capFT === '' || capPT === ''}
                   aria-busy={isLoading}
                 >
-                  {isLoading ? (<><span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true" />Generating...</>) : ('Generate Schedule')}
+                  {isLoading ? (<><span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true" />Generating{progress ? ` ${progress}` : ''}...</>) : ('Generate Schedule')}
                 </button>
+                <div className="form-text">
+                  {cacheNote ? `${cacheNote}. ` : ''}
+                  {cacheSize > 0 && (
+                    <>
+                      {cacheSize} {cacheSize === 1 ? 'response' : 'responses'} cached{' '}
+                      <button type="button" id="clearCache" className="btn btn-link btn-sm p-0 align-baseline" onClick={handleClearCache}>Clear</button>
+                    </>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            <div className="row g-3 mt-1">
+              <div className="col-md-3">
+                <label htmlFor="rateFT" className="form-label">Pay per hour (optional)</label>
+                <div className="input-group input-group-sm">
+                  <span className="input-group-text">FT</span>
+                  <input type="number" className="form-control" id="rateFT" value={rateFT}
+                    onChange={(e) => setRateFT(e.target.value)} min="0" step="0.01" />
+                  <span className="input-group-text">PT</span>
+                  <input type="number" className="form-control" id="ratePT" value={ratePT}
+                    onChange={(e) => setRatePT(e.target.value)} min="0" step="0.01" aria-label="PT pay per hour" />
+                </div>
+                <div className="form-text">Costs every plan from paid hours. Unpaid lunches are not paid.</div>
+              </div>
+              <div className="col-md-3">
+                <label htmlFor="nightDiffPct" className="form-label">Differentials</label>
+                <div className="input-group input-group-sm">
+                  <span className="input-group-text">Night +</span>
+                  <input type="number" className="form-control" id="nightDiffPct" value={nightDiffPct}
+                    onChange={(e) => setNightDiffPct(e.target.value)} min="0" step="1" />
+                  <span className="input-group-text">%</span>
+                </div>
+                <div className="input-group input-group-sm mt-2">
+                  <input className="form-control" id="nightStart" value={nightStart} onChange={(e) => setNightStart(e.target.value)} aria-label="Night starts" />
+                  <span className="input-group-text">to</span>
+                  <input className="form-control" id="nightEnd" value={nightEnd} onChange={(e) => setNightEnd(e.target.value)} aria-label="Night ends" />
+                </div>
+                <div className="input-group input-group-sm mt-2">
+                  <span className="input-group-text">Weekend +</span>
+                  <input type="number" className="form-control" id="weekendDiffPct" value={weekendDiffPct}
+                    onChange={(e) => setWeekendDiffPct(e.target.value)} min="0" step="1" />
+                  <span className="input-group-text">%</span>
+                </div>
+              </div>
+              <div className="col-md-3">
+                <label htmlFor="otAfterHours" className="form-label">Overtime</label>
+                <div className="input-group input-group-sm">
+                  <span className="input-group-text">After</span>
+                  <input type="number" className="form-control" id="otAfterHours" value={otAfterHours}
+                    onChange={(e) => setOtAfterHours(e.target.value)} min="0" step="0.5" placeholder="none" />
+                  <span className="input-group-text">h</span>
+                </div>
+                <div className="input-group input-group-sm mt-2">
+                  <span className="input-group-text">Paid at</span>
+                  <input type="number" className="form-control" id="otMultiplier" value={otMultiplier}
+                    onChange={(e) => setOtMultiplier(e.target.value)} min="1" step="0.25" />
+                  <span className="input-group-text">x</span>
+                </div>
+                <div className="form-text">Paid hours in one shift past the limit, differentials included.</div>
+              </div>
+              <div className="col-md-3">
+                <label htmlFor="dailyBudget" className="form-label">Max daily budget</label>
+                <input type="number" className="form-control" id="dailyBudget" value={dailyBudget}
+                  onChange={(e) => setDailyBudget(e.target.value)} min="0" step="1" placeholder="no limit" />
+                <div className="form-text">
+                  {dailyBudget && !(parseFloat(rateFT) >= 0) && !(parseFloat(ratePT) >= 0)
+                    ? 'Needs a pay rate to take effect.'
+                    : 'The planner stops adding shifts it cannot pay for and picks the most coverage per dollar.'}
+                </div>
+              </div>
+            </div>
+
+            <div className="row g-3 mt-1">
+              <div className="col-md-3">
+                <div className="form-check">
+                  <input className="form-check-input" type="checkbox" id="weekRules"
+                    checked={weekRules} onChange={(e) => setWeekRules(e.target.checked)} />
+                  <label className="form-check-label" htmlFor="weekRules">Week rules</label>
+                </div>
+                <div className="input-group input-group-sm mt-1">
+                  <span className="input-group-text">FT</span>
+                  <input type="number" className="form-control" id="ftWeekHours" value={ftWeekHours} disabled={!weekRules}
+                    onChange={(e) => setFtWeekHours(e.target.value)} min="0" step="1" aria-label="FT hours per week" />
+                  <span className="input-group-text">h /</span>
+                  <input type="number" className="form-control" id="ftWeekDays" value={ftWeekDays} disabled={!weekRules}
+                    onChange={(e) => setFtWeekDays(e.target.value)} min="1" max="7" step="1" aria-label="FT days per week" />
+                  <span className="input-group-text">days</span>
+                </div>
+                <div className="form-text">Weeks run Monday to Sunday. FT also get two days off in a row.</div>
+              </div>
+              <div className="col-md-3">
+                <label htmlFor="ptWeekMinHours" className="form-label">PT hours per week</label>
+                <div className="input-group input-group-sm">
+                  <input type="number" className="form-control" id="ptWeekMinHours" value={ptWeekMinHours} disabled={!weekRules}
+                    onChange={(e) => setPtWeekMinHours(e.target.value)} min="0" step="1" placeholder="min" />
+                  <span className="input-group-text">to</span>
+                  <input type="number" className="form-control" id="ptWeekMaxHours" value={ptWeekMaxHours} disabled={!weekRules}
+                    onChange={(e) => setPtWeekMaxHours(e.target.value)} min="0" step="1" placeholder="max" aria-label="PT most hours per week" />
+                </div>
+                <div className="form-text">Minimums are checked on full weeks only.</div>
+              </div>
+              <div className="col-md-3">
+                <label htmlFor="minRestHours" className="form-label">Rest and days in a row</label>
+                <div className="input-group input-group-sm">
+                  <input type="number" className="form-control" id="minRestHours" value={minRestHours} disabled={!weekRules}
+                    onChange={(e) => setMinRestHours(e.target.value)} min="0" step="0.5" />
+                  <span className="input-group-text">h rest, at most</span>
+                  <input type="number" className="form-control" id="maxConsecutiveDays" value={maxConsecutiveDays} disabled={!weekRules}
+                    onChange={(e) => setMaxConsecutiveDays(e.target.value)} min="1" step="1" aria-label="Most days in a row" />
+                  <span className="input-group-text">days</span>
+                </div>
+              </div>
+              <div className="col-md-3">
+                <label htmlFor="breakOverHours" className="form-label">Break required over</label>
+                <div className="input-group input-group-sm">
+                  <input type="number" className="form-control" id="breakOverHours" value={breakOverHours} disabled={!weekRules}
+                    onChange={(e) => setBreakOverHours(e.target.value)} min="0" step="0.5" />
+                  <span className="input-group-text">h</span>
+                </div>
+                <div className="form-text">
+                  {weekRules && !employeePool.employees.length
+                    ? 'Planned agents are spread over the range as FT-n / PT-n people, then checked.'
+                    : 'Employee pools are planned within the rules; every roster is checked, hand edits included.'}
+                </div>
               </div>
             </div>
 
+            <ShiftTemplatesInput rows={shiftTemplates} onChange={setShiftTemplates} ptLen={ptLen} />
+
+            <EmployeePoolInput text={employeesText} onChange={setEmployeesText} parsed={employeePool} />
+
+            <QueuesInput text={queuesText} onChange={setQueuesText} parsed={queueList} />
+
+            <ShrinkageInput pct={shrinkagePct} onPctChange={setShrinkagePct} text={shrinkageText} onChange={setShrinkageText}
+              parsed={shrinkageList} capped={shrinkageCapped} />
+
             {error ? <div className="alert alert-danger mt-3 mb-0">{error}</div> : null}
+            {planError ? <div className="alert alert-danger mt-3 mb-0">Cannot plan with these inputs: {planError}</div> : null}
+            {planStale && (
+              <div className="alert alert-info mt-3 mb-0" id="planStale">
+                The optimal plan below uses the inputs from the last Generate. Press Generate Schedule to solve again with your changes.
+              </div>
+            )}
           </form>
         </div>
       </div>
 
+      {/* Week view when more than one day was fetched */}
+      {dayPlans.length > 1 && (
+        <WeekView
+          dayPlans={dayPlans}
+          activeDay={activeDay}
+          onSelectDay={setActiveDay}
+          exportWeekCSV={exportWeekCSV}
+          exportWeekRosterCSV={exportWeekRosterCSV}
+          exportWeekCalendars={() => exportCalendars(dayPlans)}
+        />
+      )}
+
+      {/* Week rules per employee */}
+      {weekCheck && dayPlans.some(Boolean) && (
+        <WeekRulesCheck check={weekCheck} dayPlans={dayPlans} onExport={exportWeekRulesCSV} />
+      )}
+
+      {/* Saved scenarios side by side */}
+      {dayPlans.length > 0 && (
+        <ScenarioWorkspace
+          current={{ dayPlans, totals: summarizeDays(dayPlans), form: formSnapshot() }}
+          scenarios={scenarioPlans}
+          activeDay={activeDay}
+          onSave={saveScenario}
+          onRemove={removeScenario}
+          onPromote={promoteScenario}
+        />
+      )}
+
       {/* Render once API data arrives */}
       {scheduleData && (
         <>
@@ -538,8 +875,24 @@ export default function App() {
                 <h5 className="card-title mb-0">
                   Hourly Requirements for {scheduleData.inputs.Date} ({scheduleData.inputs.Weekday})
                 </h5>
-                <span className="badge text-bg-info">ASA Threshold: {fmtFloat1.format(scheduleData.inputs.ASA_Threshold_Min)} min</span>
+                <div className="d-flex align-items-center gap-2">
+                  <button type="button" className="btn btn-sm btn-outline-secondary" onClick={exportHourlyCSV}>
+                    Export Hourly CSV
+                  </button>
+                  {aggregates?.erlang && (
+                    <span className="badge text-bg-secondary">AHT {fmtInt.format(aggregates.erlang.aht)} s</span>
+                  )}
+                  <span className="badge text-bg-info">ASA Threshold: {fmtFloat1.format(scheduleData.inputs.ASA_Threshold_Min)} min</span>
+                </div>
               </div>
+              {aggregates?.erlang && (
+                <div className={`alert ${aggregates.erlang.gapCount ? 'alert-warning' : 'alert-secondary'} py-2 small`}>
+                  Planning to {aggregates.requirementSource === 'erlang' ? 'Erlang C' : "the model's Staff"}.{' '}
+                  {aggregates.erlang.gapCount
+                    ? `Erlang C and the model differ by more than ${ERLANG_GAP_SHARE * 100}% (and 2+ agents) in ${aggregates.erlang.gapCount} of ${scheduleData.data.length} rows.`
+                    : 'Erlang C agrees with the model within tolerance in every row.'}
+                </div>
+              )}
               <div className="table-responsive">
                 <table className="table table-sm table-hover align-middle">
                   <thead className="table-light sticky-top">
@@ -550,6 +903,8 @@ export default function App() {
                       <th className="text-end">Predicted Calls</th>
                       <th className="text-end">ASA (min)</th>
                       <th className="text-end">Required Staff</th>
+                      {aggregates?.erlang && <th className="text-end">Erlang C</th>}
+                      {aggregates?.shrinkage && <th className="text-end">With shrinkage</th>}
                     </tr>
                   </thead>
                   <tbody>
@@ -558,11 +913,18 @@ export default function App() {
                       return (
                         <tr key={idx} className={breach ? 'table-danger' : ''}>
                           <td>{row.DateLabel}</td>
-                          <td>{row.Hour}:00</td>
+                          <td>{row.Minute === undefined ? `${row.Hour}:00` : hhmm(row.Hour * 60 + row.Minute)}</td>
                           <td>{row.Is_Weekend ? 'Yes' : 'No'}</td>
                           <td className="text-end">{fmtInt.format(Math.round(row.CALLS))}</td>
                           <td className="text-end">{fmtFloat1.format(row.ASA)}</td>
                           <td className="text-end">{fmtInt.format(Math.ceil(row.Staff))}</td>
+                          {aggregates?.erlang && (
+                            <td className={`text-end ${aggregates.erlang.gaps[idx] ? 'fw-semibold text-warning-emphasis' : ''}`}>
+                              {fmtInt.format(aggregates.erlang.byRow[idx])}
+                              {aggregates.erlang.gaps[idx] && <span className="badge text-bg-warning ms-1" title="Differs a lot from the model's Staff">gap</span>}
+                            </td>
+                          )}
+                          {aggregates?.shrinkage && <td className="text-end">{fmtInt.format(aggregates.shrinkage.byRow[idx])}</td>}
                         </tr>
                       );
                     })}
@@ -577,15 +939,51 @@ export default function App() {
             scheduleData={scheduleData}
             aggregates={aggregates}
             exportShiftCSV={exportShiftCSV}
+            exportWorkbook={exportWorkbook}
+          />
+
+          {/* Demand, coverage, shortage and ASA across the day */}
+          <DayCharts scheduleData={scheduleData} day={aggregates} />
+
+          {/* Forecast vs uploaded actuals */}
+          <ActualsComparison
+            actuals={actuals}
+            report={actualsReport}
+            forecastDate={scheduleData.inputs.Date}
+            thresholdMin={scheduleData.inputs.ASA_Threshold_Min}
+            onLoad={(text, name) => setActuals({ ...parseActuals(text), name })}
+            onClear={() => setActuals(null)}
+          />
+
+          {/* Intraday: re-forecast the rest of the day from calls so far, absences and fixes */}
+          <IntradayReplan
+            day={aggregates}
+            scheduleData={scheduleData}
+            actuals={actuals}
+            settings={planSettings}
+            onApply={editRoster}
           />
 
           {/* Recommended hires */}
-          {aggregates?.recs && (
-            <RecommendedHires recs={aggregates.recs} ptLenHours={aggregates.ptLenHours} />
-          )}
+          <RecommendedHires day={aggregates} settings={planSettings} />
+
+          {/* Timeline: drag shifts and lunches, coverage and caps re-counted live */}
+          <RosterGantt
+            day={aggregates}
+            overnight={planSettings.overnight}
+            chained={dayPlans.length > 1}
+            onEdit={editRoster}
+            onReset={resetRosterEdits}
+          />
 
           {/* Roster per employee with lunch windows */}
-          <RosterTable roster={aggregates?.roster} exportRosterCSV={exportRosterCSV} />
+          <RosterTable
+            roster={aggregates?.roster}
+            preferences={aggregates?.preferences}
+            onSwap={swapRoster}
+            exportRosterCSV={exportRosterCSV}
+            exportCalendars={(agent) => exportCalendars([aggregates], agent)}
+          />
         </>
       )}
     </div>
@@ -594,196 +992,1568 @@ export default function App() {
 
 /* ---------- subcomponents ---------- */
 
-function ShiftAndCoverage({ scheduleData, aggregates, exportShiftCSV }) {
-  if (!aggregates?.plan) return null;
-  const p = aggregates.plan;
+function EmployeePoolInput({ text, onChange, parsed }) {
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    file.text().then(onChange);
+    e.target.value = '';
+  };
+  const ft = parsed.employees.filter((x) => x.type === 'FT').length;
   return (
-    <div className="card shadow-sm mb-4">
-      <div className="card-body">
-        <div className="d-flex flex-wrap align-items-center justify-content-between mb-2">
-          <h5 className="card-title mb-0">Shift Plan</h5>
-          <div className="d-flex align-items-center gap-2">
-            <span className="badge text-bg-secondary">Capped full timers {fmtInt.format(p.limits.capFT)}</span>
-            <span className="badge text-bg-secondary">Capped part timers {fmtInt.format(p.limits.capPT)}</span>
-            <span className="badge text-bg-info">Total FT {fmtInt.format(p.limits.maxFTShifts)}</span>
-            <span className="badge text-bg-info">Total PT {fmtInt.format(p.limits.maxPTShifts)}</span>
-            <span className="badge text-bg-primary">Max concurrent {fmtInt.format(p.maxConcurrent)}</span>
-          </div>
+    <div className="row g-3 mt-1">
+      <div className="col-12">
+        <label htmlFor="employees" className="form-label">Employee pool (optional)</label>
+        <textarea id="employees" className="form-control font-monospace" rows={4} value={text}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={'Name,Type,EarliestStart,LatestEnd,DaysOff,Skills,PreferStart,AvoidDays\nAna Ruiz,FT,07:00,19:00,Sat;Sun,English;Spanish,07:00-09:00,Fri\nLee Park,PT,16:00,23:00,,Billing'} />
+        <div className="d-flex flex-wrap align-items-center gap-2 mt-2">
+          <input type="file" accept=".csv,text/csv,text/plain" className="form-control form-control-sm w-auto" onChange={onFile} />
+          {parsed.employees.length > 0 && (
+            <span className="badge text-bg-info">{parsed.employees.length} employees: {ft} FT, {parsed.employees.length - ft} PT</span>
+          )}
         </div>
-
-        {p.hoursShort > 0 && (
-          <div className="alert alert-warning">
-            Unmet demand for {p.hoursShort} hours. Short units {fmtInt.format(p.totalShortUnits)}.
+        <div className="form-text">
+          When loaded, shifts are only placed inside someone's window and each shift goes to a named person. The pool replaces blank totals.
+          Skills are the queues a person can take (separated by ;); blank means every queue.
+          PreferStart and AvoidDays are wishes: the planner follows them where coverage allows and reports how many it met.
+        </div>
+        {parsed.errors.length > 0 && (
+          <div className="alert alert-warning mt-2 mb-0 small">
+            {parsed.errors.slice(0, 5).map((m) => <div key={m}>{m}</div>)}
+            {parsed.errors.length > 5 && <div>and {parsed.errors.length - 5} more</div>}
           </div>
         )}
-
-        <div className="row g-3">
-          <div className="col-12 col-lg-6">
-            <h6 className="text-body-secondary">Full time shifts (8h)</h6>
-            <div className="table-responsive">
-              <table className="table table-sm align-middle">
-                <thead className="table-light">
-                  <tr><th>Start</th><th>End</th><th className="text-end">Agents</th></tr>
-                </thead>
-                <tbody>
-                  {p.shiftsFT.map((s, i) => (
-                    <tr key={`ft-${i}`}><td>{s.start}:00</td><td>{s.end}:00</td><td className="text-end">{fmtInt.format(s.count)}</td></tr>
-                  ))}
-                  {p.shiftsFT.length === 0 && <tr><td colSpan={3} className="text-body-secondary">No FT shifts</td></tr>}
-                </tbody>
-              </table>
-            </div>
-
-            <h6 className="text-body-secondary mt-3">Part time shifts</h6>
-            <div className="table-responsive">
-              <table className="table table-sm align-middle">
-                <thead className="table-light">
-                  <tr><th>Start</th><th>End</th><th className="text-end">Agents</th></tr>
-                </thead>
-                <tbody>
-                  {p.shiftsPT.map((s, i) => (
-                    <tr key={`pt-${i}`}><td>{s.start}:00</td><td>{s.end}:00</td><td className="text-end">{fmtInt.format(s.count)}</td></tr>
-                  ))}
-                  {p.shiftsPT.length === 0 && <tr><td colSpan={3} className="text-body-secondary">No PT shifts</td></tr>}
-                </tbody>
-              </table>
-            </div>
-          </div>
-
-          <div className="col-12 col-lg-6">
-            <h6 className="text-body-secondary">Coverage vs Requirement</h6>
-            <div className="table-responsive">
-              <table className="table table-sm align-middle">
-                <thead className="table-light">
-                  <tr>
-                    <th>Hour</th>
-                    <th className="text-end">Required</th>
-                    <th className="text-end">Coverage</th>
-                    <th className="text-end">Short</th>
-                    <th className="text-end">Excess</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {Array.from({ length: 24 }, (_, h) => {
-                    const req = p.required[h] ?? 0;
-                    const cov = p.coverage[h] ?? 0;
-                    const short = Math.max(0, req - cov);
-                    const over = Math.max(0, cov - req);
-                    const cls = short ? 'table-danger' : over ? 'table-warning' : '';
-                    return (
-                      <tr key={h} className={cls}>
-                        <td>{h}:00</td>
-                        <td className="text-end">{fmtInt.format(req)}</td>
-                        <td className="text-end">{fmtInt.format(cov)}</td>
-                        <td className="text-end">{short ? fmtInt.format(short) : ''}</td>
-                        <td className="text-end">{over ? fmtInt.format(over) : ''}</td>
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
-            </div>
-
-            <div className="alert alert-secondary mt-2 mb-0">
-              <strong>How to read this:</strong>
-              <ul className="mb-0">
-                <li><strong>Required</strong> is the model target per hour.</li>
-                <li><strong>Coverage</strong> is what the shifts provide under caps and headcount.</li>
-                <li><strong>Short</strong> is unmet headcount that hour.</li>
-                <li><strong>Excess</strong> is overage from packing fixed shift lengths.</li>
-              </ul>
-            </div>
-          </div>
-        </div>
-
-        <div className="d-flex gap-2 mt-3">
-          <button type="button" className="btn btn-outline-info" onClick={exportShiftCSV}>
-            Export Shift Plan CSV
-          </button>
-        </div>
       </div>
     </div>
   );
 }
 
-function RecommendedHires({ recs, ptLenHours }) {
+function QueuesInput({ text, onChange, parsed }) {
   return (
-    <div className="card border-0 shadow-sm mb-4">
-      <div className="card-body">
-        <div className="d-flex align-items-center justify-content-between mb-2">
-          <h5 className="card-title mb-0">Recommended hires</h5>
-          <span className="badge text-bg-secondary">
-            Short staff-hours: {fmtInt.format(recs.totalShort)} • Peak short: {fmtInt.format(recs.peakShort)}
-          </span>
+    <div className="row g-3 mt-1">
+      <div className="col-12">
+        <label htmlFor="queues" className="form-label">Queues (optional)</label>
+        <textarea id="queues" className="form-control font-monospace" rows={3} value={text}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={'Name,Share\nEnglish,60\nSpanish,25\nBilling,15'} />
+        {parsed.queues.length > 0 && (
+          <div className="d-flex flex-wrap gap-2 mt-2">
+            {parsed.queues.map((q) => <span key={q.name} className="badge text-bg-info">{q.name} {fmtPct.format(q.share)}</span>)}
+          </div>
+        )}
+        <div className="form-text">
+          Plans each queue's demand separately. A queue takes its share of the calls and the requirement, unless /schedule rows carry
+          its own numbers under Queues. Agents only cover queues in their skills (Employee pool); without a pool every agent takes every queue.
+        </div>
+        {parsed.errors.length > 0 && (
+          <div className="alert alert-warning mt-2 mb-0 small">
+            {parsed.errors.map((m) => <div key={m}>{m}</div>)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ShrinkageInput({ pct, onPctChange, text, onChange, parsed, capped }) {
+  const overall = parseFloat(pct);
+  return (
+    <div className="row g-3 mt-1">
+      <div className="col-md-3">
+        <label htmlFor="shrinkagePct" className="form-label">Shrinkage (%)</label>
+        <input type="number" className="form-control" id="shrinkagePct" value={pct}
+          onChange={(e) => onPctChange(e.target.value)} min="0" max={MAX_SHRINKAGE_PCT} step="0.5" placeholder="0" />
+        <div className="form-text">
+          Share of scheduled time off the phones every hour: absence, meetings, coaching, off-phone work. Lunches and breaks are already planned.
+        </div>
+        {!(overall >= 0 && overall < 100) && pct !== '' && (
+          <div className="text-danger small">Shrinkage must be a number from 0 to under 100.</div>
+        )}
+      </div>
+      <div className="col-md-9">
+        <label htmlFor="shrinkage" className="form-label">Shrinkage by day and hour (optional)</label>
+        <textarea id="shrinkage" className="form-control font-monospace" rows={3} value={text}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={'Days,Hours,Percent,Reason\nMonday,14:00-16:00,15,Team meeting\nSaturday Sunday,,5,Absence'} />
+        {parsed.rules.length > 0 && (
+          <div className="d-flex flex-wrap gap-2 mt-2">
+            {parsed.rules.map((r, i) => (
+              <span key={i} className="badge text-bg-info">
+                {r.days.length ? r.days.join(' ') : 'Every day'} {r.from === 0 && r.to === 24 ? 'all day' : `${hhmm(r.from * 60)}-${hhmm(r.to * 60)}`}{' '}
+                +{fmtFloat1.format(r.pct)}%{r.reason ? ` ${r.reason}` : ''}
+              </span>
+            ))}
+          </div>
+        )}
+        <div className="form-text">
+          Each matching rule adds to the overall percentage (up to {MAX_SHRINKAGE_PCT}%). Days are weekday names or YYYY-MM-DD, blank for every day.
+          The requirement is grossed up to required / (1 - shrinkage) before shifts are planned.
+        </div>
+        {parsed.errors.length + capped.length > 0 && (
+          <div className="alert alert-warning mt-2 mb-0 small">
+            {parsed.errors.map((m) => <div key={m}>{m}</div>)}
+            {capped.map((m) => <div key={m}>{m}</div>)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ShiftTemplatesInput({ rows, onChange, ptLen }) {
+  const update = (id, patch) => onChange(rows.map((t) => (t.id === id ? { ...t, ...patch } : t)));
+  const add = () => onChange([...rows, {
+    id: `tpl-${Date.now()}`, name: `Template ${rows.length + 1}`, type: 'FT', length: '10',
+    earliest: '', latest: '', paidLunch: false, cap: '', enabled: true,
+  }]);
+  return (
+    <div className="row g-3 mt-1">
+      <div className="col-12">
+        <div className="d-flex align-items-center justify-content-between mb-1">
+          <label className="form-label mb-0">Shift templates</label>
+          <button type="button" className="btn btn-sm btn-outline-secondary" id="addTemplate" onClick={add}>Add template</button>
+        </div>
+        <div className="table-responsive">
+          <table className="table table-sm align-middle mb-1">
+            <thead className="table-light">
+              <tr>
+                <th>On</th><th>Name</th><th>Type</th><th>Length (h)</th><th>Earliest start</th><th>Latest start</th>
+                <th>Lunch</th><th>Max per day</th><th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((t) => {
+                const err = checkTemplate(t, rows);
+                return (
+                  <tr key={t.id} className={t.enabled ? '' : 'text-body-secondary'}>
+                    <td>
+                      <input className="form-check-input" type="checkbox" checked={t.enabled} aria-label={`Use ${t.name}`}
+                        onChange={(e) => update(t.id, { enabled: e.target.checked })} />
+                    </td>
+                    <td>
+                      <input className={`form-control form-control-sm ${err ? 'is-invalid' : ''}`} value={t.name}
+                        onChange={(e) => update(t.id, { name: e.target.value })} />
+                      {err && <div className="invalid-feedback">{err}</div>}
+                    </td>
+                    <td>
+                      <select className="form-select form-select-sm" value={t.type} disabled={t.followsPtLen}
+                        onChange={(e) => update(t.id, { type: e.target.value })}>
+                        <option value="FT">FT</option>
+                        <option value="PT">PT</option>
+                      </select>
+                    </td>
+                    <td style={{ maxWidth: 90 }}>
+                      {t.followsPtLen
+                        ? <span className="small" title="Follows the Part-time length inputs">{ptLen} (PT length)</span>
+                        : <input type="number" className="form-control form-control-sm" value={t.length} min="0.5" max={MAX_SHIFT_HOURS} step="0.5"
+                            onChange={(e) => update(t.id, { length: e.target.value })} />}
+                    </td>
+                    <td style={{ maxWidth: 90 }}>
+                      <input className="form-control form-control-sm" value={t.earliest} placeholder="00:00"
+                        onChange={(e) => update(t.id, { earliest: e.target.value })} />
+                    </td>
+                    <td style={{ maxWidth: 90 }}>
+                      <input className="form-control form-control-sm" value={t.latest} placeholder="any"
+                        onChange={(e) => update(t.id, { latest: e.target.value })} />
+                    </td>
+                    <td>
+                      <select className="form-select form-select-sm" value={t.paidLunch ? 'paid' : 'unpaid'}
+                        onChange={(e) => update(t.id, { paidLunch: e.target.value === 'paid' })}>
+                        <option value="unpaid">Unpaid</option>
+                        <option value="paid">Paid</option>
+                      </select>
+                    </td>
+                    <td style={{ maxWidth: 80 }}>
+                      <input type="number" className="form-control form-control-sm" value={t.cap} min="0" step="1" placeholder="any"
+                        onChange={(e) => update(t.id, { cap: e.target.value })} />
+                    </td>
+                    <td className="text-end">
+                      {!t.followsPtLen && (
+                        <button type="button" className="btn btn-sm btn-link text-danger" onClick={() => onChange(rows.filter((o) => o.id !== t.id))}>
+                          Remove
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <div className="form-text">
+          The planner picks from every enabled template. Starts are in hours (7 or 07:00); FT/PT caps and totals still apply across templates of a type.
+          An unpaid lunch comes off the paid hours.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function WeekView({ dayPlans, activeDay, onSelectDay, exportWeekCSV, exportWeekRosterCSV, exportWeekCalendars }) {
+  const t = summarizeDays(dayPlans);
+  return (
+    <div className="card shadow-sm mb-4">
+      <div className="card-body">
+        <div className="d-flex flex-wrap align-items-center justify-content-between mb-2">
+          <h5 className="card-title mb-0">Week view</h5>
+          <div className="d-flex align-items-center gap-2">
+            <span className="badge text-bg-secondary">Days {fmtInt.format(t.days)}</span>
+            <span className={`badge ${t.shortUnits ? 'text-bg-danger' : 'text-bg-success'}`}>Short units {fmtNum.format(t.shortUnits)}</span>
+            <span className="badge text-bg-warning">Excess {fmtNum.format(t.excess)}</span>
+          </div>
+        </div>
+
+        <div className="table-responsive">
+          <table className="table table-sm table-hover align-middle">
+            <thead className="table-light">
+              <tr>
+                <th>Date</th>
+                <th>Day</th>
+                <th className="text-end">PT length</th>
+                <th className="text-end">Required (staff-h)</th>
+                <th className="text-end">Coverage (staff-h)</th>
+                <th className="text-end">Short units</th>
+                <th className="text-end">Hours short</th>
+                <th className="text-end">Excess</th>
+                <th className="text-end">FT</th>
+                <th className="text-end">PT</th>
+                <th className="text-end">ASA breaches</th>
+                {t.cost !== null && <th className="text-end">Cost</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {dayPlans.map((d, i) => {
+                if (!d) return null;
+                const p = d.plan;
+                const req = d.hourly.required.reduce((s, v) => s + v, 0);
+                const cov = d.hourly.coverage.reduce((s, v) => s + v, 0);
+                const over = d.hourly.excess.reduce((s, v) => s + v, 0);
+                const cls = i === activeDay ? 'table-primary' : p.totalShortUnits ? 'table-danger' : '';
+                return (
+                  <tr key={d.date} className={cls} style={{ cursor: 'pointer' }} onClick={() => onSelectDay(i)}>
+                    <td>{d.date}</td>
+                    <td>{d.weekday}{d.weekend ? ' (weekend)' : ''}</td>
+                    <td className="text-end">{d.ptLenHours}h</td>
+                    <td className="text-end">{fmtNum.format(req)}</td>
+                    <td className="text-end">{fmtNum.format(cov)}</td>
+                    <td className="text-end">{p.totalShortUnits ? fmtNum.format(p.totalShortUnits) : ''}</td>
+                    <td className="text-end">{p.hoursShort ? fmtNum.format(p.hoursShort) : ''}</td>
+                    <td className="text-end">{over ? fmtNum.format(over) : ''}</td>
+                    <td className="text-end">{fmtInt.format(d.roster.filter((r) => r.type === 'FT').length)}</td>
+                    <td className="text-end">{fmtInt.format(d.roster.filter((r) => r.type === 'PT').length)}</td>
+                    <td className="text-end">{d.breaches}/{d.hours}</td>
+                    {t.cost !== null && <td className="text-end">{d.cost ? fmtMoney.format(d.cost.total) : ''}</td>}
+                  </tr>
+                );
+              })}
+            </tbody>
+            <tfoot className="table-light fw-semibold">
+              <tr>
+                <td colSpan={3}>Total</td>
+                <td className="text-end">{fmtNum.format(t.required)}</td>
+                <td className="text-end">{fmtNum.format(t.coverage)}</td>
+                <td className="text-end">{fmtNum.format(t.shortUnits)}</td>
+                <td className="text-end">{fmtNum.format(t.hoursShort)}</td>
+                <td className="text-end">{fmtNum.format(t.excess)}</td>
+                <td className="text-end">{fmtInt.format(t.ft)}</td>
+                <td className="text-end">{fmtInt.format(t.pt)}</td>
+                <td className="text-end">{fmtInt.format(t.breaches)}</td>
+                {t.cost !== null && <td className="text-end">{fmtMoney.format(t.cost)}</td>}
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+
+        <h6 className="text-body-secondary mt-3">Coverage / Required by hour</h6>
+        <div className="table-responsive">
+          <table className="table table-sm table-bordered align-middle small mb-2">
+            <thead className="table-light">
+              <tr>
+                <th>Hour</th>
+                {dayPlans.map((d) => d && <th key={d.date} className="text-center">{d.weekday.slice(0, 3)} {d.date.slice(5)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {Array.from({ length: 24 }, (_, h) => (
+                <tr key={h}>
+                  <td>{h}:00</td>
+                  {dayPlans.map((d) => {
+                    if (!d) return null;
+                    const req = d.hourly.required[h];
+                    const cov = d.hourly.coverage[h];
+                    const cls = d.hourly.shortage[h] ? 'table-danger' : d.hourly.excess[h] ? 'table-warning' : '';
+                    return <td key={d.date} className={`text-center ${cls}`}>{fmtNum.format(cov)}/{fmtNum.format(req)}</td>;
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="text-body-secondary small">
+          Each day is planned with its own weekday or weekend rules. Click a day to open its shift plan, coverage and roster below.
+        </div>
+
+        <div className="d-flex gap-2 mt-3">
+          <button type="button" className="btn btn-outline-info" onClick={exportWeekCSV}>
+            Export Week Plan CSV
+          </button>
+          <button type="button" className="btn btn-outline-secondary" onClick={exportWeekRosterCSV}>
+            Export Week Roster CSV
+          </button>
+          <button type="button" className="btn btn-outline-secondary" onClick={exportWeekCalendars} title="One .ics file per employee, zipped">
+            Export Week Calendars
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// employee x date grid of the range's shifts with weekly totals and every week-rule violation
+function WeekRulesCheck({ check, dayPlans, onExport }) {
+  const dates = dayPlans.filter(Boolean);
+  const shown = check.violations.length ? check.people.filter((p) => p.violations.length) : check.people;
+  const [all, setAll] = useState(false);
+  const people = all ? check.people : shown;
+  return (
+    <div className="card shadow-sm mb-4">
+      <div className="card-body">
+        <div className="d-flex flex-wrap align-items-center justify-content-between mb-2">
+          <h5 className="card-title mb-0">Week rules</h5>
+          <div className="d-flex align-items-center gap-2">
+            <span className="badge text-bg-secondary">People {fmtInt.format(check.people.length)}</span>
+            <span className={`badge ${check.violations.length ? 'text-bg-danger' : 'text-bg-success'}`}>
+              Violations {fmtInt.format(check.violations.length)}
+            </span>
+          </div>
+        </div>
+        <div className="table-responsive">
+          <table className="table table-sm table-bordered align-middle small mb-2">
+            <thead className="table-light">
+              <tr>
+                <th>Employee</th>
+                {dates.map((d) => <th key={d.date} className="text-center">{d.weekday.slice(0, 3)} {d.date.slice(5)}</th>)}
+                <th className="text-end">Days</th>
+                <th className="text-end">Hours</th>
+                <th className="text-end">Weekend days</th>
+                <th>Violations</th>
+              </tr>
+            </thead>
+            <tbody>
+              {people.map((p) => (
+                <tr key={p.agent} className={p.violations.length ? 'table-danger' : ''}>
+                  <td>{p.agent} <span className="text-body-secondary">{p.type}</span></td>
+                  {dates.map((d) => {
+                    const x = p.shifts.find((sh) => sh.date === d.date);
+                    const flagged = p.violations.some((v) => v.date === d.date);
+                    return (
+                      <td key={d.date} className={`text-center text-nowrap ${flagged ? 'fw-semibold text-danger' : ''}`}>
+                        {x ? `${hhmm(x.start * 60)}-${hhmm(x.end * 60)}` : <span className="text-body-secondary">off</span>}
+                      </td>
+                    );
+                  })}
+                  <td className="text-end">{p.days}</td>
+                  <td className="text-end">{fmtNum.format(p.hours)}</td>
+                  <td className="text-end">{p.weekendDays}</td>
+                  <td>{p.violations.map((v) => <div key={`${v.date}-${v.rule}-${v.message}`}>{v.date}: {v.message}</div>)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="d-flex flex-wrap align-items-center gap-2">
+          {check.violations.length > 0 && (
+            <button type="button" className="btn btn-link btn-sm p-0" onClick={() => setAll((v) => !v)}>
+              {all ? 'Only employees with violations' : `Show all ${check.people.length} employees`}
+            </button>
+          )}
+          <button type="button" className="btn btn-outline-secondary btn-sm ms-auto" onClick={onExport}>
+            Export Week Rules CSV
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ScenarioWorkspace({ current, scenarios, activeDay, onSave, onRemove, onPromote }) {
+  const [name, setName] = useState('');
+  const activeKey = JSON.stringify(current.form);
+  const rows = [
+    { id: 'current', name: 'Current inputs', color: '#212529', ...current },
+    ...scenarios.map((sc, i) => ({ ...sc, color: SCENARIO_COLORS[i % SCENARIO_COLORS.length] })),
+  ];
+  const cols = [
+    ['Short units', (t) => t.shortUnits],
+    ['Hours short', (t) => t.hoursShort],
+    ['Excess', (t) => t.excess],
+    ['Paid hours', (t) => t.paidHours],
+    ['Cost', (t) => t.cost, fmtMoney],
+  ];
+  // lowest value per column across saved scenarios and the current inputs
+  const best = cols.map(([, get]) => Math.min(...rows.filter((r) => r.totals).map((r) => get(r.totals) ?? Infinity)));
+  const day = rows[0].dayPlans[activeDay];
+  return (
+    <div className="card shadow-sm mb-4">
+      <div className="card-body">
+        <div className="d-flex flex-wrap align-items-center justify-content-between gap-2 mb-2">
+          <h5 className="card-title mb-0">Scenarios</h5>
+          <form className="d-flex gap-2" onSubmit={(e) => { e.preventDefault(); onSave(name); setName(''); }}>
+            <input className="form-control form-control-sm" id="scenarioName" value={name} placeholder={describeScenario(current.form)}
+              onChange={(e) => setName(e.target.value)} aria-label="Scenario name" />
+            <button type="submit" className="btn btn-sm btn-outline-primary text-nowrap" id="saveScenario">Save scenario</button>
+          </form>
+        </div>
+
+        <div className="table-responsive">
+          <table className="table table-sm align-middle">
+            <thead className="table-light">
+              <tr>
+                <th>Scenario</th>
+                {cols.map(([label]) => <th key={label} className="text-end">{label}</th>)}
+                <th className="text-end">Headcount</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => {
+                const t = r.totals;
+                const isActive = r.id !== 'current' && JSON.stringify(r.form) === activeKey;
+                return (
+                  <tr key={r.id}>
+                    <td>
+                      <span className="d-inline-block rounded-circle me-2" style={{ width: 10, height: 10, background: r.color }} />
+                      {r.name}
+                      {isActive && <span className="badge text-bg-primary ms-2">active</span>}
+                    </td>
+                    {r.error ? (
+                      <td colSpan={cols.length + 1} className="text-danger small">Cannot plan with these inputs: {r.error}</td>
+                    ) : cols.map(([label, get, fmt = fmtNum], k) => {
+                      const v = get(t);
+                      return (
+                        <td key={label} className={`text-end ${v !== null && v === best[k] && rows.length > 1 ? 'fw-semibold text-success' : ''}`}>
+                          {v === null ? '—' : fmt.format(v)}
+                        </td>
+                      );
+                    })}
+                    {!r.error && <td className="text-end">{fmtInt.format(t.ft)} FT + {fmtInt.format(t.pt)} PT</td>}
+                    <td className="text-end text-nowrap">
+                      {r.id !== 'current' && (
+                        <>
+                          <button type="button" className="btn btn-sm btn-link" disabled={isActive} onClick={() => onPromote(r)}>Promote</button>
+                          <button type="button" className="btn btn-sm btn-link text-danger" onClick={() => onRemove(r.id)}>Remove</button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {day && (
+          <>
+            <h6 className="text-body-secondary">Coverage by hour, {day.date} ({day.weekday})</h6>
+            <CoverageOverlay required={day.hourly.required} series={rows.map((r) => ({
+              key: r.id, color: r.color, dashed: r.id === 'current', values: r.dayPlans[activeDay]?.hourly.coverage || [],
+            }))} />
+          </>
+        )}
+        <div className="text-body-secondary small mt-2">
+          Each scenario re-plans the fetched days with its own saved inputs{rows[0].totals.days > 1 ? '; totals cover every day and headcount is summed across days' : ''}.
+          Cost needs an FT or PT pay rate. Promote copies a scenario's inputs into the form so it becomes the active plan.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// the day's four charts; they follow the active plan, so every input change and roster edit redraws them
+function DayCharts({ scheduleData, day }) {
+  if (!day?.plan) return null;
+  const hr = day.hourly;
+  const calls = Array(24).fill(0);
+  const asa = Array(24).fill(null);
+  for (const r of scheduleData.data) {
+    calls[r.Hour] += r.CALLS ?? 0;
+    asa[r.Hour] = r.ASA ?? null;
+  }
+  const threshold = scheduleData.inputs.ASA_Threshold_Min;
+  const file = (name) => `${name}_${day.date}`;
+  return (
+    <div className="card shadow-sm mb-4">
+      <div className="card-body">
+        <h5 className="card-title">Charts</h5>
+        <div className="row g-4">
+          <div className="col-lg-6">
+            <HourlyChart
+              title={`Predicted calls, ${day.date}`} file={file('calls')}
+              series={[{ key: 'calls', kind: 'bars', label: 'Predicted calls', color: '#6f42c1', values: calls }]}
+            />
+          </div>
+          <div className="col-lg-6">
+            <HourlyChart
+              title={`Required vs planned coverage, ${day.date}`} file={file('coverage')}
+              series={[
+                { key: 'req', kind: 'area', label: 'Required', color: '#adb5bd', values: hr.required },
+                { key: 'cov', kind: 'step', label: 'Coverage', color: '#0d6efd', values: hr.coverage },
+                { key: 'phone', kind: 'step', label: 'On phone (after lunches, breaks)', color: '#198754', dashed: true, values: hr.onPhone },
+              ]}
+            />
+          </div>
+          <div className="col-lg-6">
+            <HourlyChart
+              title={`Shortage and excess, ${day.date}`} file={file('short_excess')}
+              series={[
+                { key: 'short', kind: 'bars', label: 'Short', color: '#dc3545', values: hr.shortage },
+                { key: 'excess', kind: 'bars', label: 'Excess', color: '#6c757d', values: hr.excess.map((v) => -v) },
+              ]}
+            />
+          </div>
+          <div className="col-lg-6">
+            <HourlyChart
+              title={`ASA (min) vs threshold, ${day.date}`} file={file('asa')}
+              series={[
+                { key: 'asa', kind: 'line', label: 'Predicted ASA', color: '#fd7e14', values: asa },
+                ...(day.service ? [{
+                  key: 'proj', kind: 'line', label: 'Projected with plan', color: '#0d6efd', dashed: true,
+                  values: day.service.hourly.map((x) => x.asa / 60),
+                }] : []),
+              ]}
+              refLine={{ value: threshold, label: `Threshold ${threshold} min`, color: '#dc3545' }}
+            />
+          </div>
+        </div>
+        <div className="text-body-secondary small mt-2">
+          Hourly values; at 15 or 30 minute intervals coverage, shortage and excess are the hour's average. Excess is drawn below the axis. Projected ASA needs an AHT; overloaded hours are drawn at the top.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// 1, 2 or 5 times a power of ten, at or above v
+const niceCeil = (v) => {
+  if (!(v > 0)) return 1;
+  const p = 10 ** Math.floor(Math.log10(v));
+  return [1, 2, 5, 10].find((m) => m * p >= v) * p;
+};
+
+// one 24-hour chart, title and legend inside the SVG so the exported file stands alone.
+// series: { key, kind: bars | area | step | line, label, color, dashed?, values (24, null = gap) }
+function HourlyChart({ title, file, series, refLine }) {
+  const svgRef = useRef(null);
+  const W = 480, H = 230, L = 36, R = 10, T = 44, B = 22;
+  const finite = series.flatMap((sr) => sr.values).filter((v) => v !== null && Number.isFinite(v));
+  const max = niceCeil(Math.max(...finite, refLine?.value ?? 0, 0));
+  const low = Math.min(0, ...finite);
+  const min = low < 0 ? -niceCeil(-low) : 0;
+  const x = (h) => L + (h * (W - L - R)) / 24;
+  const y = (v) => T + ((max - Math.min(max, v)) / (max - min)) * (H - T - B);
+  const step = (vals) => vals.map((v, h) => `${h ? 'V' : `M${x(0)}`} ${y(v)} H ${x(h + 1)}`).join(' ');
+  const line = (vals) => vals.map((v, h) => (v === null ? '' : `${h && vals[h - 1] !== null ? 'L' : 'M'} ${x(h + 0.5)} ${y(v === Infinity ? max : v)}`)).join(' ');
+  const ticks = [...new Set([min, 0, max / 2, max])];
+  let lx = L;
+  const legend = [...series, ...(refLine ? [{ key: 'ref', label: refLine.label, color: refLine.color, dashed: true }] : [])].map((sr) => {
+    const at = lx;
+    lx += 22 + sr.label.length * 6;
+    return { ...sr, at };
+  });
+
+  return (
+    <div>
+      <div className="d-flex justify-content-end gap-2 mb-1">
+        <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => downloadSVG(svgRef.current, `${file}.svg`)}>SVG</button>
+        <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => downloadPNG(svgRef.current, `${file}.png`)}>PNG</button>
+      </div>
+      <svg ref={svgRef} viewBox={`0 0 ${W} ${H}`} className="w-100" role="img" aria-label={title} fontFamily="system-ui, -apple-system, 'Segoe UI', Roboto, Arial, sans-serif">
+        <rect x="0" y="0" width={W} height={H} fill="#fff" />
+        <text x={L} y="14" fontSize="12" fontWeight="600" fill="#212529">{title}</text>
+        {legend.map((sr) => (
+          <g key={sr.key}>
+            <line x1={sr.at} x2={sr.at + 14} y1="30" y2="30" stroke={sr.color} strokeWidth={sr.kind === 'bars' || sr.kind === 'area' ? 8 : 2} strokeDasharray={sr.dashed ? '4 2' : undefined} />
+            <text x={sr.at + 18} y="33" fontSize="10" fill="#495057">{sr.label}</text>
+          </g>
+        ))}
+        {ticks.map((v) => (
+          <g key={v}>
+            <line x1={L} x2={W - R} y1={y(v)} y2={y(v)} stroke={v === 0 ? '#adb5bd' : '#e9ecef'} />
+            <text x={L - 4} y={y(v) + 3} fontSize="10" textAnchor="end" fill="#6c757d">{fmtNum.format(Math.abs(v))}</text>
+          </g>
+        ))}
+        {Array.from({ length: 9 }, (_, i) => i * 3).map((h) => (
+          <text key={h} x={x(h)} y={H - 6} fontSize="10" textAnchor="middle" fill="#6c757d">{h}:00</text>
+        ))}
+        {series.map((sr) => {
+          if (sr.kind === 'area') return <path key={sr.key} d={`${step(sr.values)} V ${y(0)} H ${x(0)} Z`} fill={sr.color} fillOpacity="0.4" stroke="none" />;
+          if (sr.kind === 'step') return <path key={sr.key} d={step(sr.values)} fill="none" stroke={sr.color} strokeWidth="2" strokeDasharray={sr.dashed ? '5 3' : undefined} />;
+          if (sr.kind === 'line') return <path key={sr.key} d={line(sr.values)} fill="none" stroke={sr.color} strokeWidth="2" strokeDasharray={sr.dashed ? '5 3' : undefined} />;
+          // bars: negative values hang below the axis
+          const w = (W - L - R) / 24;
+          return (
+            <g key={sr.key} fill={sr.color}>
+              {sr.values.map((v, h) => v ? (
+                <rect key={h} x={x(h) + w * 0.1} width={w * 0.8} y={Math.min(y(v), y(0))} height={Math.abs(y(v) - y(0))}>
+                  <title>{`${h}:00 ${sr.label} ${fmtNum.format(Math.abs(v))}`}</title>
+                </rect>
+              ) : null)}
+            </g>
+          );
+        })}
+        {refLine && <line x1={L} x2={W - R} y1={y(refLine.value)} y2={y(refLine.value)} stroke={refLine.color} strokeWidth="1.5" strokeDasharray="6 3" />}
+      </svg>
+    </div>
+  );
+}
+
+// step lines per series over the shaded requirement, 24 hourly values each
+function CoverageOverlay({ required, series }) {
+  const W = 720, H = 200, L = 32, R = 8, T = 8, B = 22;
+  const max = Math.max(1, ...required, ...series.flatMap((x) => x.values));
+  const x = (h) => L + (h * (W - L - R)) / 24;
+  const y = (v) => T + (1 - v / max) * (H - T - B);
+  const step = (vals) => vals.map((v, h) => `${h ? 'V' : `M${x(0)}`} ${y(v)} H ${x(h + 1)}`).join(' ');
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-100" role="img" aria-label="Coverage by scenario">
+      <path d={`${step(required)} V ${y(0)} H ${x(0)} Z`} fill="#adb5bd" fillOpacity="0.35" stroke="none" />
+      {[...new Set([0, Math.round(max / 2), max])].map((v) => (
+        <g key={v}>
+          <line x1={L} x2={W - R} y1={y(v)} y2={y(v)} stroke="#dee2e6" />
+          <text x={L - 4} y={y(v) + 4} fontSize="10" textAnchor="end" fill="#6c757d">{v}</text>
+        </g>
+      ))}
+      {Array.from({ length: 9 }, (_, i) => i * 3).map((h) => (
+        <text key={h} x={x(h)} y={H - 6} fontSize="10" textAnchor="middle" fill="#6c757d">{h}:00</text>
+      ))}
+      {series.map((sr) => sr.values.length > 0 && (
+        <path key={sr.key} d={step(sr.values)} fill="none" stroke={sr.color} strokeWidth="2" strokeDasharray={sr.dashed ? '5 3' : undefined} />
+      ))}
+    </svg>
+  );
+}
+
+function ShiftAndCoverage({ scheduleData, aggregates, exportShiftCSV, exportWorkbook }) {
+  if (!aggregates?.plan) return null;
+  const p = aggregates.plan;
+  return (
+    <div className="card shadow-sm mb-4">
+      <div className="card-body">
+        <div className="d-flex flex-wrap align-items-center justify-content-between mb-2">
+          <h5 className="card-title mb-0">Shift Plan</h5>
+          <div className="d-flex align-items-center gap-2">
+            <span className="badge text-bg-secondary">Capped full timers {fmtInt.format(p.limits.capFT)}</span>
+            <span className="badge text-bg-secondary">Capped part timers {fmtInt.format(p.limits.capPT)}</span>
+            <span className="badge text-bg-info">Total FT {fmtInt.format(p.limits.maxFTShifts)}</span>
+            <span className="badge text-bg-info">Total PT {fmtInt.format(p.limits.maxPTShifts)}</span>
+            <span className="badge text-bg-primary">Max concurrent {fmtInt.format(p.maxConcurrent)}</span>
+            {aggregates.cost && <span className="badge text-bg-dark">Labor cost {fmtMoney.format(aggregates.cost.total)}</span>}
+          </div>
         </div>
+
+        {aggregates.cost && (
+          <div className="small text-body-secondary mb-2">
+            Cost: base {fmtMoney.format(aggregates.cost.base)}
+            {aggregates.cost.night ? `, night ${fmtMoney.format(aggregates.cost.night)}` : ''}
+            {aggregates.cost.weekend ? `, weekend ${fmtMoney.format(aggregates.cost.weekend)}` : ''}
+            {aggregates.cost.overtime ? `, overtime ${fmtMoney.format(aggregates.cost.overtime)}` : ''}
+            {' '}(FT {fmtMoney.format(aggregates.cost.ft)}, PT {fmtMoney.format(aggregates.cost.pt)}).
+          </div>
+        )}
+        {aggregates.budget && (
+          <div className={`alert ${aggregates.budget.units > 0 ? 'alert-warning' : 'alert-secondary'}`}>
+            Daily budget {fmtMoney.format(aggregates.budget.limit)}, planned cost {fmtMoney.format(p.budgetSpent)}.{' '}
+            {aggregates.budget.units > 0
+              ? `Left uncovered to stay within budget: ${fmtNum.format(aggregates.budget.units)} short units at ${aggregates.budget.short.map((v, i) => (v ? hhmm(i * aggregates.interval) : null)).filter(Boolean).join(', ')}.`
+              : 'The budget did not cost any coverage.'}
+          </div>
+        )}
+
+        {aggregates.service && (
+          <div className="d-flex flex-wrap align-items-center gap-2 mb-2">
+            <span className="text-body-secondary small">Projected for the day:</span>
+            <span className={`badge ${aggregates.service.daily.asa > scheduleData.inputs.ASA_Threshold_Min * 60 ? 'text-bg-danger' : 'text-bg-success'}`}>
+              ASA {fmtAsa(aggregates.service.daily.asa)}{aggregates.service.daily.asa === Infinity ? '' : ' min'}
+            </span>
+            <span className="badge text-bg-info">
+              Service level {fmtPct.format(aggregates.service.daily.sl)} in {fmtInt.format(aggregates.service.slSec)}s
+            </span>
+            <span className="badge text-bg-secondary">Occupancy {fmtPct.format(aggregates.service.daily.occupancy)}</span>
+            {aggregates.service.daily.overloaded > 0 && (
+              <span className="small text-danger">
+                {fmtInt.format(aggregates.service.daily.overloaded)} intervals have fewer agents on the phones than the workload
+              </span>
+            )}
+          </div>
+        )}
+
+        {p.hoursShort > 0 && (
+          <div className="alert alert-warning">
+            Unmet demand for {fmtNum.format(p.hoursShort)} hours. Short units {fmtNum.format(p.totalShortUnits)}.
+          </div>
+        )}
+        {aggregates.availability?.units > 0 && (
+          <div className="alert alert-warning">
+            {fmtNum.format(aggregates.availability.units)} of the short units come from availability windows, not headcount:
+            the same {fmtInt.format(p.limits.maxFTShifts)} FT and {fmtInt.format(p.limits.maxPTShifts)} PT would cover them if their hours allowed.
+            Intervals affected: {aggregates.availability.short.map((v, i) => (v ? hhmm(i * aggregates.interval) : null)).filter(Boolean).join(', ')}.
+          </div>
+        )}
+        {aggregates.availability && (
+          <div className="small text-body-secondary mb-2">
+            Employee pool: {fmtInt.format(aggregates.availability.available)} available today
+            {aggregates.availability.offToday ? `, ${fmtInt.format(aggregates.availability.offToday)} on a day off` : ''}
+            {aggregates.availability.unused.length ? `. Not scheduled: ${aggregates.availability.unused.join(', ')}` : ''}.
+          </div>
+        )}
+        {p.solver && <SolverComparison solver={p.solver} />}
+        {p.carriedIn.some((v) => v > 0) && (
+          <div className="alert alert-info">
+            Coverage includes {fmtNum.format(p.carriedIn.reduce((s, v) => s + v, 0) / p.slotsPerHour)} agent-hours carried over from the previous day's overnight shifts.
+          </div>
+        )}
+
         <div className="row g-3">
-          <div className="col-12 col-md-4">
-            <div className="card h-100"><div className="card-body">
-              <div className="text-body-secondary small mb-1">Full time only</div>
-              <div className="fs-4 fw-semibold">{fmtInt.format(recs.minFT8)} FT</div>
-              <div className="small text-body-secondary">8h shifts</div>
-            </div></div>
-          </div>
-          <div className="col-12 col-md-4">
-            <div className="card h-100"><div className="card-body">
-              <div className="text-body-secondary small mb-1">Part time only</div>
-              <div className="fs-5 fw-semibold mb-1">
-                {fmtInt.format(recs.minPTcur)} PT <span className="text-body-secondary small">({ptLenHours}h)</span>
-              </div>
-              <div className="small text-body-secondary">
-                Or {fmtInt.format(recs.minPT4)} PT at 4h, {fmtInt.format(recs.minPT6)} PT at 6h
+          <div className="col-12 col-lg-6">
+            <h6 className="text-body-secondary">Full time shifts</h6>
+            <ShiftTable shifts={p.shiftsFT} empty="No FT shifts" />
+
+            <h6 className="text-body-secondary mt-3">Part time shifts</h6>
+            <ShiftTable shifts={p.shiftsPT} empty="No PT shifts" />
+          </div>
+
+          <div className="col-12 col-lg-6">
+            <h6 className="text-body-secondary">Coverage vs Requirement</h6>
+            <div className="table-responsive">
+              <table className="table table-sm align-middle">
+                <thead className="table-light">
+                  <tr>
+                    <th>{aggregates.interval < 60 ? 'Interval' : 'Hour'}</th>
+                    {aggregates.shrinkage && (
+                      <>
+                        <th className="text-end">Raw required</th>
+                        <th className="text-end">Shrinkage</th>
+                      </>
+                    )}
+                    <th className="text-end">Required</th>
+                    <th className="text-end">Coverage</th>
+                    <th className="text-end">Short</th>
+                    <th className="text-end">Excess</th>
+                    <th className="text-end">On phone</th>
+                    <th className="text-end">Net short</th>
+                    {aggregates.service && (
+                      <>
+                        <th className="text-end">Proj. ASA (min)</th>
+                        <th className="text-end">SL {fmtInt.format(aggregates.service.slSec)}s</th>
+                        <th className="text-end">Occ.</th>
+                      </>
+                    )}
+                  </tr>
+                </thead>
+                <tbody>
+                  {p.required.map((_, h) => {
+                    const req = p.required[h] ?? 0;
+                    const cov = p.coverage[h] ?? 0;
+                    const onPhone = aggregates.onPhone[h] ?? cov;
+                    const netShort = Math.max(0, req - onPhone);
+                    const short = p.shortage[h] ?? 0;
+                    const over = p.excess[h] ?? 0;
+                    const cls = short ? 'table-danger' : over ? 'table-warning' : '';
+                    const proj = aggregates.service?.byInterval[h];
+                    return (
+                      <tr key={h} className={cls}>
+                        <td>{hhmm(h * aggregates.interval)}</td>
+                        {aggregates.shrinkage && (
+                          <>
+                            <td className="text-end text-body-secondary">{fmtInt.format(aggregates.shrinkage.rawRequired[h])}</td>
+                            <td className="text-end text-body-secondary">{aggregates.shrinkage.shares[h] ? fmtPct.format(aggregates.shrinkage.shares[h]) : ''}</td>
+                          </>
+                        )}
+                        <td className="text-end">{fmtInt.format(req)}</td>
+                        <td className="text-end">{fmtInt.format(cov)}</td>
+                        <td className="text-end">
+                          {short ? fmtInt.format(short) : ''}
+                          {aggregates.availability?.short[h] ? <span className="badge text-bg-warning ms-1" title="Short because of availability windows">avail</span> : null}
+                          {aggregates.budget?.short[h] ? <span className="badge text-bg-dark ms-1" title="Left uncovered to stay within the daily budget">budget</span> : null}
+                        </td>
+                        <td className="text-end">{over ? fmtInt.format(over) : ''}</td>
+                        <td className="text-end">{fmtFloat1.format(onPhone)}</td>
+                        <td className={`text-end ${netShort ? 'text-danger' : ''}`}>{netShort ? fmtFloat1.format(netShort) : ''}</td>
+                        {proj && (
+                          <>
+                            <td className={`text-end ${proj.asa > scheduleData.inputs.ASA_Threshold_Min * 60 ? 'text-danger' : ''}`}>{fmtAsa(proj.asa)}</td>
+                            <td className="text-end">{fmtPct.format(proj.sl)}</td>
+                            <td className="text-end">{fmtPct.format(proj.occupancy)}</td>
+                          </>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="alert alert-secondary mt-2 mb-0">
+              <strong>How to read this:</strong>
+              <ul className="mb-0">
+                <li><strong>Required</strong> is the model target per hour, or Erlang C when the planner is set to it.</li>
+                {aggregates.shrinkage && (
+                  <li><strong>Raw required</strong> is that target before shrinkage; <strong>Required</strong> is grossed up so enough agents are left once the <strong>Shrinkage</strong> share is off the phones.</li>
+                )}
+                <li><strong>Coverage</strong> is what the shifts provide under caps and headcount.</li>
+                <li><strong>On phone</strong> is coverage with lunches and breaks taken out (average over the interval).</li>
+                <li><strong>Short</strong> is unmet headcount that hour{p.queues ? ', counted queue by queue: an agent only covers queues in their skills' : ''}.</li>
+                <li><strong>Excess</strong> is overage from packing fixed shift lengths{p.queues ? ', and agents whose skills no queue needs then' : ''}.</li>
+                {aggregates.service && (
+                  <li><strong>Proj. ASA</strong>, <strong>SL</strong> and <strong>Occ.</strong> are Erlang C projections for the predicted calls with the agents on the phones.</li>
+                )}
+              </ul>
+            </div>
+          </div>
+        </div>
+
+        {p.queues && <QueueCoverage plan={p} queues={aggregates.queues} interval={aggregates.interval} />}
+
+        <div className="d-flex gap-2 mt-3">
+          <button type="button" className="btn btn-outline-info" onClick={exportShiftCSV}>
+            Export Shift Plan CSV
+          </button>
+          <button type="button" className="btn btn-outline-success" onClick={exportWorkbook} title="Hourly, Shift Plan, Coverage and Roster sheets">
+            Export Workbook (.xlsx)
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// required, covered and short per skill-based queue and interval, with each queue's short total
+function QueueCoverage({ plan, queues, interval }) {
+  const { names, required, coverage, shortage } = plan.queues;
+  const perHour = 60 / interval;
+  return (
+    <div className="mt-3">
+      <div className="d-flex flex-wrap align-items-center gap-2 mb-2">
+        <h6 className="text-body-secondary mb-0 me-1">Coverage by queue</h6>
+        {names.map((n, q) => {
+          const units = shortage[q].reduce((sum, v) => sum + v, 0) / perHour;
+          return (
+            <span key={n} className={`badge ${units > 0 ? 'text-bg-danger' : 'text-bg-success'}`}>
+              {n}: {units > 0 ? `short ${fmtNum.format(units)} agent-hours` : 'covered'}
+            </span>
+          );
+        })}
+      </div>
+      <div className="table-responsive">
+        <table className="table table-sm align-middle">
+          <thead className="table-light">
+            <tr>
+              <th rowSpan={2}>{interval < 60 ? 'Interval' : 'Hour'}</th>
+              {names.map((n, q) => (
+                <th key={n} colSpan={3} className="text-center">
+                  {n}
+                  <span className="fw-normal text-body-secondary small ms-1">
+                    {queues?.[q]?.fromRows ? '(own forecast)' : queues?.[q] ? `(${fmtPct.format(queues[q].share)})` : ''}
+                  </span>
+                </th>
+              ))}
+            </tr>
+            <tr>
+              {names.map((n) => (
+                <Fragment key={n}>
+                  <th className="text-end">Req.</th><th className="text-end">Cov.</th><th className="text-end">Short</th>
+                </Fragment>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {plan.required.map((_, i) => (
+              <tr key={i}>
+                <td>{hhmm(i * interval)}</td>
+                {names.map((n, q) => (
+                  <Fragment key={n}>
+                    <td className="text-end">{fmtInt.format(required[q][i])}</td>
+                    <td className="text-end">{fmtInt.format(coverage[q][i])}</td>
+                    <td className={`text-end ${shortage[q][i] ? 'table-danger' : ''}`}>{shortage[q][i] ? fmtInt.format(shortage[q][i]) : ''}</td>
+                  </Fragment>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="form-text mt-0">
+        Each agent answers one queue at a time, only queues in their skills. Multi-skilled agents are put where they close the most gaps.
+      </div>
+    </div>
+  );
+}
+
+function ShiftTable({ shifts, empty }) {
+  const skills = shifts.some((s) => s.skills);
+  return (
+    <div className="table-responsive">
+      <table className="table table-sm align-middle">
+        <thead className="table-light">
+          <tr><th>Template</th><th>Start</th><th>End</th>{skills && <th>Skills</th>}<th className="text-end">Agents</th></tr>
+        </thead>
+        <tbody>
+          {shifts.map((s, i) => (
+            <tr key={i}>
+              <td>{s.template}</td><td>{hhmm(s.start * 60)}</td><td>{hhmm(s.end * 60)}</td>
+              {skills && <td className="small">{(s.skills || []).join(', ')}</td>}
+              <td className="text-end">{fmtInt.format(s.count)}</td>
+            </tr>
+          ))}
+          {shifts.length === 0 && <tr><td colSpan={skills ? 5 : 4} className="text-body-secondary">{empty}</td></tr>}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function SolverComparison({ solver }) {
+  const rows = [
+    ['Short units', 'totalShortUnits'],
+    ['Hours short', 'hoursShort'],
+    ['Excess units', 'excessUnits'],
+    ['FT shifts', 'ft'],
+    ['PT shifts', 'pt'],
+  ];
+  const status = solver.usedGreedy
+    ? 'Kept the greedy plan: the pool or budget could not staff a better one.'
+    : solver.optimal
+      ? 'Proven optimal.'
+      : solver.timedOut
+        ? 'Time limit reached: best plan found so far, not proven optimal.'
+        : `Best plan after ${fmtInt.format(solver.unstaffed)} solver shifts had no available employee or no budget left.`;
+  return (
+    <div className="mb-3">
+      <h6 className="text-body-secondary">Greedy vs optimal</h6>
+      <div className="table-responsive">
+        <table className="table table-sm align-middle mb-1">
+          <thead className="table-light">
+            <tr><th></th><th className="text-end">Greedy (auto)</th><th className="text-end">Optimal</th><th className="text-end">Change</th></tr>
+          </thead>
+          <tbody>
+            {rows.map(([label, key]) => {
+              const diff = solver.best[key] - solver.greedy[key];
+              return (
+                <tr key={key}>
+                  <td>{label}</td>
+                  <td className="text-end">{fmtNum.format(solver.greedy[key])}</td>
+                  <td className="text-end">{fmtNum.format(solver.best[key])}</td>
+                  <td className={`text-end ${diff < 0 ? 'text-success' : diff > 0 ? 'text-danger' : ''}`}>{diff ? `${diff > 0 ? '+' : ''}${fmtNum.format(diff)}` : ''}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="small text-body-secondary">
+        {status} {fmtInt.format(solver.nodes)} nodes in {fmtInt.format(solver.ms)} ms (limit {fmtInt.format(solver.limitMs)} ms).
+      </div>
+    </div>
+  );
+}
+
+function ActualsComparison({ actuals, report, forecastDate, thresholdMin, onLoad, onClear }) {
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    file.text().then((text) => onLoad(text, file.name));
+    e.target.value = '';
+  };
+  const fmtBias = (v) => `${v > 0 ? '+' : ''}${fmtFloat1.format(v)}`;
+  return (
+    <div className="card shadow-sm mb-4">
+      <div className="card-body">
+        <div className="d-flex flex-wrap align-items-center justify-content-between gap-2 mb-2">
+          <h5 className="card-title mb-0">Forecast vs actuals</h5>
+          <div className="d-flex align-items-center gap-2">
+            <input type="file" id="actualsFile" accept=".csv,text/csv" className="form-control form-control-sm w-auto" onChange={onFile} />
+            {actuals && <button type="button" className="btn btn-sm btn-link" onClick={onClear}>Clear</button>}
+          </div>
+        </div>
+        {!actuals && (
+          <div className="text-body-secondary small">
+            Upload actual hourly CALLS, ASA and Staff in the Export Hourly CSV layout: for a past date to measure forecast error and replay this plan against real volume, or today's hours so far for the intraday re-plan below.
+          </div>
+        )}
+        {actuals?.errors.length > 0 && (
+          <div className="alert alert-warning small">
+            {actuals.errors.slice(0, 5).map((m) => <div key={m}>{m}</div>)}
+            {actuals.errors.length > 5 && <div>and {actuals.errors.length - 5} more</div>}
+          </div>
+        )}
+        {actuals?.date && actuals.date !== forecastDate && (
+          <div className="alert alert-warning small">
+            {actuals.name} holds {actuals.date}; the day in view is {forecastDate}. Hours are lined up anyway.
+          </div>
+        )}
+        {report && (
+          <>
+            <div className="d-flex flex-wrap gap-2 mb-2">
+              <span className="badge text-bg-secondary">MAPE {report.mape === null ? '—' : fmtPct.format(report.mape)}</span>
+              <span className="badge text-bg-secondary">
+                Bias {fmtBias(report.bias)} calls{report.biasPct === null ? '' : ` (${report.biasPct > 0 ? '+' : ''}${fmtPct.format(report.biasPct)})`}
+              </span>
+              <span className="badge text-bg-info">Forecast {fmtInt.format(report.forecastTotal)} / actual {fmtInt.format(report.actualTotal)} calls</span>
+              <span className={`badge ${report.metHours === report.hours.length ? 'text-bg-success' : 'text-bg-danger'}`}>
+                Plan meets {fmtFloat1.format(thresholdMin)} min ASA in {report.metHours}/{report.hours.length} hours
+              </span>
+            </div>
+            <div className="table-responsive">
+              <table className="table table-sm align-middle">
+                <thead className="table-light">
+                  <tr>
+                    <th>Hour</th>
+                    <th className="text-end">Forecast calls</th>
+                    <th className="text-end">Actual calls</th>
+                    <th className="text-end">Bias</th>
+                    <th className="text-end">APE</th>
+                    <th className="text-end">Actual ASA (min)</th>
+                    <th className="text-end">Staffed</th>
+                    <th className="text-end">Plan on phone</th>
+                    {report.method === 'erlang' && <th className="text-end">Plan ASA (min)</th>}
+                    <th>Threshold</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.hours.map((h) => (
+                    <tr key={h.hour} className={h.met ? '' : 'table-danger'}>
+                      <td>{h.hour}:00</td>
+                      <td className="text-end">{fmtInt.format(Math.round(h.forecast))}</td>
+                      <td className="text-end">{fmtInt.format(Math.round(h.actual))}</td>
+                      <td className={`text-end ${h.bias < 0 ? 'text-danger' : ''}`}>{fmtBias(h.bias)}</td>
+                      <td className="text-end">{h.ape === null ? '—' : fmtPct.format(h.ape)}</td>
+                      <td className="text-end">{h.asaActual === null ? '—' : fmtFloat1.format(h.asaActual)}</td>
+                      <td className="text-end">{h.staffed === null ? '—' : fmtNum.format(h.staffed)}</td>
+                      <td className="text-end">{fmtFloat1.format(h.onPhone)}</td>
+                      {report.method === 'erlang' && <td className="text-end">{fmtAsa(h.projectedAsa)}</td>}
+                      <td>{h.met ? 'Met' : 'Missed'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="text-body-secondary small">
+              Bias is forecast minus actual (negative means the forecast was low). {report.method === 'erlang'
+                ? 'Plan ASA is Erlang C with the plan\'s on-phone agents and the actual calls.'
+                : 'Without an AHT, an hour counts as met when the plan\'s on-phone agents cover the model requirement scaled by actual / forecast calls. Enter an AHT for an Erlang C replay.'}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const FIX_LABELS = { lunch: 'Move lunch', extend: 'Extend', callin: 'PT call-in', vto: 'VTO' };
+
+// the rest of a day under way (replanIntraday): calls so far from the uploaded actuals, agents marked
+// absent, the fixes proposed and coverage before and after them; Apply puts the patched roster on the plan
+function IntradayReplan({ day, scheduleData, actuals, settings, onApply }) {
+  const [now, setNow] = useState('');
+  const [absent, setAbsent] = useState([]);
+  const [extendHours, setExtendHours] = useState(String(INTRADAY_EXTEND_HOURS));
+  const [maxCallIns, setMaxCallIns] = useState(String(INTRADAY_MAX_CALL_INS));
+  const [vto, setVto] = useState(true);
+  const nowHour = now === '' ? undefined : Number(now);
+  const badNow = nowHour !== undefined && !(Number.isInteger(nowHour) && nowHour >= 0 && nowHour <= 23);
+  const report = useMemo(
+    () => (day?.roster && !badNow
+      ? replanIntraday(day, scheduleData, actuals, settings, {
+        now: nowHour, absent, vto,
+        extendHours: Math.max(0, parseFloat(extendHours) || 0),
+        maxCallIns: Math.max(0, parseInt(maxCallIns, 10) || 0),
+      })
+      : null),
+    [day, scheduleData, actuals, settings, nowHour, badNow, absent, extendHours, maxCallIns, vto]
+  );
+  if (!day?.roster) return null;
+  const at = report ? report.now : nowHour ?? 0;
+  const toggle = (agent) => setAbsent((list) => (list.includes(agent) ? list.filter((a) => a !== agent) : [...list, agent]));
+  const working = day.roster.filter((r) => r.end > at || absent.includes(r.agent));
+  const hasAsa = !!report?.service;
+  const change = report && report.ratio - 1;
+  return (
+    <div className="card shadow-sm mb-4">
+      <div className="card-body">
+        <div className="d-flex flex-wrap align-items-center justify-content-between gap-2 mb-2">
+          <h5 className="card-title mb-0">Intraday re-plan</h5>
+          <button
+            type="button" id="applyIntraday" className="btn btn-sm btn-outline-primary"
+            disabled={!report || (!report.fixes.length && !report.absent.length)}
+            onClick={() => onApply(report.roster)}
+          >
+            Apply to roster
+          </button>
+        </div>
+        <div className="row g-2 align-items-end mb-2">
+          <div className="col-6 col-md-2">
+            <label htmlFor="intradayNow" className="form-label small">Now (hour)</label>
+            <input
+              id="intradayNow" type="number" min="0" max="23" step="1"
+              className={`form-control form-control-sm ${badNow ? 'is-invalid' : ''}`}
+              placeholder={report ? String(report.now) : ''} value={now} onChange={(e) => setNow(e.target.value)}
+            />
+            <div className="invalid-feedback">A whole hour 0-23</div>
+          </div>
+          <div className="col-6 col-md-2">
+            <label htmlFor="intradayExtend" className="form-label small">Extend up to (h)</label>
+            <input
+              id="intradayExtend" type="number" min="0" step="0.5" className="form-control form-control-sm"
+              value={extendHours} onChange={(e) => setExtendHours(e.target.value)}
+            />
+          </div>
+          <div className="col-6 col-md-2">
+            <label htmlFor="intradayCallIns" className="form-label small">PT call-ins</label>
+            <input
+              id="intradayCallIns" type="number" min="0" step="1" className="form-control form-control-sm"
+              value={maxCallIns} onChange={(e) => setMaxCallIns(e.target.value)}
+            />
+          </div>
+          <div className="col-6 col-md-2">
+            <div className="form-check">
+              <input id="intradayVto" type="checkbox" className="form-check-input" checked={vto} onChange={(e) => setVto(e.target.checked)} />
+              <label htmlFor="intradayVto" className="form-check-label small">Offer VTO</label>
+            </div>
+          </div>
+        </div>
+        <div className="mb-2">
+          <div className="small text-body-secondary mb-1">Absent from {hhmm(at * 60)}</div>
+          {working.map((r, i) => (
+            <div className="form-check form-check-inline" key={r.agent}>
+              <input
+                id={`absent${i}`} type="checkbox" className="form-check-input"
+                checked={absent.includes(r.agent)} onChange={() => toggle(r.agent)}
+              />
+              <label htmlFor={`absent${i}`} className="form-check-label small">{r.agent}</label>
+            </div>
+          ))}
+        </div>
+        {report && (
+          <>
+            <div className="d-flex flex-wrap gap-2 mb-2">
+              <span className="badge text-bg-info">
+                {report.forecastSoFar > 0
+                  ? `Calls so far ${fmtInt.format(report.actualSoFar)} vs ${fmtInt.format(report.forecastSoFar)} forecast (${change > 0 ? '+' : ''}${fmtPct.format(change)})`
+                  : `No actuals before ${hhmm(report.now * 60)}: forecast kept`}
+              </span>
+              <span className="badge text-bg-secondary">
+                Short from {hhmm(report.now * 60)}: plan {fmtNum.format(report.short.planned)} • absences {fmtNum.format(report.short.absent)} • fixes {fmtNum.format(report.short.after)} agent-hours
+              </span>
+              {hasAsa && (
+                <span className="badge text-bg-secondary">
+                  ASA rest of day {fmtAsa(report.service.absent.asa)} → {fmtAsa(report.service.after.asa)} min
+                </span>
+              )}
+            </div>
+            {report.fixes.length > 0 ? (
+              <div className="table-responsive">
+                <table className="table table-sm align-middle">
+                  <thead className="table-light">
+                    <tr><th>Fix</th><th>Agent</th><th>Change</th><th className="text-end">Shift hours</th><th className="text-end">Short closed</th></tr>
+                  </thead>
+                  <tbody>
+                    {report.fixes.map((f) => (
+                      <tr key={`${f.kind}-${f.agent}`}>
+                        <td>{FIX_LABELS[f.kind]}</td>
+                        <td>{f.agent}</td>
+                        <td>{f.message}</td>
+                        <td className="text-end">{f.hours > 0 ? '+' : ''}{fmtNum.format(f.hours)}</td>
+                        <td className="text-end">{fmtNum.format(f.gain)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
-            </div></div>
+            ) : <div className="small text-body-secondary mb-2">No fix helps the rest of the day.</div>}
+            <div className="table-responsive" style={{ maxHeight: 360 }}>
+              <table className="table table-sm align-middle">
+                <thead className="table-light">
+                  <tr>
+                    <th>Interval</th>
+                    <th className="text-end">Forecast calls</th>
+                    <th className="text-end">Re-forecast</th>
+                    <th className="text-end">Required (plan)</th>
+                    <th className="text-end">Required now</th>
+                    <th className="text-end">On phone (plan)</th>
+                    <th className="text-end">After absences</th>
+                    <th className="text-end">After fixes</th>
+                    {hasAsa && <><th className="text-end">ASA before (min)</th><th className="text-end">ASA after (min)</th></>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.intervals.map((x) => (
+                    <tr key={x.index} className={x.after < x.required - 1e-9 ? 'table-danger' : ''}>
+                      <td>{hhmm(x.index * day.interval)}</td>
+                      <td className="text-end">{fmtInt.format(Math.round(x.forecastCalls))}</td>
+                      <td className="text-end">{fmtInt.format(Math.round(x.calls))}</td>
+                      <td className="text-end">{fmtInt.format(x.plannedRequired)}</td>
+                      <td className="text-end">{fmtInt.format(x.required)}</td>
+                      <td className="text-end">{fmtNum.format(x.planned)}</td>
+                      <td className="text-end">{fmtNum.format(x.absent)}</td>
+                      <td className="text-end">{fmtNum.format(x.after)}</td>
+                      {hasAsa && <><td className="text-end">{fmtAsa(x.asaBefore)}</td><td className="text-end">{fmtAsa(x.asaAfter)}</td></>}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="text-body-secondary small">
+              Calls so far come from the actuals uploaded above; their ratio to the forecast scales every interval from now on.
+              Fixes go cheapest first: lunches not yet taken, then shift extensions, then PT call-ins, then VTO where the hours given up are all surplus.
+              Apply puts the patched roster on the timeline, where coverage, caps and cost are re-counted.
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// hires found by re-running the planner on what the plan leaves short (simulateHires), with the
+// exact shifts each new person would work
+function RecommendedHires({ day, settings }) {
+  const [target, setTarget] = useState('0');
+  const [shown, setShown] = useState('best');
+  const sim = useMemo(() => simulateHires(day, settings, { target: parseFloat(target) || 0 }), [day, settings, target]);
+  if (!sim) return null;
+  const { capFT, capPT } = day.plan.limits;
+  const options = [
+    ['best', 'Fewest hires', sim.best],
+    ['ftOnly', 'Full time only', sim.ftOnly],
+    ['ptOnly', 'Part time only', sim.ptOnly],
+  ];
+  const active = (options.find(([key, , o]) => key === shown && o) || options[0])[2];
+  const hasCost = active.cost !== null;
+  return (
+    <div className="card border-0 shadow-sm mb-4">
+      <div className="card-body">
+        <div className="d-flex flex-wrap align-items-center justify-content-between gap-2 mb-2">
+          <h5 className="card-title mb-0">Recommended hires</h5>
+          <div className="d-flex align-items-center gap-2">
+            <span className="badge text-bg-secondary">
+              Short now: {fmtNum.format(sim.before)} agent-hours • Peak short: {fmtInt.format(sim.peakShort)}
+            </span>
+            <label className="small text-body-secondary" htmlFor="hireTarget">Target short</label>
+            <input
+              id="hireTarget" type="number" min="0" step="0.5" className="form-control form-control-sm" style={{ width: 90 }}
+              value={target} onChange={(e) => setTarget(e.target.value)}
+            />
           </div>
-          <div className="col-12 col-md-4">
-            <div className="card h-100"><div className="card-body">
-              <div className="text-body-secondary small mb-1">Mixed example</div>
-              <div className="fs-5 fw-semibold mb-1">{fmtInt.format(recs.mixed.ft)} FT + {fmtInt.format(recs.mixed.pt)} PT</div>
-              <div className="small text-body-secondary">FT 8h, PT {recs.mixed.ptLenHours}h</div>
-            </div></div>
+        </div>
+        <div className="row g-3 mb-3">
+          {options.map(([key, label, o]) => (
+            <div className="col-12 col-md-4" key={key}>
+              <div
+                className={`card h-100 ${shown === key ? 'border-primary' : ''}`}
+                role={o ? 'button' : undefined}
+                onClick={() => o && setShown(key)}
+              >
+                <div className="card-body">
+                  <div className="text-body-secondary small mb-1">{label}</div>
+                  {o ? (
+                    <>
+                      <div className="fs-5 fw-semibold mb-1">
+                        {fmtInt.format(o.ft)} FT + {fmtInt.format(o.pt)} PT
+                        {o.cost !== null && <span className="text-body-secondary small"> ≈ {fmtMoney.format(o.cost)}/day</span>}
+                      </div>
+                      <div className={`small ${o.reached ? 'text-body-secondary' : 'text-danger'}`}>
+                        Short after: {fmtNum.format(o.shortUnits)} agent-hours{o.reached ? '' : ' (target not reached)'}
+                      </div>
+                      <div className="small text-body-secondary">Caps become FT {fmtInt.format(capFT + o.ft)}, PT {fmtInt.format(capPT + o.pt)}</div>
+                    </>
+                  ) : <div className="small text-body-secondary">No enabled {key === 'ftOnly' ? 'FT' : 'PT'} templates</div>}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+        {active.roster.length > 0 && (
+          <div className="table-responsive">
+            <table className="table table-sm align-middle mb-2">
+              <thead className="table-light">
+                <tr>
+                  <th>New hire</th><th>Type</th><th>Template</th><th>Start</th><th>End</th><th>Lunch</th><th className="text-end">Hours</th>
+                  {hasCost && <th className="text-end">Cost</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {active.roster.map((r) => (
+                  <tr key={r.agent}>
+                    <td>{r.agent}</td>
+                    <td>{r.type}</td>
+                    <td>{r.template}</td>
+                    <td>{hhmm(r.start * 60)}</td>
+                    <td>{hhmm(r.end * 60)}</td>
+                    <td>{r.lunchStart === null ? '—' : `${hhmm(r.lunchStart)}–${hhmm(r.lunchEnd)}`}</td>
+                    <td className="text-end">{fmtNum.format(r.hours)}</td>
+                    {hasCost && <td className="text-end">{fmtMoney.format(r.cost)}</td>}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
           </div>
+        )}
+        <div className="text-body-secondary small">
+          Each option re-runs the planner for the new people only, on the hours this plan leaves short, with the caps raised by the hires; the shifts above are where they would work.
+          Up to {fmtInt.format(MAX_SIMULATED_HIRES)} people are tried. Click an option to see its shifts.
         </div>
       </div>
     </div>
   );
 }
 
-function RosterTable({ roster, exportRosterCSV }) {
+// wishes of one roster row as a short note, or '' when it has none
+const wishNote = (w) => {
+  if (!w) return '';
+  const notes = [];
+  if (w.inWindow !== null) notes.push(w.inWindow ? 'start as wished' : `wanted ${hhmm(w.prefer.from * 60)}-${hhmm(w.prefer.to * 60)}`);
+  if (w.avoided === false) notes.push('asked for the day off');
+  return notes.join('; ');
+};
+
+function RosterTable({ roster, preferences, onSwap, exportRosterCSV, exportCalendars }) {
+  const [swap, setSwap] = useState({ a: '', b: '', result: null });
   if (!roster?.length) return null;
-  const hhmm = (mins) => `${String(Math.floor(mins/60)).padStart(2,'0')}:${String(mins%60).padStart(2,'0')}`;
+  const hasCost = roster[0].cost !== undefined;
+  const skills = roster.some((r) => r.skills);
+  const wishes = new Map((preferences?.people || []).map((w) => [w.agent, w]));
+  const recordSwap = () => {
+    const reasons = onSwap(swap.a, swap.b);
+    setSwap({ a: '', b: '', result: { a: swap.a, b: swap.b, reasons } });
+  };
   return (
     <div className="card shadow-sm">
       <div className="card-body">
         <div className="d-flex flex-wrap align-items-center justify-content-between mb-2">
-          <h5 className="card-title mb-0">Per employee roster with lunches</h5>
-          <button type="button" className="btn btn-outline-secondary" onClick={exportRosterCSV}>
-            Export Roster CSV
-          </button>
+          <h5 className="card-title mb-0">Per employee roster with lunches and breaks</h5>
+          <div className="d-flex align-items-center gap-2">
+            {preferences && (
+              <span className={`badge ${preferences.score >= 0.8 ? 'text-bg-success' : 'text-bg-warning'}`}
+                title={`${preferences.met} of ${preferences.asked} wishes that apply today`}>
+                Wishes met {fmtPct.format(preferences.score)}
+              </span>
+            )}
+            <button type="button" className="btn btn-outline-secondary" onClick={exportRosterCSV}>
+              Export Roster CSV
+            </button>
+            <button type="button" className="btn btn-outline-secondary" onClick={() => exportCalendars()} title="One .ics file per employee, zipped">
+              Export Calendars
+            </button>
+          </div>
         </div>
         <div className="table-responsive">
           <table className="table table-sm align-middle">
             <thead className="table-light">
               <tr>
-                <th>Employee</th><th>Type</th><th>Start</th><th>End</th><th>Lunch start</th><th>Lunch end</th><th className="text-end">Hours</th>
+                <th>Employee</th><th>Type</th><th>Template</th>{skills && <th>Skills</th>}<th>Start</th><th>End</th><th>Lunch start</th><th>Lunch end</th><th>Breaks</th><th className="text-end">Hours</th><th className="text-end">Paid</th>
+                {hasCost && <th className="text-end">Cost</th>}
+                {preferences && <th>Wishes</th>}
+                <th />
               </tr>
             </thead>
             <tbody>
               {roster.map((r, i) => (
-                <tr key={i}>
-                  <td>{r.agent}</td>
+                <tr key={i} className={r.edited ? 'table-warning' : undefined}>
+                  <td>{r.agent}{r.edited && <span className="badge text-bg-warning ms-1">edited</span>}</td>
                   <td>{r.type}</td>
-                  <td>{String(r.start).padStart(2,'0')}:00</td>
-                  <td>{String(r.end).padStart(2,'0')}:00</td>
-                  <td>{hhmm(r.lunchStart)}</td>
-                  <td>{hhmm(r.lunchEnd)}</td>
-                  <td className="text-end">{fmtInt.format(r.hours)}</td>
+                  <td>{r.template}</td>
+                  {skills && <td className="small">{(r.skills || []).join(', ')}</td>}
+                  <td>{hhmm(r.start * 60)}</td>
+                  <td>{hhmm(r.end * 60)}</td>
+                  <td>{r.lunchStart === null ? '—' : hhmm(r.lunchStart)}</td>
+                  <td>{r.lunchEnd === null ? '—' : `${hhmm(r.lunchEnd)}${r.paidLunch ? ' (paid)' : ''}`}</td>
+                  <td className="small">{fmtBreaks(r.breaks) || '—'}</td>
+                  <td className="text-end">{fmtNum.format(r.hours)}</td>
+                  <td className="text-end">{fmtNum.format(r.paidHours)}</td>
+                  {hasCost && <td className="text-end">{fmtMoney.format(r.cost)}</td>}
+                  {preferences && (
+                    <td className={`small ${wishes.get(r.agent)?.met < wishes.get(r.agent)?.asked ? 'text-danger' : ''}`}>{wishNote(wishes.get(r.agent))}</td>
+                  )}
+                  <td className="text-end">
+                    <button type="button" className="btn btn-link btn-sm p-0" onClick={() => exportCalendars(r.agent)} title={`Calendar file for ${r.agent}`}>.ics</button>
+                  </td>
                 </tr>
               ))}
             </tbody>
           </table>
         </div>
         <div className="text-body-secondary small">
-          One shift per employee. Lunches placed mid shift and snapped to 30 minute blocks. Change lunch minutes in Inputs to adjust.
+          One shift per employee. Lunches and breaks are staggered inside their windows so the fewest hours drop below the requirement. Change the lunch and break rules in Inputs to adjust.
+        </div>
+
+        <h6 className="text-body-secondary mt-3">Shift swap</h6>
+        <div className="d-flex flex-wrap align-items-center gap-2">
+          {['a', 'b'].map((k, n) => (
+            <select key={k} id={`swap${k.toUpperCase()}`} className="form-select form-select-sm w-auto" value={swap[k]}
+              onChange={(e) => setSwap({ ...swap, [k]: e.target.value, result: null })} aria-label={n ? 'Swap with' : 'Agent giving up a shift'}>
+              <option value="">{n ? 'with...' : 'Agent...'}</option>
+              {roster.map((r) => <option key={r.agent} value={r.agent}>{r.agent} {hhmm(r.start * 60)}-{hhmm(r.end * 60)}</option>)}
+            </select>
+          ))}
+          <button type="button" id="recordSwap" className="btn btn-outline-primary btn-sm" disabled={!swap.a || !swap.b || swap.a === swap.b} onClick={recordSwap}>
+            Record swap
+          </button>
+        </div>
+        {swap.result && (swap.result.reasons.length ? (
+          <div className="alert alert-danger small mt-2 mb-0">
+            Swap {swap.result.a} and {swap.result.b} refused:
+            <ul className="mb-0">{swap.result.reasons.map((m) => <li key={m}>{m}</li>)}</ul>
+          </div>
+        ) : (
+          <div className="alert alert-success small mt-2 mb-0">
+            {swap.result.a} and {swap.result.b} swapped shifts. Both rows are marked edited; Reset edits on the timeline undoes it.
+          </div>
+        ))}
+        <div className="form-text">Two FT or two PT agents only. Accepted when coverage (per queue too) and both people's availability still hold.</div>
+      </div>
+    </div>
+  );
+}
+
+// one row per agent: shift bar, lunch and breaks. Drag a bar to move the shift, its ends to resize it,
+// the lunch to move the lunch. Every step goes to onEdit, so coverage, caps and exports follow live.
+const GANTT = { W: 960, L: 96, R: 8, ROW: 20, TOP: 20 };
+const KIND_LABEL = { FT: 'FT on shift', PT: 'PT on shift', total: 'Agents on shift' };
+
+function RosterGantt({ day, overnight, chained, onEdit, onReset }) {
+  const svgRef = useRef(null);
+  const [drag, setDrag] = useState(null); // { i, mode, x0, row }
+  if (!day?.roster?.length) return null;
+
+  const { W, L, R, ROW, TOP } = GANTT;
+  const roster = day.roster;
+  const span = Math.max(24, Math.ceil(Math.max(...roster.map((r) => r.end))));
+  const px = (W - L - R) / span;
+  const x = (hours) => L + hours * px;
+  const stripY = TOP + roster.length * ROW + 6;
+  const H = stripY + 34;
+  const p = day.plan;
+  const maxGap = Math.max(1, ...p.shortage, ...p.excess);
+  const violations = day.edits?.violations || [];
+
+  // pointer x -> hours on the axis, through the SVG's rendered width
+  const hoursAt = (clientX) => {
+    const box = svgRef.current.getBoundingClientRect();
+    return (((clientX - box.left) / box.width) * W - L) / px;
+  };
+  const begin = (e, i, mode) => {
+    e.preventDefault();
+    e.stopPropagation();
+    svgRef.current.setPointerCapture?.(e.pointerId);
+    setDrag({ i, mode, x0: hoursAt(e.clientX), row: roster[i] });
+  };
+  const move = (e) => {
+    if (!drag) return;
+    const next = adjustRosterRow(drag.row, drag.mode, hoursAt(e.clientX) - drag.x0, { intervalMinutes: day.interval, overnight });
+    const cur = roster[drag.i];
+    if (next.start === cur.start && next.end === cur.end && next.lunchStart === cur.lunchStart) return;
+    onEdit(roster.map((r, k) => (k === drag.i ? next : r)));
+  };
+  const end = () => setDrag(null);
+
+  return (
+    <div className="card shadow-sm mb-4">
+      <div className="card-body">
+        <div className="d-flex flex-wrap align-items-center justify-content-between mb-2">
+          <h5 className="card-title mb-0">Roster timeline</h5>
+          <div className="d-flex align-items-center gap-2">
+            <span className="badge text-bg-danger">Short {fmtNum.format(p.totalShortUnits)} agent-hours</span>
+            <span className="badge text-bg-secondary">Hours short {fmtNum.format(p.hoursShort)}</span>
+            <span className="badge text-bg-secondary">Excess {fmtNum.format(day.hourly.excess.reduce((sum, v) => sum + v, 0))}</span>
+            <span className="badge text-bg-primary">Max concurrent {fmtInt.format(p.maxConcurrent)}</span>
+            {day.cost && <span className="badge text-bg-dark">Labor cost {fmtMoney.format(day.cost.total)}</span>}
+            {day.edits && (
+              <button type="button" className="btn btn-sm btn-outline-secondary" onClick={onReset}>
+                Reset edits ({fmtInt.format(day.edits.changed)})
+              </button>
+            )}
+          </div>
+        </div>
+
+        {violations.length > 0 && (
+          <div className="alert alert-danger py-2 small">
+            Over the caps:{' '}
+            {violations.map((v, k) => (
+              <span key={k}>
+                {k ? '; ' : ''}{KIND_LABEL[v.kind]} {fmtInt.format(v.peak)} (cap {fmtInt.format(v.cap)}) {hhmm(v.start)}–{hhmm(v.end)}
+              </span>
+            ))}
+          </div>
+        )}
+
+        <div className="table-responsive">
+          <svg
+            ref={svgRef}
+            viewBox={`0 0 ${W} ${H}`}
+            className="w-100"
+            style={{ minWidth: 720, touchAction: 'none', userSelect: 'none' }}
+            role="img"
+            aria-label="Roster timeline"
+            onPointerMove={move}
+            onPointerUp={end}
+            onPointerCancel={end}
+          >
+            {Array.from({ length: span + 1 }, (_, h) => (
+              <g key={h}>
+                <line x1={x(h)} x2={x(h)} y1={TOP - 4} y2={stripY + 28} stroke={h % 24 ? '#f1f3f5' : '#adb5bd'} />
+                {h % 2 === 0 && <text x={x(h)} y={TOP - 8} fontSize="10" textAnchor="middle" fill="#6c757d">{hhmm(h * 60).slice(0, 5)}</text>}
+              </g>
+            ))}
+            {roster.map((r, i) => {
+              const y = TOP + i * ROW;
+              const color = r.type === 'FT' ? '#0d6efd' : '#198754';
+              return (
+                <g key={i}>
+                  <text x={L - 6} y={y + ROW / 2 + 4} fontSize="11" textAnchor="end" fill={r.edited ? '#997404' : '#212529'}>{r.agent}</text>
+                  <rect
+                    x={x(r.start)} y={y + 3} width={(r.end - r.start) * px} height={ROW - 6} rx="3"
+                    fill={color} fillOpacity={drag?.i === i ? 0.95 : 0.75} stroke={r.edited ? '#ffc107' : 'none'} strokeWidth="2"
+                    style={{ cursor: 'grab' }} onPointerDown={(e) => begin(e, i, 'move')}
+                  >
+                    <title>{`${r.agent} ${r.template} ${hhmm(r.start * 60)}–${hhmm(r.end * 60)}`}</title>
+                  </rect>
+                  {r.breaks?.map((b, k) => (
+                    <rect key={k} x={x(b.start / 60)} y={y + 6} width={((b.end - b.start) / 60) * px} height={ROW - 12} fill="#fff" fillOpacity="0.6" pointerEvents="none" />
+                  ))}
+                  {r.lunchStart !== null && (
+                    <rect
+                      x={x(r.lunchStart / 60)} y={y + 5} width={((r.lunchEnd - r.lunchStart) / 60) * px} height={ROW - 10}
+                      fill="#ffc107" stroke="#997404" style={{ cursor: 'grab' }} onPointerDown={(e) => begin(e, i, 'lunch')}
+                    >
+                      <title>{`Lunch ${hhmm(r.lunchStart)}–${hhmm(r.lunchEnd)}`}</title>
+                    </rect>
+                  )}
+                  <rect x={x(r.start) - 3} y={y + 3} width="6" height={ROW - 6} fill="transparent" style={{ cursor: 'ew-resize' }} onPointerDown={(e) => begin(e, i, 'start')} />
+                  <rect x={x(r.end) - 3} y={y + 3} width="6" height={ROW - 6} fill="transparent" style={{ cursor: 'ew-resize' }} onPointerDown={(e) => begin(e, i, 'end')} />
+                </g>
+              );
+            })}
+            {/* short (red, up) and excess (grey, down) per interval under the rows */}
+            <text x={L - 6} y={stripY + 18} fontSize="11" textAnchor="end" fill="#6c757d">Short / excess</text>
+            <line x1={L} x2={x(24)} y1={stripY + 14} y2={stripY + 14} stroke="#adb5bd" />
+            {p.shortage.map((v, i) => {
+              const w = px / day.slotsPerHour;
+              const up = (v / maxGap) * 14;
+              const down = (p.excess[i] / maxGap) * 14;
+              return (
+                <g key={i}>
+                  {v > 0 && <rect x={x(i / day.slotsPerHour)} y={stripY + 14 - up} width={w} height={up} fill="#dc3545"><title>{`${hhmm(i * day.interval)} short ${v}`}</title></rect>}
+                  {p.excess[i] > 0 && <rect x={x(i / day.slotsPerHour)} y={stripY + 14} width={w} height={down} fill="#adb5bd"><title>{`${hhmm(i * day.interval)} excess ${p.excess[i]}`}</title></rect>}
+                </g>
+              );
+            })}
+          </svg>
+        </div>
+        <div className="text-body-secondary small">
+          Drag a shift to move it, its ends to change its length, or the yellow lunch to move the lunch. Shifts snap to the {fmtInt.format(day.interval)}-minute planning interval, lunches to 15 minutes; breaks move with their shift.
+          Coverage, cost, the shift plan, hires and every export use the edited roster. Edits are dropped when an input changes or the schedule is fetched again
+          {chained ? ', and they do not change the overnight carry-in of the next day' : ''}.
         </div>
       </div>
     </div>
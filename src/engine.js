@@ -0,0 +1,2619 @@
+// engine.js
+// The scheduling engine: /schedule rows + planning settings -> shift plan, roster with lunches and
+// breaks, service projection, labor cost and hire recommendations. Plain functions over plain data,
+// no React and no DOM, so the same code runs in the app, in tests and in Node tooling.
+//
+// Contract of the core entry points (the rest of the exports are documented where they are defined):
+//
+//   buildShiftPlanStrategic(required, limits, opts) -> plan
+//     required  agents needed per planning interval: 24 * opts.slotsPerHour whole numbers >= 0
+//     limits    { capFT, capPT }            most FT / PT agents on shift in any one interval
+//               { maxFTShifts, maxPTShifts } most FT / PT shifts (people) for the day
+//               whole numbers >= 0; totals may be Infinity
+//     opts      strategy: auto | ft_first | pt_first | mixed | optimal (default auto: FT first on
+//               weekdays, PT first when isWeekend), mixedFtPercent (mixed), slotsPerHour 1 | 2 | 4,
+//               ptLenHours or templates (resolveTemplates output), overnight, chained / carryIn /
+//               nextRequired (date ranges), pool (parseEmployees output), budget, timeLimitMs (optimal),
+//               queues ({ names, required per queue }: skill-based queues, required is their sum)
+//     plan      { shiftsFT, shiftsPT: [{ start, end, count, template, paidLunch, agents?, skills? }] (hours from
+//               midnight, identical shifts merged into one row with a count), coverage, required,
+//               shortage, excess (per interval), maxConcurrent, totalShortUnits, hoursShort (agent-hours
+//               and hours), carryOut, budgetSpent, solver (optimal only), queues ({ names, required,
+//               coverage, shortage } per queue, with opts.queues) }
+//     Coverage never goes over capFT / capPT / capFT + capPT in any interval and the shift counts never
+//     go over maxFTShifts / maxPTShifts.
+//
+//   buildRoster(shiftsFT, shiftsPT, lunchMinutes) -> [{ agent, type, template, paidLunch, start, end,
+//     hours, lunchStart, lunchEnd, skills? }] one row per agent, lunch (minutes from midnight) at mid-shift
+//
+//   computeHireRecommendations(plan, ptLenHours, templates?, rules?) -> { totalShort, peakShort, ft, pt,
+//     mixed } or null when the plan has no shortage array: a quick estimate from the shortage totals
+//
+//   simulateHires(day, settings, { target }) -> the fewest new FT / PT people (and their shifts) that
+//     bring a planned day's shortage down to target, found by re-running the planner on what is short
+//
+//   planDay(scheduleData, settings, chain?) / planDays(days, settings) run the whole pipeline for one
+//   /schedule response (or several consecutive ones) with the app's form settings as strings
+//   (DEFAULT_SETTINGS plus overrides). A range planned with the optimal strategy shares one solver
+//   time budget (SOLVER_RANGE_SECONDS). With shrinkage set (shrinkagePct, parseShrinkage rules) the
+//   requirement is grossed up before buildShiftPlanStrategic sees it and day.shrinkage keeps the raw one.
+//
+//   assignWeek(dayPlans, settings) / checkWeek(dayPlans, settings) with week rules on: the range as
+//     one roster of people across days, then every weekly hour, day-off, rest, consecutive-day and
+//     break rule checked per employee.
+//
+//   applyRosterEdits(day, roster, settings) re-counts a planned day after its roster rows were moved
+//   or resized by hand (adjustRosterRow), reporting cap violations instead of preventing them.
+//   swapShifts(day, agentA, agentB, settings) trades two agents' shifts only if caps, coverage and
+//   availability all hold.
+//
+//   replanIntraday(day, scheduleData, actuals, settings, { now, absent }) re-forecasts the rest of a day
+//   under way from calls so far and proposes lunch moves, extensions, PT call-ins and VTO.
+//
+// Inputs that break the contract throw a PlanInputError listing every problem found.
+
+const snap30 = (minutes) => Math.round(minutes / 30) * 30;
+const isWeekendName = (weekday) => weekday === 'Saturday' || weekday === 'Sunday';
+const ceilDiv = (a, b) => Math.ceil(a / b);
+
+export const MAX_RANGE_DAYS = 31;
+
+// YYYY-MM-DD arithmetic in UTC so local DST shifts never skip or repeat a day
+export const addDaysISO = (iso, n) => {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+export function listDates(start, end) {
+  const out = [];
+  for (let d = start; d <= end && out.length < MAX_RANGE_DAYS; d = addDaysISO(d, 1)) out.push(d);
+  return out;
+}
+
+
+// one CSV line -> fields; handles "quoted, values" and "" escapes
+export function parseCSVLine(line) {
+  const out = [];
+  let cur = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { out.push(cur.trim()); cur = ''; }
+    else cur += c;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+// ---------- employee pool (name, type, availability window, days off) ----------
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// "Mon; Sat | 2025-12-24" -> { days: ['Monday', 'Saturday', '2025-12-24'] }, or { bad } with the first
+// token that is neither a weekday nor YYYY-MM-DD
+function parseDays(raw) {
+  const days = [];
+  for (const tok of (raw || '').split(/[;|\s]+/).filter(Boolean)) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(tok)) { days.push(tok); continue; }
+    const wd = WEEKDAYS.find((w) => w.toLowerCase().startsWith(tok.toLowerCase().slice(0, 3)));
+    if (!wd || tok.length < 3) return { bad: tok };
+    days.push(wd);
+  }
+  return { days };
+}
+
+// "7", "07:00", "19:30" -> fractional hours; blank -> fallback
+function parseClock(v, fallback) {
+  if (v === undefined || v === '') return fallback;
+  const m = /^(\d{1,2})(?::(\d{2}))?$/.exec(v);
+  if (!m) return NaN;
+  const h = parseInt(m[1], 10) + (m[2] ? parseInt(m[2], 10) / 60 : 0);
+  return h <= 24 ? h : NaN;
+}
+
+// Name,Type,EarliestStart,LatestEnd,DaysOff,Skills,PreferStart,AvoidDays  (DaysOff and AvoidDays: weekday
+// names or YYYY-MM-DD, separated by ; | or spaces; Skills: queue names separated by ; or |, blank for every
+// queue; PreferStart: the start window the person would like, e.g. 07:00-09:00). DaysOff are hard,
+// PreferStart and AvoidDays are wishes the planner follows where coverage allows.
+export function parseEmployees(text) {
+  const employees = [];
+  const errors = [];
+  const seen = new Set();
+  (text || '').split(/\r?\n/).forEach((raw, i) => {
+    if (!raw.trim() || raw.trim().startsWith('#')) return;
+    const [name, typeRaw, es, le, off, skillsRaw, preferRaw, avoidRaw] = parseCSVLine(raw);
+    const type = (typeRaw || '').toUpperCase();
+    if (i === 0 && type !== 'FT' && type !== 'PT' && /name/i.test(name)) return; // header row
+    const line = `Line ${i + 1}`;
+    if (!name) { errors.push(`${line}: missing name`); return; }
+    if (type !== 'FT' && type !== 'PT') { errors.push(`${line}: type must be FT or PT`); return; }
+    if (seen.has(name)) { errors.push(`${line}: duplicate employee "${name}"`); return; }
+    const earliest = parseClock(es, 0);
+    let latest = parseClock(le, Infinity);
+    if (Number.isNaN(earliest) || Number.isNaN(latest)) { errors.push(`${line}: times must look like 7 or 07:00`); return; }
+    if (latest <= earliest) latest += 24; // window that runs past midnight
+    const days = (raw, what) => {
+      const r = parseDays(raw);
+      if (r.bad) { errors.push(`${line}: unknown ${what} "${r.bad}"`); return null; }
+      return r.days;
+    };
+    const daysOff = days(off, 'day off');
+    if (!daysOff) return;
+    const skills = [...new Set((skillsRaw || '').split(/[;|]+/).map((x) => x.trim()).filter(Boolean))];
+    let prefer = null;
+    if (preferRaw) {
+      const [from, to] = preferRaw.split('-').map((x) => parseClock(x.trim(), NaN));
+      if (!(from >= 0) || !(to >= from)) { errors.push(`${line}: preferred start must look like 07:00-09:00`); return; }
+      prefer = { from, to };
+    }
+    const avoid = days(avoidRaw, 'day to avoid');
+    if (!avoid) return;
+    seen.add(name);
+    employees.push({ name, type, earliest, latest, daysOff, skills, prefer, avoid });
+  });
+  return { employees, errors };
+}
+
+export const isDayOff = (emp, dateISO, weekday) => emp.daysOff.includes(weekday) || emp.daysOff.includes(dateISO);
+
+// ---------- queues and skills ----------
+// Name,Share  (share of the day's demand in any scale: 60/25/15 or 3/1/1) -> shares that add up to 1
+export const MAX_QUEUES = 8;
+
+export function parseQueues(text) {
+  const rows = [];
+  const errors = [];
+  (text || '').split(/\r?\n/).forEach((raw, i) => {
+    if (!raw.trim() || raw.trim().startsWith('#')) return;
+    const [name, shareRaw] = parseCSVLine(raw);
+    const share = parseFloat(shareRaw);
+    if (i === 0 && /name/i.test(name) && Number.isNaN(share)) return; // header row
+    const line = `Line ${i + 1}`;
+    if (!name) { errors.push(`${line}: missing queue name`); return; }
+    if (rows.some((q) => q.name === name)) { errors.push(`${line}: duplicate queue "${name}"`); return; }
+    if (!(share > 0)) { errors.push(`${line}: share must be a number more than 0`); return; }
+    rows.push({ name, share });
+  });
+  if (rows.length > MAX_QUEUES) {
+    errors.push(`At most ${MAX_QUEUES} queues`);
+    rows.length = MAX_QUEUES;
+  }
+  const total = rows.reduce((sum, q) => sum + q.share, 0);
+  return { queues: rows.map((q) => ({ name: q.name, share: q.share / total })), errors };
+}
+
+// an agent's skills as a bit mask over the queue names; no skills listed means every queue
+export const skillMask = (skills, names) => (skills?.length
+  ? names.reduce((m, n, q) => (skills.includes(n) ? m | (1 << q) : m), 0)
+  : (1 << names.length) - 1);
+
+const skillNames = (mask, names) => names.filter((_, q) => mask & (1 << q));
+
+// One interval's agents answering queues, kept at the most demand they can serve: per skill mask how
+// many agents are on and how many of them take each queue. An agent works one queue at a time.
+const queueSlot = (demand) => ({ demand, served: demand.map(() => 0), groups: new Map() });
+
+// where one more agent with these skills would help: straight onto a queue that is short, or onto a
+// full one whose agent moves to a short queue they also take (as many moves as it needs). Breadth
+// first, so the fewest moves win. -> { end, moves: [[group mask or 'new', onto queue, off queue]] } or null
+function queueRoute(slot, mask) {
+  const k = slot.demand.length;
+  const reachedBy = Array(k).fill(undefined);
+  const cameFrom = new Map([['new', -1]]);
+  const todo = ['new'];
+  while (todo.length) {
+    const g = todo.shift();
+    const m = g === 'new' ? mask : g;
+    for (let q = 0; q < k; q++) {
+      if (!(m & (1 << q)) || reachedBy[q] !== undefined) continue;
+      reachedBy[q] = g;
+      if (slot.served[q] < slot.demand[q]) {
+        const moves = [];
+        for (let at = q; ;) {
+          const by = reachedBy[at];
+          moves.push([by, at, cameFrom.get(by)]);
+          if (by === 'new') break;
+          at = cameFrom.get(by);
+        }
+        return { end: q, moves };
+      }
+      for (const [gm, grp] of slot.groups) if (grp.to[q] > 0 && !cameFrom.has(gm)) { cameFrom.set(gm, q); todo.push(gm); }
+    }
+  }
+  return null;
+}
+
+function addToQueueSlot(slot, mask) {
+  if (!slot.groups.has(mask)) slot.groups.set(mask, { count: 0, to: slot.demand.map(() => 0) });
+  const grp = slot.groups.get(mask);
+  const route = queueRoute(slot, mask);
+  grp.count += 1;
+  if (!route) return;
+  slot.served[route.end] += 1;
+  for (const [by, onto, off] of route.moves) {
+    const g = by === 'new' ? grp : slot.groups.get(by);
+    g.to[onto] += 1;
+    if (off >= 0) g.to[off] -= 1;
+  }
+}
+
+// per queue and interval: how many agents answer it (coverage) and how far short it is, from the
+// masks of the agents on shift in each interval
+export function serveQueues(required, masksByInterval) {
+  const H = masksByInterval.length;
+  const slots = Array.from({ length: H }, (_, i) => {
+    const slot = queueSlot(required.map((r) => r[i] ?? 0));
+    for (const m of masksByInterval[i]) addToQueueSlot(slot, m);
+    return slot;
+  });
+  const coverage = required.map((_, q) => slots.map((sl) => sl.served[q]));
+  return { coverage, shortage: required.map((r, q) => r.map((v, i) => Math.max(0, v - coverage[q][i]))) };
+}
+
+// ---------- shift templates ----------
+// Form rows (strings, as typed). The standard PT row follows the Part-time length inputs,
+// so the weekday/weekend PT length keeps working when no custom templates are added.
+export const DEFAULT_TEMPLATES = [
+  { id: 'ft8', name: 'FT 8h', type: 'FT', length: '8', earliest: '', latest: '', paidLunch: false, cap: '', enabled: true },
+  { id: 'pt', name: 'PT', type: 'PT', length: '', earliest: '', latest: '', paidLunch: false, cap: '', enabled: true, followsPtLen: true },
+];
+export const MAX_SHIFT_HOURS = 16;
+
+// one form row -> error message, or '' when the planner can use it
+export function checkTemplate(t, rows) {
+  if (!t.name.trim()) return 'Name is required';
+  if (rows.some((o) => o !== t && o.name.trim() === t.name.trim())) return `Duplicate name "${t.name.trim()}"`;
+  const len = parseFloat(t.length);
+  if (!t.followsPtLen && !(len > 0 && len <= MAX_SHIFT_HOURS)) return `Length must be between 0 and ${MAX_SHIFT_HOURS} hours`;
+  const earliest = parseClock(t.earliest, 0);
+  const latest = parseClock(t.latest, 24);
+  if (Number.isNaN(earliest) || Number.isNaN(latest)) return 'Start times must look like 7 or 07:00';
+  if (latest < earliest) return 'Latest start is before earliest start';
+  if (t.cap !== '' && !(parseInt(t.cap, 10) >= 0)) return 'Max per day must be 0 or more';
+  return '';
+}
+
+// enabled, valid rows -> planner templates: { id, name, type, len, earliest, latest (start hours), paidLunch, cap }
+export function resolveTemplates(rows, ptLenHours) {
+  return rows.filter((t) => t.enabled && !checkTemplate(t, rows)).map((t) => ({
+    id: t.id,
+    name: t.followsPtLen ? `${t.name.trim()} ${ptLenHours}h` : t.name.trim(),
+    type: t.type,
+    len: t.followsPtLen ? ptLenHours : parseFloat(t.length),
+    earliest: parseClock(t.earliest, 0),
+    latest: parseClock(t.latest, 24),
+    paidLunch: !!t.paidLunch,
+    cap: t.cap === '' ? Infinity : parseInt(t.cap, 10),
+  }));
+}
+
+// planner templates -> placeable kinds: length in intervals and the start intervals each one allows
+function shiftKinds(opts, H, sph) {
+  const templates = opts.templates || [
+    { id: 'ft8', name: 'FT 8h', type: 'FT', len: 8 },
+    { id: 'pt', name: `PT ${opts.ptLenHours}h`, type: 'PT', len: opts.ptLenHours },
+  ];
+  return templates.map((t) => {
+    const slots = Math.max(1, Math.round(t.len * sph));
+    const from = Math.ceil((t.earliest ?? 0) * sph);
+    const to = Math.min(opts.overnight ? H - 1 : H - slots, Math.floor((t.latest ?? 24) * sph));
+    const starts = [];
+    for (let s = from; s <= to; s++) starts.push(s);
+    return { ...t, slots, from, to, starts, cap: t.cap ?? Infinity, paidLunch: !!t.paidLunch };
+  });
+}
+
+// ---------- hire recommendations from shortages ----------
+// templates (optional) are the planner templates; each type's first template drives the headline numbers.
+// With pay rules each option also gets a rough daily cost at the base rate.
+export function computeHireRecommendations(plan, ptLenHours = 4, templates = null, rules = null) {
+  if (!plan?.shortage?.length) return null;
+  const totalShort = plan.totalShortUnits ?? plan.shortage.reduce((s, v) => s + v, 0);
+  const peakShort = Math.max(...plan.shortage, 0);
+  const list = templates || [{ name: 'FT 8h', type: 'FT', len: 8 }, { name: `PT ${ptLenHours}h`, type: 'PT', len: ptLenHours }];
+  const options = (type) => list.filter((t) => t.type === type).map((t) => ({
+    name: t.name,
+    len: t.len,
+    count: type === 'FT' ? Math.max(ceilDiv(totalShort, t.len), peakShort) : ceilDiv(totalShort, t.len),
+  })).map((o) => ({ ...o, cost: rules ? o.count * o.len * rules.rate[type] : null }));
+  const ft = options('FT');
+  const pt = options('PT');
+  let mixed = null;
+  if (ft.length && pt.length) {
+    const mixFT = Math.max(peakShort, Math.floor(totalShort / ft[0].len));
+    const mixResidual = Math.max(0, totalShort - mixFT * ft[0].len);
+    mixed = { ft: mixFT, pt: ceilDiv(mixResidual, pt[0].len), ftName: ft[0].name, ptName: pt[0].name };
+  }
+  return { totalShort, peakShort, ft, pt, mixed };
+}
+
+// ---------- hires by simulation ----------
+// Re-runs the planner for new people only, on the shortage the current plan leaves (existing shifts
+// stay as they are), with caps and headcount raised by the hires. Searches for the fewest hires that
+// bring the day's short agent-hours down to opts.target (default 0): FT only, PT only and the best
+// FT + PT mix, each with the exact shifts the new people would work. Among options of the same size the
+// one with the least shortage left, then the lowest cost, then the fewest paid hours wins. Searches up to
+// opts.maxHires people.
+//   -> { before, target, peakShort, ftOnly, ptOnly, best } where each option is
+//      { ft, pt, shortUnits, hoursShort, reached, hours, cost, roster (new hires, buildRoster rows) } or null
+export const MAX_SIMULATED_HIRES = 40;
+
+export function simulateHires(day, s, { target = 0, maxHires = MAX_SIMULATED_HIRES } = {}) {
+  const p = day?.plan;
+  if (!p?.shortage?.length) return null;
+  const sph = day.slotsPerHour;
+  const templates = s.templates ? resolveTemplates(s.templates, day.ptLenHours) : null;
+  const types = new Set((templates || [{ type: 'FT' }, { type: 'PT' }]).map((t) => t.type));
+  const rules = payRules(s, day.weekday);
+  const goal = Math.max(0, Number(target) || 0);
+  const residual = p.shortage;
+  const peakShort = Math.max(0, ...residual);
+
+  const cache = new Map();
+  const run = (ft, pt) => {
+    const key = `${ft}:${pt}`;
+    if (cache.has(key)) return cache.get(key);
+    const plan = buildShiftPlanStrategic(residual, { capFT: ft, capPT: pt, maxFTShifts: ft, maxPTShifts: pt }, {
+      strategy: 'ft_first', isWeekend: day.weekend, ptLenHours: day.ptLenHours, templates,
+      overnight: p.overnight, chained: day.chained, slotsPerHour: sph,
+    });
+    // people the planner found work for; a head it could not place is not a hire
+    const named = (shifts, type) => {
+      let n = 0;
+      return shifts.map((x) => ({ ...x, agents: Array.from({ length: x.count }, () => `New ${type}-${++n}`) }));
+    };
+    const roster = buildRoster(named(plan.shiftsFT, 'FT'), named(plan.shiftsPT, 'PT'), s.lunchMinutes);
+    const costed = rules ? laborCost(roster, rules) : null;
+    const option = {
+      ft: roster.filter((r) => r.type === 'FT').length,
+      pt: roster.filter((r) => r.type === 'PT').length,
+      shortUnits: plan.totalShortUnits,
+      hoursShort: plan.hoursShort,
+      reached: plan.totalShortUnits <= goal + 1e-9,
+      hours: roster.reduce((sum, r) => sum + r.hours, 0),
+      cost: costed ? costed.totals.total : null,
+      roster: costed ? costed.roster : roster,
+    };
+    cache.set(key, option);
+    return option;
+  };
+
+  const none = run(0, 0);
+  if (none.reached) return { before: p.totalShortUnits, target: goal, peakShort, ftOnly: none, ptOnly: none, best: none };
+
+  // fewest of one type that reaches the target, else the most it can do
+  const single = (type) => {
+    if (!types.has(type)) return null;
+    let last = null;
+    for (let n = 1; n <= maxHires; n++) {
+      const o = type === 'FT' ? run(n, 0) : run(0, n);
+      if (o.reached) return o;
+      if (last && o.shortUnits >= last.shortUnits && (type === 'FT' ? o.ft : o.pt) < n) return last; // no more work for this type
+      last = o;
+    }
+    return last;
+  };
+  const ftOnly = single('FT');
+  const ptOnly = single('PT');
+
+  // mixes by size: at least the peak shortage (that many have to be on at once), below the best single type
+  const order = (a, b) => (Math.abs(a.shortUnits - b.shortUnits) > 1e-9 ? a.shortUnits - b.shortUnits
+    : a.ft + a.pt !== b.ft + b.pt ? a.ft + a.pt - (b.ft + b.pt)
+      : Math.abs((a.cost ?? 0) - (b.cost ?? 0)) > 1e-9 ? (a.cost ?? 0) - (b.cost ?? 0)
+        : a.hours - b.hours);
+  const better = (a, b) => !b || order(a, b) < 0;
+  let best = [ftOnly, ptOnly].filter((o) => o?.reached).sort(order)[0] || null;
+  const limit = best ? best.ft + best.pt - 1 : maxHires;
+  if (types.has('FT') && types.has('PT')) {
+    for (let n = Math.max(2, Math.ceil(peakShort)); n <= limit; n++) {
+      let found = null;
+      for (let ft = 1; ft < n; ft++) {
+        const o = run(ft, n - ft);
+        if (o.reached && (!found || better(o, found))) found = o;
+      }
+      if (found) { best = found; break; }
+    }
+  }
+  // nothing reached the target: the option that leaves the least shortage
+  if (!best) best = [ftOnly, ptOnly].filter(Boolean).sort(order)[0] || none;
+  return { before: p.totalShortUnits, target: goal, peakShort, ftOnly, ptOnly, best };
+}
+
+// ---------- roster builder with lunches ----------
+export function buildRoster(shiftsFT, shiftsPT, lunchMin) {
+  const invalid = [...validateShifts(shiftsFT, 'shiftsFT'), ...validateShifts(shiftsPT, 'shiftsPT')];
+  if (invalid.length) throw new PlanInputError(invalid);
+  const roster = [];
+  let idFT = 1;
+  let idPT = 1;
+
+  const add = (type, s, L, name) => {
+    const { start, end } = s;
+    const lenH = end - start;
+    const durMin = lenH * 60;
+    const lunchDur = Math.max(0, parseInt(L || '30', 10));
+    const mid = start * 60 + durMin / 2;
+    const ls = snap30(mid - lunchDur / 2);
+    const le = ls + lunchDur;
+    roster.push({
+      agent: name || `${type}-${type === 'FT' ? idFT++ : idPT++}`,
+      type,
+      template: s.template || `${type} ${lenH}h`,
+      paidLunch: !!s.paidLunch,
+      start,
+      end,
+      hours: lenH,
+      lunchStart: Math.max(start * 60, ls),
+      lunchEnd: Math.min(end * 60, le),
+      ...(s.skills && { skills: s.skills }),
+    });
+  };
+
+  for (const s of shiftsFT) for (let k = 0; k < s.count; k++) add('FT', s, lunchMin, s.agents?.[k]);
+  for (const s of shiftsPT) for (let k = 0; k < s.count; k++) add('PT', s, lunchMin, s.agents?.[k]);
+  return roster;
+}
+
+// ---------- lunch and break scheduler (15-minute slots) ----------
+// Re-places each agent's lunch and breaks where taking one person off the phones costs the least:
+// first avoid slots that would drop below the requirement, then prefer the slots with the most
+// surplus, then stay close to the shift's natural midpoint. Returns the roster with lunch/breaks
+// and on-phone coverage per planning interval (fractional: a 15-minute break removes 0.25 of an
+// agent-hour). required and the result hold one entry per ctx.intervalMinutes (default 60).
+// rules: { lunchMinutes, lunchMinHours, lunchMarginHours, breakMinutes, breakEveryHours }
+// ctx: { wrap, carryInSlots, nextRequired, intervalMinutes } mirrors the planner's overnight handling.
+const SLOT_MIN = 15;
+const DAY_SLOTS = 1440 / SLOT_MIN;
+
+export function scheduleBreaks(roster, required, rules, ctx = {}) {
+  const span = ctx.wrap ? DAY_SLOTS : DAY_SLOTS * 2;
+  const idx = (slot) => (ctx.wrap ? slot % DAY_SLOTS : slot);
+  const perInterval = (ctx.intervalMinutes || 60) / SLOT_MIN;
+  const n = DAY_SLOTS / perInterval;
+  const demand = Array.from({ length: span }, (_, i) => {
+    const k = Math.floor(i / perInterval);
+    return k < n ? required[k] ?? 0 : ctx.nextRequired?.[k - n] ?? 0;
+  });
+  const onPhone = Array.from({ length: span }, (_, i) => (i < DAY_SLOTS ? ctx.carryInSlots?.[i] ?? 0 : 0));
+  for (const r of roster) for (let m = r.start * 60; m < r.end * 60; m += SLOT_MIN) onPhone[idx(m / SLOT_MIN)] += 1;
+
+  const lunchDur = Math.max(0, parseInt(rules.lunchMinutes || '0', 10));
+  const lunchMinHours = Math.max(0, parseFloat(rules.lunchMinHours) || 0);
+  const margin = Math.max(0, parseFloat(rules.lunchMarginHours) || 0) * 60;
+  const breakDur = Math.max(0, parseInt(rules.breakMinutes || '0', 10));
+  const breakEvery = Math.max(1, parseFloat(rules.breakEveryHours) || 4);
+
+  // cost of taking one agent off the phones for [from, from + dur)
+  const offCost = (from, dur, ideal) => {
+    let added = 0, surplus = 0;
+    for (let m = from; m < from + dur; m += SLOT_MIN) {
+      const i = idx(m / SLOT_MIN);
+      if (onPhone[i] <= demand[i]) added += 1;
+      surplus += onPhone[i] - demand[i];
+    }
+    return added * 1e6 - surplus * 100 + Math.abs(from - ideal);
+  };
+  const takeOff = (from, dur) => {
+    for (let m = from; m < from + dur; m += SLOT_MIN) onPhone[idx(m / SLOT_MIN)] -= 1;
+  };
+  const pick = (candidates, dur, ideal) => {
+    let best = null, bestCost = Infinity;
+    for (const c of candidates) {
+      const cost = offCost(c, dur, ideal);
+      if (cost < bestCost) { bestCost = cost; best = c; }
+    }
+    return best;
+  };
+  const overlaps = (a, aDur, b, bDur, gap) => a < b + bDur + gap && b < a + aDur + gap;
+
+  // longest shifts first: they have the widest windows and the most to lose from a bad slot
+  const order = roster.map((r, i) => i).sort((a, b) => (roster[b].end - roster[b].start) - (roster[a].end - roster[a].start));
+  const out = roster.map((r) => ({ ...r, lunchStart: null, lunchEnd: null, breaks: [] }));
+
+  for (const i of order) {
+    const r = out[i];
+    const s0 = r.start * 60, e0 = r.end * 60;
+    if (!lunchDur || r.hours < lunchMinHours) continue;
+    const mid = snap30(s0 + (e0 - s0) / 2 - lunchDur / 2);
+    const from = Math.ceil((s0 + margin) / 30) * 30;
+    const to = e0 - margin - lunchDur;
+    const candidates = [];
+    for (let m = from; m <= to; m += 30) candidates.push(m);
+    if (!candidates.length) candidates.push(Math.min(Math.max(s0, mid), e0 - lunchDur));
+    const ls = pick(candidates, lunchDur, mid);
+    r.lunchStart = ls; r.lunchEnd = ls + lunchDur;
+    takeOff(ls, lunchDur);
+  }
+
+  if (breakDur) {
+    for (const i of order) {
+      const r = out[i];
+      const s0 = r.start * 60, e0 = r.end * 60;
+      const count = Math.floor(r.hours / breakEvery);
+      for (let k = 1; k <= count; k++) {
+        const ideal = Math.round((s0 + ((e0 - s0) * k) / (count + 1)) / SLOT_MIN) * SLOT_MIN;
+        const candidates = [];
+        for (let m = Math.max(s0 + 60, ideal - 60); m <= Math.min(e0 - 60 - breakDur, ideal + 60); m += SLOT_MIN) {
+          if (r.lunchStart !== null && overlaps(m, breakDur, r.lunchStart, r.lunchEnd - r.lunchStart, 30)) continue;
+          if (r.breaks.some((b) => overlaps(m, breakDur, b.start, b.end - b.start, 30))) continue;
+          candidates.push(m);
+        }
+        if (!candidates.length) continue;
+        const bs = pick(candidates, breakDur, ideal);
+        r.breaks.push({ start: bs, end: bs + breakDur });
+        takeOff(bs, breakDur);
+      }
+      r.breaks.sort((a, b) => a.start - b.start);
+    }
+  }
+
+  const onPhoneByInterval = Array.from({ length: n }, (_, i) => {
+    let sum = 0;
+    for (let k = 0; k < perInterval; k++) sum += onPhone[i * perInterval + k];
+    return sum / perInterval;
+  });
+  // an unpaid lunch comes off the paid hours; breaks are always paid
+  for (const r of out) {
+    const unpaid = r.lunchStart !== null && !r.paidLunch ? (r.lunchEnd - r.lunchStart) / 60 : 0;
+    r.paidHours = r.hours - unpaid;
+  }
+  return {
+    roster: out,
+    onPhone: onPhoneByInterval,
+    spillSlots: ctx.wrap ? null : onPhone.slice(DAY_SLOTS),
+  };
+}
+
+// ---------- input validation ----------
+export class PlanInputError extends Error {
+  constructor(errors) {
+    super(`Invalid planner input: ${errors.join('; ')}`);
+    this.name = 'PlanInputError';
+    this.errors = errors;
+  }
+}
+
+const STRATEGIES = ['auto', 'ft_first', 'pt_first', 'mixed', 'optimal'];
+const SLOTS_PER_HOUR = [1, 2, 4];
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+const isHours = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0 && v <= 24;
+const firstBad = (arr, ok) => arr.findIndex((v) => !ok(v));
+
+// planner arguments -> list of problems, [] when buildShiftPlanStrategic can run them
+export function validatePlanInputs(required, limits, opts) {
+  const errors = [];
+  if (!opts || typeof opts !== 'object') return ['opts must be an object'];
+  const sph = opts.slotsPerHour ?? 1;
+  if (!SLOTS_PER_HOUR.includes(sph)) return [`opts.slotsPerHour must be one of ${SLOTS_PER_HOUR.join(', ')}`];
+  const H = 24 * sph;
+
+  if (!Array.isArray(required) || required.length !== H) errors.push(`required must hold ${H} values (24 x slotsPerHour)`);
+  else if (firstBad(required, isCount) >= 0) errors.push(`required[${firstBad(required, isCount)}] must be a whole number >= 0`);
+
+  if (!limits || typeof limits !== 'object') errors.push('limits must be an object');
+  else {
+    for (const k of ['capFT', 'capPT']) if (!isCount(limits[k])) errors.push(`limits.${k} must be a whole number >= 0`);
+    for (const k of ['maxFTShifts', 'maxPTShifts']) {
+      if (!isCount(limits[k]) && limits[k] !== Infinity) errors.push(`limits.${k} must be a whole number >= 0 or Infinity`);
+    }
+  }
+
+  if (opts.strategy !== undefined && !STRATEGIES.includes(opts.strategy)) {
+    errors.push(`opts.strategy must be one of ${STRATEGIES.join(', ')}`);
+  }
+  if (opts.strategy === 'mixed' && !Number.isFinite(opts.mixedFtPercent)) errors.push('opts.mixedFtPercent must be a number for the mixed strategy');
+
+  if (opts.templates == null) {
+    if (!(opts.ptLenHours > 0 && opts.ptLenHours <= MAX_SHIFT_HOURS)) errors.push(`opts.ptLenHours must be between 0 and ${MAX_SHIFT_HOURS}`);
+  } else if (!Array.isArray(opts.templates)) errors.push('opts.templates must be an array');
+  else {
+    opts.templates.forEach((t, i) => {
+      const at = `opts.templates[${i}]`;
+      if (!t || typeof t.name !== 'string' || !t.name) errors.push(`${at}.name is required`);
+      if (t?.type !== 'FT' && t?.type !== 'PT') errors.push(`${at}.type must be FT or PT`);
+      if (!(t?.len > 0 && t.len <= MAX_SHIFT_HOURS)) errors.push(`${at}.len must be between 0 and ${MAX_SHIFT_HOURS}`);
+      if (t?.earliest !== undefined && !isHours(t.earliest)) errors.push(`${at}.earliest must be an hour between 0 and 24`);
+      if (t?.latest !== undefined && !isHours(t.latest)) errors.push(`${at}.latest must be an hour between 0 and 24`);
+      if (isHours(t?.earliest) && isHours(t?.latest) && t.latest < t.earliest) errors.push(`${at}.latest is before earliest`);
+      if (t?.cap !== undefined && !isCount(t.cap) && t.cap !== Infinity) errors.push(`${at}.cap must be a whole number >= 0 or Infinity`);
+    });
+  }
+
+  const perInterval = (v, name) => {
+    if (v == null) return;
+    if (!Array.isArray(v) || v.length > H || firstBad(v, (x) => typeof x === 'number' && x >= 0) >= 0) {
+      errors.push(`${name} must be up to ${H} numbers >= 0`);
+    }
+  };
+  perInterval(opts.carryIn?.ft, 'opts.carryIn.ft');
+  perInterval(opts.carryIn?.pt, 'opts.carryIn.pt');
+  perInterval(opts.nextRequired, 'opts.nextRequired');
+
+  if (opts.pool != null) {
+    if (!Array.isArray(opts.pool)) errors.push('opts.pool must be an array');
+    else {
+      // latest may pass 24 (window over midnight) or be Infinity (open-ended), as parseEmployees gives it
+      const bad = opts.pool.findIndex((e) => !e || !e.name || (e.type !== 'FT' && e.type !== 'PT')
+        || !isHours(e.earliest) || typeof e.latest !== 'number' || !(e.latest > e.earliest));
+      if (bad >= 0) errors.push(`opts.pool[${bad}] needs a name, type FT or PT and an earliest hour before latest`);
+    }
+  }
+
+  if (opts.queues != null) {
+    const q = opts.queues;
+    if (!Array.isArray(q.names) || !q.names.length || q.names.length > MAX_QUEUES
+      || q.names.some((n) => typeof n !== 'string' || !n) || new Set(q.names).size !== q.names.length) {
+      errors.push(`opts.queues.names must be 1 to ${MAX_QUEUES} different names`);
+    } else if (!Array.isArray(q.required) || q.required.length !== q.names.length
+      || q.required.some((r) => !Array.isArray(r) || r.length !== H || firstBad(r, isCount) >= 0)) {
+      errors.push(`opts.queues.required must hold ${H} whole numbers >= 0 per queue`);
+    } else if (Array.isArray(required) && required.some((v, h) => v !== q.required.reduce((sum, r) => sum + r[h], 0))) {
+      errors.push('required must be the sum of opts.queues.required');
+    }
+  }
+
+  if (opts.budget != null) {
+    if (!(opts.budget.limit > 0)) errors.push('opts.budget.limit must be more than 0');
+    if (!opts.budget.rules?.rate) errors.push('opts.budget.rules must come from payRules');
+  }
+  return errors;
+}
+
+// shift rows as the planner returns them: start < end (hours), count a whole number
+function validateShifts(shifts, name) {
+  if (!Array.isArray(shifts)) return [`${name} must be an array`];
+  const bad = shifts.findIndex((s) => !s || !Number.isFinite(s.start) || !Number.isFinite(s.end) || s.end <= s.start || !isCount(s.count));
+  return bad >= 0 ? [`${name}[${bad}] needs start < end (hours) and a whole-number count`] : [];
+}
+
+// ---------- planner (concurrent caps + total headcount) ----------
+export function buildShiftPlanStrategic(requiredPerHourInt, limits, opts) {
+  // limits: { capFT, capPT, maxFTShifts, maxPTShifts }
+  // opts.overnight lets shifts run past midnight. On a single day the spill wraps onto this
+  // day's early hours (same pattern every night). With opts.chained (date range) the spill is
+  // returned as carryOut for the next day, opts.carryIn is what the previous day spilled into
+  // this one, and opts.nextRequired scores the spill against tomorrow's early demand.
+  // opts.pool (named employees available today) restricts shifts to someone's window and
+  // puts each shift on that person; maxHours on an employee caps their shift length (week rules).
+  // Arrays hold one entry per interval: 24 hourly values, or 48/96 when opts.slotsPerHour is 2/4.
+  // Starts step by one interval; shift start/end come back in (fractional) hours.
+  // opts.templates (see resolveTemplates) are the shifts to choose from; without them the plan
+  // uses FT 8h and PT opts.ptLenHours. Each shift comes back tagged with its template name.
+  // opts.budget ({ limit, rules, lunchMinutes, lunchMinHours }) caps the day's labor cost: a shift is only
+  // placed while it still fits, and picks go by deficit filled per unit of cost instead of deficit alone.
+  // opts.queues ({ names, required: per queue, per interval }) plans skill-based queues: required is
+  // their sum, pool employees bring their skills (agents without a pool take every queue) and a shift
+  // only scores where one more agent with those skills serves more queue demand.
+  const invalid = validatePlanInputs(requiredPerHourInt, limits, opts);
+  if (invalid.length) throw new PlanInputError(invalid);
+  const sph = opts.slotsPerHour || 1;
+  const H = 24 * sph;
+  const kinds = shiftKinds(opts, H, sph);
+  const overnight = !!opts.overnight;
+  const wrap = overnight && !opts.chained;
+  const span = overnight && !wrap ? H + Math.max(1, ...kinds.map((k) => k.slots)) - 1 : H;
+  const at = (h) => (wrap ? h % H : h);
+  const covFT = Array.from({ length: span }, (_, h) => (h < H ? opts.carryIn?.ft?.[h] ?? 0 : 0));
+  const covPT = Array.from({ length: span }, (_, h) => (h < H ? opts.carryIn?.pt?.[h] ?? 0 : 0));
+  const deficit = Array.from({ length: span }, (_, h) => Math.max(0,
+    (h < H ? requiredPerHourInt[h] : opts.nextRequired?.[h - H] ?? 0) - covFT[h] - covPT[h]));
+  const placed = { FT: 0, PT: 0 };
+  const maxShifts = { FT: limits.maxFTShifts, PT: limits.maxPTShifts };
+  const used = kinds.map(() => 0);
+
+  // queue demand each interval can serve with the agents on so far; what one more agent of a skill
+  // mask adds there (0 or 1) is cached until the interval changes. Carried-in agents take any queue.
+  const queues = opts.queues || null;
+  const names = queues ? queues.names : [];
+  const ALL = (1 << names.length) - 1;
+  const qSlots = queues ? Array.from({ length: H }, (_, i) => queueSlot(queues.required.map((r) => r[i]))) : null;
+  if (qSlots) qSlots.forEach((slot, i) => { for (let n = 0; n < covFT[i] + covPT[i]; n++) addToQueueSlot(slot, ALL); });
+  const gains = qSlots ? qSlots.map(() => new Map()) : null;
+  const gainAt = (h, mask) => {
+    if (!gains[h].has(mask)) gains[h].set(mask, queueRoute(qSlots[h], mask) ? 1 : 0);
+    return gains[h].get(mask);
+  };
+
+  // estimated pay for a template at a start: an unpaid lunch is assumed mid-shift
+  const budget = opts.budget || null;
+  let spent = 0;
+  const costCache = new Map();
+  const costAt = (ki, s) => {
+    const key = `${ki}:${s}`;
+    if (!costCache.has(key)) {
+      const k = kinds[ki];
+      const from = (s / sph) * 60, to = ((s + k.slots) / sph) * 60;
+      const L = budget.lunchMinutes;
+      const mid = snap30((from + to) / 2 - L / 2);
+      const unpaid = !k.paidLunch && L > 0 && k.slots / sph >= budget.lunchMinHours ? [{ start: mid, end: mid + L }] : [];
+      costCache.set(key, shiftCost(k.type, from, to, unpaid, budget.rules).total);
+    }
+    return costCache.get(key);
+  };
+
+  // best fit: the unassigned employee with the narrowest window that still holds the shift and fits
+  // their hours left this week (week rules); wishes come first (not on a day they would rather not
+  // work, starting inside their preferred window) and ties rotate weekends and start times
+  const pool = opts.pool || null;
+  const assigned = new Set();
+  const maskOf = new Map(queues && pool ? pool.map((e) => [e.name, skillMask(e.skills, names)]) : []);
+  const pickEmployee = (type, s, len, mask) => {
+    let best = null;
+    for (const e of pool) {
+      if (e.type !== type || assigned.has(e.name)) continue;
+      if (queues && maskOf.get(e.name) !== mask) continue;
+      if (s / sph < e.earliest || (s + len) / sph > e.latest) continue;
+      if (e.maxHours !== undefined && len / sph > e.maxHours + 1e-9) continue;
+      if (!best) { best = e; continue; }
+      const w = unmetWishes(e, s / sph), bestW = unmetWishes(best, s / sph);
+      const width = e.latest - e.earliest, bestWidth = best.latest - best.earliest;
+      if (w < bestW || (w === bestW && (width < bestWidth
+        || (width === bestWidth && lexLess(rotation(e, s / sph), rotation(best, s / sph)))))) best = e;
+    }
+    return best;
+  };
+
+  // equal picks go to the start whose person gets more of their wishes
+  const wishAt = (ki, s, mask) => unmetWishes(pickEmployee(kinds[ki].type, s, kinds[ki].slots, mask), s / sph);
+
+  // skill masks a shift of this type can be given: the free pool's, or every queue without a pool
+  const masksFor = (type) => {
+    if (!queues) return [null];
+    if (!pool) return [ALL];
+    return [...new Set(pool.filter((e) => e.type === type && !assigned.has(e.name)).map((e) => maskOf.get(e.name)))].filter(Boolean);
+  };
+
+  const canPlaceAt = (ki, s, mask) => {
+    const k = kinds[ki];
+    if (placed[k.type] >= maxShifts[k.type] || used[ki] >= k.cap) return false;
+    if (budget && spent + costAt(ki, s) > budget.limit + 1e-9) return false;
+    if (pool && !pickEmployee(k.type, s, k.slots, mask)) return false;
+    const own = k.type === 'FT' ? covFT : covPT;
+    const cap = k.type === 'FT' ? limits.capFT : limits.capPT;
+    for (let i = s; i < s + k.slots; i++) {
+      const h = at(i);
+      if (own[h] >= cap) return false;
+      if (covFT[h] + covPT[h] >= limits.capFT + limits.capPT) return false;
+    }
+    return true;
+  };
+
+  const scoreWindow = (s, len, type, mask) => {
+    let score = 0;
+    for (let k = s; k < s + len; k++) {
+      const h = at(k);
+      const totalRoom = Math.max(0, limits.capFT + limits.capPT - (covFT[h] + covPT[h]));
+      if (totalRoom <= 0) continue;
+      const roomType = type === 'FT'
+        ? Math.min(totalRoom, Math.max(0, limits.capFT - covFT[h]))
+        : Math.min(totalRoom, Math.max(0, limits.capPT - covPT[h]));
+      if (roomType <= 0) continue;
+      score += qSlots && h < H ? gainAt(h, mask) : Math.min(deficit[h], roomType);
+    }
+    return score;
+  };
+
+  const shiftsFT = [];
+  const shiftsPT = [];
+
+  const commit = (ki, s, mask) => {
+    const k = kinds[ki];
+    const emp = pool ? pickEmployee(k.type, s, k.slots, mask) : null;
+    if (emp) assigned.add(emp.name);
+    (k.type === 'FT' ? shiftsFT : shiftsPT).push({
+      start: s / sph, end: (s + k.slots) / sph, count: 1, template: k.name, paidLunch: k.paidLunch,
+      ...(emp && { agents: [emp.name] }),
+      ...(queues && { skills: skillNames(mask, names) }),
+    });
+    const own = k.type === 'FT' ? covFT : covPT;
+    for (let i = s; i < s + k.slots; i++) {
+      const h = at(i);
+      own[h] += 1;
+      deficit[h] = Math.max(0, deficit[h] - 1);
+      if (qSlots && h < H) { addToQueueSlot(qSlots[h], mask); gains[h].clear(); }
+    }
+    placed[k.type] += 1;
+    used[ki] += 1;
+    if (budget) spent += costAt(ki, s);
+    return true;
+  };
+
+  // the template and start of this type that fills the most deficit, per unit of cost under a budget
+  // (ties: earlier template, earlier start)
+  const placeOne = (type) => {
+    if (placed[type] >= maxShifts[type]) return false;
+    const masks = masksFor(type);
+    let bestK = -1, bestS = -1, bestM = null, best = 0;
+    kinds.forEach((k, ki) => {
+      if (k.type !== type) return;
+      for (const s of k.starts) {
+        for (const m of masks) {
+          if (!canPlaceAt(ki, s, m)) continue;
+          const sc = scoreWindow(s, k.slots, type, m);
+          const value = budget ? sc / Math.max(costAt(ki, s), 1e-9) : sc;
+          if (sc > 0 && (value > best || (pool && value === best && wishAt(ki, s, m) < wishAt(bestK, bestS, bestM)))) {
+            best = value; bestK = ki; bestS = s; bestM = m;
+          }
+        }
+      }
+    });
+    if (best <= 0) return false;
+    return commit(bestK, bestS, bestM);
+  };
+  const placeOneFT = () => placeOne('FT');
+  const placeOnePT = () => placeOne('PT');
+
+  const placeLoop = () => {
+    if (opts.strategy === 'ft_first') {
+      while (placeOneFT() || placeOnePT()) {}
+    } else if (opts.strategy === 'pt_first') {
+      while (placeOnePT() || placeOneFT()) {}
+    } else if (opts.strategy === 'mixed') {
+      const target = Math.min(100, Math.max(0, opts.mixedFtPercent)) / 100;
+      let ft = 0, pt = 0, progress = true;
+      while (progress) {
+        progress = false;
+        const share = (ft + pt) > 0 ? ft / (ft + pt) : 1;
+        if (share < target) {
+          if (placeOneFT()) { ft++; progress = true; }
+          if (placeOnePT()) { pt++; progress = true; }
+        } else {
+          if (placeOnePT()) { pt++; progress = true; }
+          if (placeOneFT()) { ft++; progress = true; }
+        }
+      }
+    } else {
+      if (opts.isWeekend) while (placeOnePT() || placeOneFT()) {}
+      else while (placeOneFT() || placeOnePT()) {}
+    }
+  };
+
+  // optimal: replay the solver's counts, then let the greedy loop use anyone the pool could not staff
+  let solver = null;
+  let greedy = null;
+  if (opts.strategy === 'optimal') {
+    greedy = buildShiftPlanStrategic(requiredPerHourInt, limits, { ...opts, strategy: 'auto' });
+    solver = solveShiftCounts(requiredPerHourInt, limits, opts, greedy);
+    let unstaffed = 0;
+    // the solver counts heads only; each one gets the skills that serve the most queue demand there
+    const maskAt = (ki, s) => {
+      let pick, top = -1;
+      for (const m of masksFor(kinds[ki].type)) {
+        if (!canPlaceAt(ki, s, m)) continue;
+        const sc = scoreWindow(s, kinds[ki].slots, kinds[ki].type, m);
+        if (sc > top) { top = sc; pick = m; }
+      }
+      return pick;
+    };
+    for (const x of solver.shifts) {
+      for (let n = 0; n < x.count; n++) {
+        const m = maskAt(x.kind, x.start);
+        const ok = m !== undefined && commit(x.kind, x.start, m);
+        if (!ok) unstaffed += 1;
+      }
+    }
+    if (unstaffed) placeLoop();
+    solver.unstaffed = unstaffed;
+  } else {
+    placeLoop();
+  }
+
+  const merge = (arr) => {
+    const sorted = arr.sort((a, b) => a.start - b.start || a.end - b.end || a.template.localeCompare(b.template));
+    const out = [];
+    for (const p of sorted) {
+      const last = out[out.length - 1];
+      if (last && last.start === p.start && last.end === p.end && last.template === p.template
+        && String(last.skills) === String(p.skills)) {
+        last.count += p.count;
+        if (p.agents) last.agents = [...(last.agents || []), ...p.agents];
+      } else out.push({ ...p });
+    }
+    return out;
+  };
+
+  const mergedFT = merge(shiftsFT);
+  const mergedPT = merge(shiftsPT);
+  const coverage = covFT.slice(0, H).map((v, i) => v + covPT[i]);
+  const carriedIn = Array.from({ length: H }, (_, h) => (opts.carryIn?.ft?.[h] ?? 0) + (opts.carryIn?.pt?.[h] ?? 0));
+  const carryOut = {
+    ft: Array.from({ length: H }, (_, h) => covFT[H + h] ?? 0),
+    pt: Array.from({ length: H }, (_, h) => covPT[H + h] ?? 0),
+  };
+  // with queues an agent only counts where their skills are needed: short is unserved queue demand,
+  // excess is agents on shift with no queue to take
+  const served = qSlots ? names.map((_, q) => qSlots.map((slot) => slot.served[q])) : null;
+  const servedAt = (h) => served.reduce((sum, sq) => sum + sq[h], 0);
+  const shortage = served
+    ? coverage.map((_, h) => requiredPerHourInt[h] - servedAt(h))
+    : coverage.map((c, h) => Math.max(0, requiredPerHourInt[h] - c));
+  const excess = served
+    ? coverage.map((c, h) => c - servedAt(h))
+    : coverage.map((c, h) => Math.max(0, c - requiredPerHourInt[h]));
+
+  const result = {
+    shiftsFT: mergedFT,
+    shiftsPT: mergedPT,
+    coverage,
+    required: requiredPerHourInt,
+    shortage,
+    excess,
+    maxConcurrent: Math.max(...coverage),
+    limits,
+    overnight,
+    carriedIn,
+    carryOut,
+    slotsPerHour: sph,
+    budgetSpent: budget ? spent : null,
+    // both in hours: short agent-hours and hours with any shortage
+    hoursShort: shortage.reduce((n, v) => n + (v > 0 ? 1 : 0), 0) / sph,
+    totalShortUnits: shortage.reduce((s, v) => s + v, 0) / sph,
+    ...(served && {
+      queues: {
+        names,
+        required: queues.required,
+        coverage: served,
+        shortage: queues.required.map((r, q) => r.map((v, h) => v - served[q][h])),
+      },
+    }),
+  };
+  if (!solver) return result;
+
+  // never hand back something worse than the greedy plan it started from
+  const summary = (p) => ({
+    totalShortUnits: p.totalShortUnits,
+    hoursShort: p.hoursShort,
+    excessUnits: p.excess.reduce((s, v) => s + v, 0) / sph,
+    ft: p.shiftsFT.reduce((s, x) => s + x.count, 0),
+    pt: p.shiftsPT.reduce((s, x) => s + x.count, 0),
+  });
+  const usedGreedy = planCost(greedy) < planCost(result);
+  const chosen = usedGreedy ? greedy : result;
+  return {
+    ...chosen,
+    solver: {
+      optimal: solver.optimal && !solver.unstaffed && !usedGreedy,
+      timedOut: solver.timedOut,
+      nodes: solver.nodes,
+      ms: solver.ms,
+      limitMs: solver.limitMs,
+      unstaffed: solver.unstaffed,
+      usedGreedy,
+      greedy: summary(greedy),
+      best: summary(chosen),
+    },
+  };
+}
+
+// shortage first, excess second (one short unit outweighs any amount of excess)
+const SHORT_WEIGHT = 1e6;
+const planCost = (p) => p.shortage.reduce((s, v) => s + v, 0) * SHORT_WEIGHT + p.excess.reduce((s, v) => s + v, 0);
+
+// ---------- exact solver: branch and bound over shift counts per (template, start) ----------
+// Decisions are taken in start order; an interval's cost is fixed once every start that can cover it
+// has been decided. The bound adds the excess already on the floor plus the shortage no remaining
+// start can fill under caps and headcount. Stops at opts.timeLimitMs with the best plan found.
+function solveShiftCounts(requiredPerHourInt, limits, opts, incumbentPlan) {
+  const t0 = Date.now();
+  const sph = opts.slotsPerHour || 1;
+  const H = 24 * sph;
+  const kinds = shiftKinds(opts, H, sph);
+  const overnight = !!opts.overnight;
+  const wrap = overnight && !opts.chained;
+  const span = overnight && !wrap ? H + Math.max(1, ...kinds.map((k) => k.slots)) - 1 : H;
+  const at = (h) => (wrap ? h % H : h);
+  const capAll = limits.capFT + limits.capPT;
+  const target = Array.from({ length: span }, (_, h) => (h < H ? requiredPerHourInt[h] : opts.nextRequired?.[h - H] ?? 0));
+  const cFT = Array.from({ length: span }, (_, h) => (h < H ? opts.carryIn?.ft?.[h] ?? 0 : 0));
+  const cPT = Array.from({ length: span }, (_, h) => (h < H ? opts.carryIn?.pt?.[h] ?? 0 : 0));
+
+  const decisions = [];
+  for (let s = 0; s < H; s++) {
+    kinds.forEach((k, ki) => {
+      if (s < k.from || s > k.to || k.cap <= 0) return;
+      const fit = opts.pool
+        ? opts.pool.filter((e) => e.type === k.type && s / sph >= e.earliest && (s + k.slots) / sph <= e.latest
+          && !(k.slots / sph > (e.maxHours ?? Infinity) + 1e-9)).length
+        : Infinity;
+      if (fit === 0) return;
+      decisions.push({ kind: ki, type: k.type, start: s, hours: Array.from({ length: k.slots }, (_, i) => at(s + i)), fit });
+    });
+  }
+  const D = decisions.length;
+  const lastCover = Array(span).fill(-1);
+  decisions.forEach((d, i) => d.hours.forEach((h) => { lastCover[h] = i; }));
+  const settleAt = Array.from({ length: D }, () => []);
+  lastCover.forEach((i, h) => { if (i >= 0) settleAt[i].push(h); });
+
+  // shortage only counts on this day's hours; spill into tomorrow only counts as excess
+  const hourCost = (h) => {
+    const c = cFT[h] + cPT[h];
+    return (h < H ? SHORT_WEIGHT * Math.max(0, target[h] - c) : 0) + Math.max(0, c - target[h]);
+  };
+  let base = 0;
+  lastCover.forEach((i, h) => { if (i < 0) base += hourCost(h); });
+
+  // incumbent: the greedy plan's counts, costed the same way
+  const x = Array(D).fill(0);
+  let best = Infinity;
+  let bestX = x.slice();
+  if (incumbentPlan) {
+    const inc = Array(D).fill(0);
+    const add = (list) => list.forEach((sh) => {
+      const i = decisions.findIndex((d) => kinds[d.kind].name === sh.template && d.start === Math.round(sh.start * sph));
+      if (i >= 0) inc[i] += sh.count;
+    });
+    add(incumbentPlan.shiftsFT);
+    add(incumbentPlan.shiftsPT);
+    const fFT = cFT.slice(), fPT = cPT.slice();
+    decisions.forEach((d, i) => d.hours.forEach((h) => { (d.type === 'FT' ? fFT : fPT)[h] += inc[i]; }));
+    let cost = 0;
+    for (let h = 0; h < span; h++) {
+      const c = fFT[h] + fPT[h];
+      cost += (h < H ? SHORT_WEIGHT * Math.max(0, target[h] - c) : 0) + Math.max(0, c - target[h]);
+    }
+    best = cost;
+    bestX = inc;
+  }
+
+  let remFT = limits.maxFTShifts;
+  let remPT = limits.maxPTShifts;
+  const remKind = kinds.map((k) => k.cap);
+  let nodes = 0;
+  let timedOut = false;
+  const deadline = t0 + Math.max(50, opts.timeLimitMs ?? 2000);
+
+  // a remaining shift fills at most its length in short units, so headcount also bounds the total
+  const longest = (type) => Math.max(0, ...kinds.filter((k) => k.type === type).map((k) => k.slots));
+  const lenOf = { FT: longest('FT'), PT: longest('PT') };
+  // a type without a template fills nothing, however many heads it has left (Infinity * 0 is NaN)
+  const reach = (rem, len) => (len > 0 ? rem * len : 0);
+  const bound = (idx, acc) => {
+    let excess = 0, shortPerHour = 0, open = 0;
+    for (let h = 0; h < span; h++) {
+      if (lastCover[h] < idx) continue;
+      const c = cFT[h] + cPT[h];
+      excess += Math.max(0, c - target[h]);
+      if (h < H && target[h] > c) {
+        const room = Math.min(capAll - c,
+          Math.max(0, Math.min(limits.capFT - cFT[h], remFT)) + Math.max(0, Math.min(limits.capPT - cPT[h], remPT)));
+        shortPerHour += Math.max(0, target[h] - c - Math.max(0, room));
+        open += target[h] - c;
+      }
+    }
+    const shortTotal = Math.max(0, open - reach(remFT, lenOf.FT) - reach(remPT, lenOf.PT));
+    return acc + excess + SHORT_WEIGHT * Math.max(shortPerHour, shortTotal);
+  };
+
+  const dfs = (idx, acc) => {
+    if (timedOut) return;
+    nodes += 1;
+    if ((nodes & 1023) === 0 && Date.now() > deadline) { timedOut = true; return; }
+    if (idx === D) {
+      if (acc < best) { best = acc; bestX = x.slice(); }
+      return;
+    }
+    if (bound(idx, acc) >= best) return;
+
+    const d = decisions[idx];
+    const own = d.type === 'FT' ? cFT : cPT;
+    const cap = d.type === 'FT' ? limits.capFT : limits.capPT;
+    let ub = Math.min(d.type === 'FT' ? remFT : remPT, remKind[d.kind], d.fit);
+    for (const h of d.hours) ub = Math.min(ub, cap - own[h], capAll - cFT[h] - cPT[h]);
+    ub = Math.max(0, ub);
+    const h0 = d.hours[0];
+    const need = Math.min(ub, Math.max(0, target[h0] - cFT[h0] - cPT[h0]));
+    const order = [];
+    for (let n = need; n >= 0; n--) order.push(n);
+    for (let n = need + 1; n <= ub; n++) order.push(n);
+
+    for (const n of order) {
+      for (const h of d.hours) own[h] += n;
+      if (d.type === 'FT') remFT -= n; else remPT -= n;
+      remKind[d.kind] -= n;
+      x[idx] = n;
+      let settled = 0;
+      for (const h of settleAt[idx]) settled += hourCost(h);
+      dfs(idx + 1, acc + settled);
+      for (const h of d.hours) own[h] -= n;
+      if (d.type === 'FT') remFT += n; else remPT += n;
+      remKind[d.kind] += n;
+      x[idx] = 0;
+      if (timedOut) break;
+    }
+  };
+  dfs(0, base);
+
+  return {
+    shifts: decisions.map((d, i) => ({ kind: d.kind, type: d.type, start: d.start, count: bestX[i] })).filter((s) => s.count > 0),
+    cost: best,
+    optimal: !timedOut,
+    timedOut,
+    nodes,
+    ms: Date.now() - t0,
+    limitMs: deadline - t0,
+  };
+}
+
+// ---------- model rows -> requirement per planning interval ----------
+// Hourly rows are split: every interval in the hour needs the hour's staff and the calls are shared
+// out evenly. Rows that carry a Minute field are taken at their own resolution and rolled up when
+// the interval is coarser (staff takes the interval's peak, calls add up).
+export function requirementsAt(rows, intervalMinutes) {
+  const n = 1440 / intervalMinutes;
+  const starts = rows.map((r) => (r.Hour ?? 0) * 60 + (r.Minute ?? 0));
+  const distinct = [...new Set(starts)].sort((a, b) => a - b);
+  let native = 60;
+  for (let i = 1; i < distinct.length; i++) native = Math.min(native, distinct[i] - distinct[i - 1]);
+  const required = Array(n).fill(0);
+  const calls = Array(n).fill(0);
+  rows.forEach((r, i) => {
+    const from = starts[i];
+    const to = from + native;
+    for (let k = Math.floor(from / intervalMinutes); k < n && k * intervalMinutes < to; k++) {
+      const overlap = Math.min(to, (k + 1) * intervalMinutes) - Math.max(from, k * intervalMinutes);
+      if (overlap <= 0) continue;
+      required[k] = Math.max(required[k], Math.max(0, Math.ceil(r.Staff ?? 0)));
+      calls[k] += ((r.CALLS ?? 0) * overlap) / native;
+    }
+  });
+  return { required, calls, nativeMinutes: native };
+}
+
+// ---------- Erlang C: agents needed for a call volume, AHT and ASA target ----------
+// probability that a call waits with n agents on `a` erlangs of traffic (Erlang B recursion, then C)
+function erlangC(n, a) {
+  if (n <= a) return 1;
+  let b = 1;
+  for (let k = 1; k <= n; k++) b = (a * b) / (k + a * b);
+  return (n * b) / (n - a * (1 - b));
+}
+
+// expected speed of answer in seconds
+const erlangASA = (n, a, ahtSec) => (n <= a ? Infinity : (erlangC(n, a) * ahtSec) / (n - a));
+
+// fewest agents whose expected ASA is within the target; calls arrive over intervalSec
+export function erlangAgents(calls, ahtSec, asaTargetSec, intervalSec = 3600) {
+  if (!(calls > 0) || !(ahtSec > 0)) return 0;
+  const a = (calls * ahtSec) / intervalSec;
+  const limit = Math.ceil(a * 2) + 100;
+  let n = Math.floor(a) + 1;
+  while (n < limit && erlangASA(n, a, ahtSec) > Math.max(1, asaTargetSec)) n += 1;
+  return n;
+}
+
+// share of calls answered within slSec with n agents
+const erlangSL = (n, a, ahtSec, slSec) => (n <= a ? 0 : 1 - erlangC(n, a) * Math.exp(-((n - a) * slSec) / ahtSec));
+
+// expected ASA (seconds), service level and occupancy for a (fractional) number of agents on the phones.
+// Part agents are interpolated between the whole numbers either side; at or below the workload the
+// queue never clears, so ASA is Infinity and service level 0.
+export function erlangProjection(agents, calls, ahtSec, slSec, intervalSec = 3600) {
+  const a = (calls * ahtSec) / intervalSec;
+  if (!(calls > 0)) return { asa: 0, sl: 1, occupancy: 0, workload: 0 };
+  const lo = Math.floor(agents), hi = Math.ceil(agents), w = agents - lo;
+  const mix = (f) => (w && f(hi) !== Infinity && f(lo) !== Infinity ? f(lo) * (1 - w) + f(hi) * w : f(w < 0.5 ? lo : hi));
+  const asa = agents <= a ? Infinity : mix((n) => erlangASA(n, a, ahtSec));
+  const sl = agents <= a ? 0 : mix((n) => erlangSL(n, a, ahtSec, slSec));
+  return { asa, sl, occupancy: agents > 0 ? Math.min(1, a / agents) : 1, workload: a };
+}
+
+// projection per planning interval from on-phone agents, plus calls-weighted hourly and daily rollups
+export function projectService(calls, onPhone, ahtSec, slSec, intervalMinutes) {
+  const byInterval = calls.map((c, i) => erlangProjection(onPhone[i] ?? 0, c, ahtSec, slSec, intervalMinutes * 60));
+  const rollup = (from, to) => {
+    let n = 0, asa = 0, sl = 0, work = 0, agents = 0, overloaded = 0;
+    for (let i = from; i < to; i++) {
+      const p = byInterval[i];
+      n += calls[i]; asa += p.asa * calls[i]; sl += p.sl * calls[i];
+      work += p.workload; agents += onPhone[i] ?? 0;
+      if (p.asa === Infinity && calls[i] > 0) overloaded += 1;
+    }
+    return {
+      asa: n ? (overloaded ? Infinity : asa / n) : 0,
+      sl: n ? sl / n : 1,
+      occupancy: agents > 0 ? Math.min(1, work / agents) : work > 0 ? 1 : 0,
+      overloaded,
+    };
+  };
+  const per = 60 / intervalMinutes;
+  return {
+    byInterval,
+    hourly: Array.from({ length: 24 }, (_, h) => rollup(h * per, (h + 1) * per)),
+    daily: rollup(0, byInterval.length),
+    slSec,
+  };
+}
+
+// model Staff vs Erlang C: flagged when they differ by 2+ agents and more than this share
+export const ERLANG_GAP_SHARE = 0.2;
+const erlangGap = (model, erlang) => Math.abs(model - erlang) >= Math.max(2, ERLANG_GAP_SHARE * Math.max(model, erlang));
+
+// requirement per interval for one day. With an AHT the Erlang C numbers are worked out next to the
+// model's Staff (per planning interval and per model row); s.requirementSource picks the one planned to.
+export function dayRequirement(scheduleData, s, interval) {
+  const rows = scheduleData.data;
+  const base = requirementsAt(rows, interval);
+  const aht = parseFloat(s.ahtSeconds);
+  if (!(aht > 0)) return { ...base, modelRequired: base.required, erlang: null, source: 'model' };
+  const asaSec = (scheduleData.inputs?.ASA_Threshold_Min ?? 0) * 60;
+  const required = base.calls.map((c) => erlangAgents(c, aht, asaSec, interval * 60));
+  const byRow = rows.map((r) => erlangAgents(r.CALLS ?? 0, aht, asaSec, base.nativeMinutes * 60));
+  const gaps = rows.map((r, i) => erlangGap(Math.max(0, Math.ceil(r.Staff ?? 0)), byRow[i]));
+  const source = s.requirementSource === 'erlang' ? 'erlang' : 'model';
+  return {
+    ...base,
+    required: source === 'erlang' ? required : base.required,
+    modelRequired: base.required,
+    erlang: { aht, asaSec, required, byRow, gaps, gapCount: gaps.filter(Boolean).length },
+    source,
+  };
+}
+
+// demand per skill-based queue for one day. Rows that carry Queues: { [name]: { CALLS, Staff } } give a
+// queue its own numbers; otherwise it takes its share of the day's calls and of the requirement, rounded
+// up per queue (Erlang C on its calls when planning to Erlang), so split queues lose some of the pooling
+// one big queue gets. -> [{ name, share, fromRows, required, calls }]
+export function queueRequirements(scheduleData, queues, requirement, interval) {
+  const rows = scheduleData.data;
+  const erlang = requirement.source === 'erlang' ? requirement.erlang : null;
+  const agentsFor = (calls) => calls.map((c) => erlangAgents(c, erlang.aht, erlang.asaSec, interval * 60));
+  return queues.map((q) => {
+    if (rows.some((r) => r.Queues?.[q.name])) {
+      const own = requirementsAt(rows.map((r) => ({
+        Hour: r.Hour, Minute: r.Minute, Staff: r.Queues?.[q.name]?.Staff ?? 0, CALLS: r.Queues?.[q.name]?.CALLS ?? 0,
+      })), interval);
+      return { ...q, fromRows: true, required: erlang ? agentsFor(own.calls) : own.required, calls: own.calls };
+    }
+    const calls = requirement.calls.map((c) => c * q.share);
+    const required = erlang ? agentsFor(calls) : requirement.required.map((v) => Math.ceil(v * q.share - 1e-9));
+    return { ...q, fromRows: false, required, calls };
+  });
+}
+
+// per-interval values -> 24 hourly values (mean over the hour, so shortage becomes agent-hours)
+const toHourly = (values, slotsPerHour) => Array.from({ length: 24 }, (_, h) => {
+  let sum = 0;
+  for (let k = 0; k < slotsPerHour; k++) sum += values[h * slotsPerHour + k] ?? 0;
+  return sum / slotsPerHour;
+});
+
+// ---------- shrinkage: absence, meetings and off-phone work ----------
+// The model's Staff is agents on the phones; shrinkage is the share of scheduled time that never gets
+// there beyond lunches and breaks, which the roster already takes out. The requirement is grossed up to
+// required / (1 - shrinkage) before planning. The overall percentage (settings.shrinkagePct) applies to
+// every interval, and each rule whose days and hours match adds its percentage on top.
+//   Days,Hours,Percent,Reason   Days: weekday names or YYYY-MM-DD separated by ; | or spaces, blank for
+//   every day; Hours: 09:00-12:00, blank for the whole day; Reason is free text (absence, training, ...)
+export const MAX_SHRINKAGE_PCT = 80;
+
+export function parseShrinkage(text) {
+  const rules = [];
+  const errors = [];
+  (text || '').split(/\r?\n/).forEach((raw, i) => {
+    if (!raw.trim() || raw.trim().startsWith('#')) return;
+    const [daysRaw, hoursRaw, pctRaw, reason] = parseCSVLine(raw);
+    const pct = parseFloat(pctRaw);
+    if (i === 0 && Number.isNaN(pct) && /day/i.test(daysRaw)) return; // header row
+    const line = `Line ${i + 1}`;
+    const days = parseDays(daysRaw);
+    if (days.bad) { errors.push(`${line}: unknown day "${days.bad}"`); return; }
+    let from = 0, to = 24;
+    if (hoursRaw) {
+      [from, to] = hoursRaw.split('-').map((x) => parseClock(x.trim(), NaN));
+      if (!(from >= 0) || !(to > from)) { errors.push(`${line}: hours must look like 09:00-12:00`); return; }
+    }
+    if (!(pct >= 0 && pct < 100)) { errors.push(`${line}: percent must be a number from 0 to under 100`); return; }
+    rules.push({ days: days.days, from, to, pct, reason: reason || '' });
+  });
+  return { rules, errors };
+}
+
+// the overall percentage plus every matching rule, per interval, before the cap
+function shrinkagePcts(s, date, weekday, interval) {
+  const overall = Math.max(0, parseFloat(s.shrinkagePct) || 0);
+  const rules = (s.shrinkage || []).filter((r) => !r.days.length || r.days.includes(weekday) || r.days.includes(date));
+  return Array.from({ length: 1440 / interval }, (_, i) => {
+    const at = (i * interval) / 60;
+    return rules.reduce((sum, r) => sum + (at >= r.from - 1e-9 && at < r.to - 1e-9 ? r.pct : 0), overall);
+  });
+}
+
+// shrinkage share (0-1) per planning interval for one date, or null when nothing applies; the sum of the
+// overall percentage and the matching rules stops at MAX_SHRINKAGE_PCT (shrinkageOverCap says where)
+export function shrinkageAt(s, date, weekday, interval) {
+  const shares = shrinkagePcts(s, date, weekday, interval).map((pct) => Math.min(MAX_SHRINKAGE_PCT, pct) / 100);
+  return shares.some((v) => v > 0) ? shares : null;
+}
+
+// where the settings add up past the cap, as form warnings: per weekday (one line when every day is the
+// same) and per date named in a rule when it differs from its weekday
+export function shrinkageOverCap(s) {
+  const over = (date, weekday) => {
+    const pcts = shrinkagePcts(s, date, weekday, SLOT_MIN);
+    const runs = [];
+    pcts.forEach((pct, i) => {
+      if (pct <= MAX_SHRINKAGE_PCT + 1e-9) return;
+      const last = runs[runs.length - 1];
+      if (last && last.to === i) { last.to = i + 1; last.peak = Math.max(last.peak, pct); }
+      else runs.push({ from: i, to: i + 1, peak: pct });
+    });
+    const span = (r) => (r.from === 0 && r.to === DAY_SLOTS ? 'all day'
+      : `${clock((r.from * SLOT_MIN) / 60)}-${r.to === DAY_SLOTS ? '24:00' : clock((r.to * SLOT_MIN) / 60)}`);
+    return runs.map((r) => `${span(r)} adds up to ${+r.peak.toFixed(1)}%`).join(', ');
+  };
+  const week = [...WEEKDAYS.slice(1), WEEKDAYS[0]].map((wd) => [wd, over('', wd)]);
+  const warnings = week.every(([, msg]) => msg === week[0][1])
+    ? (week[0][1] ? [['Every day', week[0][1]]] : [])
+    : week.filter(([, msg]) => msg);
+  const dates = [...new Set((s.shrinkage || []).flatMap((r) => r.days.filter((d) => /^\d/.test(d))))].sort();
+  for (const date of dates) {
+    const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    const msg = over(date, weekday);
+    if (msg && msg !== over('', weekday)) warnings.push([date, msg]);
+  }
+  return warnings.map(([day, msg]) => `${day}: ${msg}, planned as ${MAX_SHRINKAGE_PCT}%`);
+}
+
+// agents to schedule so that `agents` are left once shrinkage is taken, and the other way round
+const grossUp = (agents, share) => Math.ceil(agents / (1 - share) - 1e-9);
+const netOfShrinkage = (onPhone, shares) => (shares ? onPhone.map((v, i) => v * (1 - shares[i])) : onPhone);
+const grossRequired = (scheduleData, s, interval) => {
+  const { required } = dayRequirement(scheduleData, s, interval);
+  const shares = shrinkageAt(s, scheduleData.inputs.Date, scheduleData.inputs.Weekday, interval);
+  return shares ? required.map((v, i) => grossUp(v, shares[i])) : required;
+};
+
+// ---------- labor cost: rates, night/weekend differentials, daily overtime ----------
+// Pay rules from the form; null when no rate is set (a blank rate for one type counts it at 0).
+// Differentials are percentages on top of the base rate; overtime multiplies the differential rate
+// for paid time past otAfter minutes in one shift.
+export function payRules(s, weekday) {
+  const ft = parseFloat(s.rateFT);
+  const pt = parseFloat(s.ratePT);
+  if (!(ft >= 0) && !(pt >= 0)) return null;
+  const nightFrom = parseClock(s.nightStart, 22);
+  const nightTo = parseClock(s.nightEnd, 6);
+  const otHours = parseFloat(s.otAfterHours);
+  return {
+    rate: { FT: ft >= 0 ? ft : 0, PT: pt >= 0 ? pt : 0 },
+    nightPct: Math.max(0, parseFloat(s.nightDiffPct) || 0) / 100,
+    nightFrom: Number.isNaN(nightFrom) ? 0 : (nightFrom % 24) * 60,
+    nightTo: Number.isNaN(nightTo) ? 0 : (nightTo % 24) * 60,
+    weekendPct: Math.max(0, parseFloat(s.weekendDiffPct) || 0) / 100,
+    otAfter: otHours > 0 ? otHours * 60 : Infinity,
+    otMultiplier: Math.max(1, parseFloat(s.otMultiplier) || 1.5),
+    dayIndex: Math.max(0, WEEKDAYS.indexOf(weekday)),
+  };
+}
+
+// one shift in minutes from the plan day's midnight; unpaid: [{ start, end }] taken off in 15-minute steps.
+// The weekend differential follows the calendar day of each step, so a Friday night shift earns it after midnight.
+export function shiftCost(type, startMin, endMin, unpaid, rules) {
+  const out = { total: 0, base: 0, night: 0, weekend: 0, overtime: 0 };
+  let paid = 0;
+  for (let m = startMin; m < endMin; m += SLOT_MIN) {
+    if (unpaid.some((g) => m >= g.start && m < g.end)) continue;
+    const tod = m % 1440;
+    const { nightFrom: a, nightTo: b } = rules;
+    const isNight = a < b ? tod >= a && tod < b : a > b && (tod >= a || tod < b);
+    const wd = (rules.dayIndex + Math.floor(m / 1440)) % 7;
+    const base = (rules.rate[type] * SLOT_MIN) / 60;
+    const night = isNight ? base * rules.nightPct : 0;
+    const weekend = wd === 0 || wd === 6 ? base * rules.weekendPct : 0;
+    const overtime = paid >= rules.otAfter ? (base + night + weekend) * (rules.otMultiplier - 1) : 0;
+    paid += SLOT_MIN;
+    out.base += base; out.night += night; out.weekend += weekend; out.overtime += overtime;
+    out.total += base + night + weekend + overtime;
+  }
+  return out;
+}
+
+// roster -> roster with cost per person, plus the day's totals by type and by component
+export function laborCost(roster, rules) {
+  const totals = { ft: 0, pt: 0, total: 0, base: 0, night: 0, weekend: 0, overtime: 0 };
+  const costed = roster.map((r) => {
+    const lunch = r.lunchStart !== null && !r.paidLunch ? [{ start: r.lunchStart, end: r.lunchEnd }] : [];
+    const c = shiftCost(r.type, r.start * 60, r.end * 60, lunch, rules);
+    for (const k of ['total', 'base', 'night', 'weekend', 'overtime']) totals[k] += c[k];
+    if (r.type === 'FT') totals.ft += c.total; else totals.pt += c.total;
+    return { ...r, cost: c.total };
+  });
+  return { roster: costed, totals };
+}
+
+// ---------- planning settings ----------
+// The app form's starting values, as strings the way the inputs hold them. planDay settings are
+// these with whatever the user changed; templates are form rows, employees parseEmployees output,
+// queues parseQueues output (empty: one queue) and shrinkage parseShrinkage rules.
+export const DEFAULT_SETTINGS = {
+  ahtSeconds: '', requirementSource: 'model', slSeconds: '20', shrinkagePct: '',
+  capFT: '', capPT: '', totalFT: '', totalPT: '',
+  rateFT: '', ratePT: '', nightDiffPct: '0', nightStart: '22:00', nightEnd: '06:00', weekendDiffPct: '0',
+  otAfterHours: '', otMultiplier: '1.5', dailyBudget: '',
+  weekRules: false, ftWeekHours: '40', ftWeekDays: '5', ptWeekMinHours: '', ptWeekMaxHours: '',
+  minRestHours: '11', maxConsecutiveDays: '6', breakOverHours: '6',
+  strategy: 'auto', mixedRatio: '60', solverSeconds: '2',
+  ptLen: '4', ptLenWeekendOverride: false, ptLenWeekend: '6',
+  lunchMinutes: '30', lunchMinHours: '0', lunchMarginHours: '2', breakMinutes: '15', breakEveryHours: '4',
+  overnight: false, intervalMinutes: '60',
+  templates: DEFAULT_TEMPLATES,
+  employees: [],
+  queues: [],
+  shrinkage: [],
+};
+
+// What each string setting may hold. A form restored from a link or storage, or given to the CLI, is
+// checked value by value so one bad value is dropped (or refused) instead of failing every plan.
+const WHOLE = /^\d+$/;
+const AMOUNT = /^\d+(\.\d+)?$/;
+const blankOr = (re) => (v) => v === '' || re.test(v);
+const shiftHours = (v) => WHOLE.test(v) && v > 0 && v <= MAX_SHIFT_HOURS;
+const SETTING_CHECKS = {
+  requirementSource: [(v) => v === 'model' || v === 'erlang', 'must be model or erlang'],
+  strategy: [(v) => STRATEGIES.includes(v), `must be one of ${STRATEGIES.join(', ')}`],
+  intervalMinutes: [(v) => ['60', '30', '15'].includes(v), 'must be 60, 30 or 15'],
+  ptLen: [shiftHours, `must be a whole number of hours from 1 to ${MAX_SHIFT_HOURS}`],
+  ptLenWeekend: [shiftHours, `must be a whole number of hours from 1 to ${MAX_SHIFT_HOURS}`],
+  mixedRatio: [(v) => AMOUNT.test(v) && v <= 100, 'must be a percentage from 0 to 100'],
+  shrinkagePct: [(v) => v === '' || (AMOUNT.test(v) && v < 100), 'must be a number from 0 to under 100'],
+  nightStart: [(v) => !Number.isNaN(parseClock(v, 0)), 'must look like 22:00'],
+  nightEnd: [(v) => !Number.isNaN(parseClock(v, 0)), 'must look like 06:00'],
+  ...Object.fromEntries(['capFT', 'capPT', 'totalFT', 'totalPT', 'lunchMinutes', 'breakMinutes', 'ftWeekDays', 'maxConsecutiveDays']
+    .map((k) => [k, [blankOr(WHOLE), 'must be a whole number >= 0']])),
+  ...Object.fromEntries(['ahtSeconds', 'slSeconds', 'rateFT', 'ratePT', 'nightDiffPct', 'weekendDiffPct', 'otAfterHours',
+    'otMultiplier', 'dailyBudget', 'ftWeekHours', 'ptWeekMinHours', 'ptWeekMaxHours', 'minRestHours', 'breakOverHours',
+    'solverSeconds', 'lunchMinHours', 'lunchMarginHours', 'breakEveryHours']
+    .map((k) => [k, [blankOr(AMOUNT), 'must be a number >= 0']])),
+};
+
+// settings key + value as the form holds it -> what is wrong with it, '' when it can be planned
+export function settingError(key, value) {
+  const check = SETTING_CHECKS[key];
+  return !check || check[0](String(value)) ? '' : `${key} ${check[1]}`;
+}
+
+// ---------- one day: /schedule response + form settings -> plan, roster, hires ----------
+// chain (date range only): { carryIn, carryInSlots, nextRequired } so overnight shifts cross into the next day
+export function planDay(scheduleData, s, chain = null) {
+  if (!scheduleData?.data?.length) return null;
+
+  const rows = scheduleData.data;
+  const interval = parseInt(s.intervalMinutes, 10) || 60;
+  const sph = 60 / interval;
+  const totalCalls = rows.reduce((sum, r) => sum + (r.CALLS ?? 0), 0);
+  const requirement = dayRequirement(scheduleData, s, interval);
+  // shrinkage grosses every requirement up (each queue's on its own) before anything is planned
+  const shares = shrinkageAt(s, scheduleData.inputs.Date, scheduleData.inputs.Weekday, interval);
+  const gross = (required) => (shares ? required.map((v, i) => grossUp(v, shares[i])) : required);
+  // with skill-based queues the day needs every queue's demand, planned queue by queue
+  const sumQueues = (qs) => requirement.required.map((_, i) => qs.reduce((sum, q) => sum + q.required[i], 0));
+  const queueRaw = s.queues?.length ? queueRequirements(scheduleData, s.queues, requirement, interval) : null;
+  const rawRequired = queueRaw ? sumQueues(queueRaw) : requirement.required;
+  const queueDemand = queueRaw && shares ? queueRaw.map((q) => ({ ...q, required: gross(q.required) })) : queueRaw;
+  const staffInt = queueDemand ? sumQueues(queueDemand) : gross(rawRequired);
+  const callsByInterval = requirement.calls;
+  const totalStaffHours = staffInt.reduce((sum, v) => sum + v, 0) / sph;
+  const peakStaff = Math.max(...staffInt);
+  const avgStaff = totalStaffHours / 24;
+
+  const peakCallsRow = rows.reduce((max, r) => (r.CALLS > max.CALLS ? r : max), rows[0]);
+  const breaches = rows.filter((r) => r.ASA > scheduleData.inputs.ASA_Threshold_Min).length;
+
+  const weekday = scheduleData.inputs.Weekday;
+  const weekend = isWeekendName(weekday);
+  const ptHours = weekend && s.ptLenWeekendOverride ? parseInt(s.ptLenWeekend, 10) : parseInt(s.ptLen, 10);
+  const templates = s.templates ? resolveTemplates(s.templates, ptHours) : null;
+
+  // named pool: only people not off today can work, and the pool is the headcount; a day someone
+  // would rather not work only puts them last in line
+  const pool = s.employees?.length
+    ? s.employees.filter((e) => !isDayOff(e, scheduleData.inputs.Date, weekday))
+      .map((e) => (isAvoidDay(e, scheduleData.inputs.Date, weekday) ? { ...e, avoidToday: true } : e))
+    : null;
+  const poolFT = pool ? pool.filter((e) => e.type === 'FT').length : 0;
+  const poolPT = pool ? pool.length - poolFT : 0;
+
+  // if totals not provided, assume totals = caps (or the pool size when employees are loaded)
+  const capFt = Math.max(0, parseInt(s.capFT || `${Math.ceil(peakStaff)}`, 10));
+  const capPt = Math.max(0, parseInt(s.capPT || '0', 10));
+  let maxFTShifts = Math.max(0, parseInt((s.totalFT || s.capFT || `${Math.ceil(peakStaff)}`), 10));
+  let maxPTShifts = Math.max(0, parseInt((s.totalPT || s.capPT || '0'), 10));
+  if (pool) {
+    maxFTShifts = s.totalFT ? Math.min(maxFTShifts, poolFT) : poolFT;
+    maxPTShifts = s.totalPT ? Math.min(maxPTShifts, poolPT) : poolPT;
+  }
+
+  const limits = { capFT: capFt, capPT: capPt, maxFTShifts, maxPTShifts };
+  const rules = payRules(s, weekday);
+  const budgetLimit = parseFloat(s.dailyBudget);
+  const opts = {
+    strategy: s.strategy, mixedFtPercent: parseInt(s.mixedRatio, 10) || 0, isWeekend: weekend, ptLenHours: ptHours, templates,
+    overnight: s.overnight, chained: !!chain, carryIn: chain?.carryIn, nextRequired: chain?.nextRequired,
+    slotsPerHour: sph,
+    queues: queueDemand ? { names: queueDemand.map((q) => q.name), required: queueDemand.map((q) => q.required) } : null,
+    timeLimitMs: Math.max(0.1, parseFloat(s.solverSeconds) || 2) * 1000,
+    budget: rules && budgetLimit > 0 ? {
+      limit: budgetLimit, rules,
+      lunchMinutes: Math.max(0, parseInt(s.lunchMinutes || '0', 10)), lunchMinHours: Math.max(0, parseFloat(s.lunchMinHours) || 0),
+    } : null,
+  };
+  const plan = buildShiftPlanStrategic(staffInt, limits, { ...opts, pool });
+  // the budget and availability comparisons only need where coverage differs, so the exact solver is
+  // not run again for them: the greedy planner (the solver's own starting point) answers instead
+  const compare = opts.strategy === 'optimal' ? { ...opts, strategy: 'auto' } : opts;
+
+  // shortage caused by the budget = what the same people would cover with no budget
+  let budget = null;
+  if (opts.budget) {
+    const unlimited = buildShiftPlanStrategic(staffInt, limits, { ...compare, pool, budget: null });
+    const short = plan.shortage.map((v, h) => Math.max(0, v - unlimited.shortage[h]));
+    budget = { limit: budgetLimit, short, units: short.reduce((sum, v) => sum + v, 0) / sph };
+  }
+
+  // shortage caused by availability = what the same headcount covers once windows are ignored (same
+  // people and skills when planning queues)
+  let availability = null;
+  if (pool) {
+    const open = opts.queues ? { ...compare, pool: pool.map((e) => ({ ...e, earliest: 0, latest: Infinity })) } : compare;
+    const free = buildShiftPlanStrategic(staffInt, limits, open);
+    const short = plan.shortage.map((v, h) => Math.max(0, v - free.shortage[h]));
+    availability = {
+      short,
+      units: short.reduce((sum, v) => sum + v, 0) / sph,
+      available: pool.length,
+      offToday: s.employees.length - pool.length,
+      unused: pool.filter((e) => !plan.shiftsFT.concat(plan.shiftsPT).some((x) => x.agents?.includes(e.name))).map((e) => e.name),
+    };
+  }
+
+  // staggered lunches and breaks; on-phone coverage is what is left once they are taken
+  const breaks = scheduleBreaks(buildRoster(plan.shiftsFT, plan.shiftsPT, s.lunchMinutes), staffInt, s, {
+    wrap: !!s.overnight && !chain, carryInSlots: chain?.carryInSlots, nextRequired: chain?.nextRequired,
+    intervalMinutes: interval,
+  });
+  const costed = rules ? laborCost(breaks.roster, rules) : null;
+  const roster = costed ? costed.roster : breaks.roster;
+  // what this plan should deliver: Erlang C on the agents left on the phones once shrinkage is taken too
+  const service = requirement.erlang
+    ? projectService(callsByInterval, netOfShrinkage(breaks.onPhone, shares), requirement.erlang.aht, Math.max(0, parseFloat(s.slSeconds) || 0), interval)
+    : null;
+  const recs = computeHireRecommendations(plan, ptHours, templates, rules);
+
+  return {
+    date: scheduleData.inputs.Date,
+    weekday,
+    weekend,
+    interval,
+    slotsPerHour: sph,
+    staffInt,
+    callsByInterval,
+    requirementSource: requirement.source,
+    modelRequired: requirement.modelRequired,
+    // share lost to shrinkage and the requirement before it, per interval, per model row and per hour
+    shrinkage: shares ? {
+      shares,
+      rawRequired,
+      byRow: rows.map((r) => grossUp(Math.max(0, Math.ceil(r.Staff ?? 0)), shares[Math.floor(((r.Hour ?? 0) * 60 + (r.Minute ?? 0)) / interval)])),
+      hourly: { shares: toHourly(shares, sph), rawRequired: toHourly(rawRequired, sph) },
+    } : null,
+    erlang: requirement.erlang,
+    hours: rows.length,
+    totalCalls,
+    totalStaffHours,
+    peakStaff,
+    avgStaff,
+    peakHour: peakCallsRow.Hour,
+    peakCalls: peakCallsRow.CALLS,
+    breaches,
+    plan,
+    availability,
+    roster,
+    preferences: pool ? preferenceReport(roster, s.employees, scheduleData.inputs.Date, weekday) : null,
+    onPhone: breaks.onPhone,
+    spillSlots: breaks.spillSlots,
+    // what the previous day left on the phones, kept so a hand-edited roster can be re-counted
+    chained: !!chain,
+    carryIn: chain?.carryIn ?? null,
+    carryInSlots: chain?.carryInSlots ?? null,
+    service,
+    cost: costed ? costed.totals : null,
+    budget,
+    hourly: {
+      required: toHourly(plan.required, sph),
+      coverage: toHourly(plan.coverage, sph),
+      shortage: toHourly(plan.shortage, sph),
+      excess: toHourly(plan.excess, sph),
+      onPhone: toHourly(breaks.onPhone, sph),
+    },
+    ptLenHours: ptHours,
+    // where each queue's demand came from; coverage and shortage per queue are in plan.queues
+    queues: queueDemand ? queueDemand.map(({ name, share, fromRows }) => ({ name, share, fromRows })) : null,
+    recs,
+  };
+}
+
+// ---------- every fetched day with one set of settings ----------
+// in range mode each day is chained to the previous one so overnight spill lands on the right date
+// with week rules and an employee pool, each day's pool is what the days before it left (see weekPool)
+// with the optimal strategy the range shares SOLVER_RANGE_SECONDS (or the per-day limit, if longer):
+// each day gets its limit or an even share of what is left, whichever is less
+export const SOLVER_RANGE_SECONDS = 10;
+export function planDays(days, s) {
+  const rules = s.employees?.length ? weekRules(s) : null;
+  const interval = parseInt(s.intervalMinutes, 10) || 60;
+  const worked = new Map();
+  let off = null, offWeek = null;
+  const perDay = Math.max(0.1, parseFloat(s.solverSeconds) || 2);
+  const deadline = Date.now() + Math.max(perDay, SOLVER_RANGE_SECONDS) * 1000;
+  const solverShare = (i) => {
+    if (s.strategy !== 'optimal') return s;
+    const left = (deadline - Date.now()) / 1000 / (days.length - i);
+    return { ...s, solverSeconds: String(Math.max(0.1, Math.min(perDay, left))) };
+  };
+  const dayFor = (d, i) => {
+    const base = solverShare(i);
+    if (!rules || !d?.data?.length) return base;
+    const date = d.inputs.Date;
+    if (weekOf(date) !== offWeek) {
+      offWeek = weekOf(date);
+      const week = days.filter((x) => x?.data?.length && weekOf(x.inputs.Date) === offWeek).map((x) => ({
+        date: x.inputs.Date, weekday: x.inputs.Weekday, need: grossRequired(x, s, interval).reduce((sum, v) => sum + v, 0),
+      }));
+      off = pairsOff(s.employees, worked, week);
+    }
+    return { ...base, employees: weekPool(s.employees, worked, date, rules, off) };
+  };
+  const remember = (p) => {
+    if (!rules || !p) return;
+    for (const r of p.roster) {
+      if (!worked.has(r.agent)) worked.set(r.agent, []);
+      worked.get(r.agent).push({ date: p.date, start: r.start, end: r.end });
+    }
+  };
+  if (days.length < 2) return days.map((d) => { const p = planDay(d, dayFor(d, 0)); remember(p); return p; });
+  const out = [];
+  days.forEach((d, i) => {
+    const next = days[i + 1]?.data?.length ? days[i + 1] : null;
+    const chain = {
+      carryIn: out[i - 1]?.plan.carryOut ?? null,
+      carryInSlots: out[i - 1]?.spillSlots ?? null,
+      nextRequired: next ? grossRequired(next, s, interval) : null,
+    };
+    const p = planDay(d, dayFor(d, i), chain);
+    remember(p);
+    out.push(p);
+  });
+  return out;
+}
+
+// ---------- week rules: hours, days off, rest and fair rotation ----------
+// Weeks run Monday to Sunday. Hours are shift hours (start to end), so five FT 8h shifts make 40.
+// Days outside the planned range count as days off.
+export function weekRules(s) {
+  if (!s.weekRules) return null;
+  const num = (v, fallback) => (v === '' || v === undefined || Number.isNaN(parseFloat(v)) ? fallback : Math.max(0, parseFloat(v)));
+  return {
+    ftHours: num(s.ftWeekHours, Infinity),
+    ftDays: num(s.ftWeekDays, 7),
+    ptMinHours: num(s.ptWeekMinHours, 0),
+    ptMaxHours: num(s.ptWeekMaxHours, Infinity),
+    minRest: num(s.minRestHours, 0),
+    maxConsecutive: num(s.maxConsecutiveDays, Infinity),
+    breakOver: num(s.breakOverHours, Infinity),
+  };
+}
+
+const dayNumber = (iso) => Date.parse(`${iso}T00:00:00Z`) / 86400000;
+const weekdayIndex = (iso) => (new Date(`${iso}T00:00:00Z`).getUTCDay() + 6) % 7; // Monday 0
+const weekOf = (iso) => addDaysISO(iso, -weekdayIndex(iso));
+// early / day / late by start hour, for rotating who gets which
+const startBand = (start) => (start < 10 ? 0 : start < 14 ? 1 : 2);
+const lexLess = (a, b) => {
+  const k = a.findIndex((v, i) => v !== b[i]);
+  return k >= 0 && a[k] < b[k];
+};
+const hrs = (v) => `${+v.toFixed(2)}h`;
+// planner tie-break between pool members: weekend days worked (set on weekends only), then shifts in this start band
+const rotation = (e, start) => [e.weekendWorked ?? 0, e.startsWorked?.[startBand(start)] ?? 0];
+
+// one person's shifts so far -> what today's shift would break ('' when nothing). The FT pair of
+// days off only has to stay possible: some two adjacent days of the week still free besides today.
+function weekBlock(history, type, date, start, end, rules) {
+  if (history.some((x) => x.date === date)) return 'twice';
+  const today = dayNumber(date);
+  const last = history[history.length - 1];
+  if (last && today * 24 + start - (dayNumber(last.date) * 24 + last.end) < rules.minRest - 1e-9) return 'rest';
+  const days = new Set(history.map((x) => dayNumber(x.date)));
+  let run = 0;
+  while (days.has(today - run - 1)) run += 1;
+  if (run + 1 > rules.maxConsecutive) return 'consecutive';
+  const week = history.filter((x) => weekOf(x.date) === weekOf(date));
+  const hours = week.reduce((sum, x) => sum + x.end - x.start, 0) + end - start;
+  if (type === 'FT') {
+    if (week.length + 1 > rules.ftDays) return 'days';
+    if (hours > rules.ftHours + 1e-9) return 'hours';
+    const worked = new Set([...week.map((x) => weekdayIndex(x.date)), weekdayIndex(date)]);
+    if (![0, 1, 2, 3, 4, 5].some((i) => !worked.has(i) && !worked.has(i + 1))) return 'daysOff';
+  } else if (hours > rules.ptMaxHours + 1e-9) return 'hours';
+  return '';
+}
+
+// The employee pool for one day of a week-rules range: who may still work and from when. People at
+// their day, consecutive-day or days-off limit get no hours; the rest get the hours left in their week
+// (maxHours) and a start pushed back by the minimum rest. The planner breaks ties between equal
+// windows on weekend days worked (on a weekend), then shifts in the same start band, then pool
+// order: fewest hours this week first.
+function weekPool(employees, history, date, rules, off) {
+  const weekend = weekdayIndex(date) >= 5;
+  const today = dayNumber(date);
+  return employees.map((e) => {
+    const h = history.get(e.name) || [];
+    const week = h.filter((x) => weekOf(x.date) === weekOf(date));
+    const hours = week.reduce((sum, x) => sum + x.end - x.start, 0);
+    const cap = e.type === 'FT' ? rules.ftHours : rules.ptMaxHours;
+    const last = h[h.length - 1];
+    const earliest = last ? Math.max(e.earliest, dayNumber(last.date) * 24 + last.end + rules.minRest - today * 24) : e.earliest;
+    // rest that runs past midnight rules out today; a zero-length probe at the earliest start tells
+    // whether any shift today is allowed at all
+    const blocked = earliest >= Math.min(e.latest, 24) || off.get(e.name)?.has(date) || ['twice', 'consecutive', 'days', 'daysOff'].includes(weekBlock(h, e.type, date, earliest, earliest, rules));
+    return {
+      ...e,
+      earliest: blocked ? e.earliest : earliest,
+      maxHours: blocked ? 0 : Math.max(0, cap - hours),
+      weekendWorked: weekend ? h.filter((x) => weekdayIndex(x.date) >= 5).length : 0,
+      startsWorked: [0, 1, 2].map((b) => h.filter((x) => startBand(x.start) === b).length),
+      weekHours: hours,
+    };
+  }).sort((a, b) => a.weekHours - b.weekHours).map(({ weekHours, ...e }) => e);
+}
+
+// FT two days off in a row, chosen once a week before planning it: each FT takes the adjacent pair
+// whose leaner day still has the most staff per unit needed, so days off spread to where demand is lowest. Days
+// outside the range, with no demand or off anyway cost nothing and go first. Whoever worked the most weekend days so far picks first, which
+// rotates weekends off. week: [{ date, weekday, need }] for the range's days in this week.
+const FREE_DAY_OFF = 1e9;
+function pairsOff(employees, history, week) {
+  const need = Array(7).fill(0);
+  const onDuty = Array(7).fill(0);
+  const ft = employees.filter((e) => e.type === 'FT');
+  const free = (e, i) => {
+    const d = week.find((x) => weekdayIndex(x.date) === i);
+    return d && !isDayOff(e, d.date, d.weekday);
+  };
+  week.forEach((d) => { need[weekdayIndex(d.date)] = d.need; });
+  ft.forEach((e) => { for (let i = 0; i < 7; i++) if (free(e, i)) onDuty[i] += 1; });
+  const weekends = (e) => (history.get(e.name) || []).filter((x) => weekdayIndex(x.date) >= 5).length;
+  const out = new Map();
+  for (const e of [...ft].sort((a, b) => weekends(b) - weekends(a))) {
+    let best = 0, bestScore = -Infinity;
+    for (let i = 0; i < 6; i++) {
+      const score = Math.min(...[i, i + 1].map((j) => (free(e, j) && need[j] > 0 ? onDuty[j] / need[j] : FREE_DAY_OFF)));
+      if (score > bestScore) { best = i; bestScore = score; }
+    }
+    out.set(e.name, new Set([best, best + 1].filter((j) => free(e, j)).map((j) => { onDuty[j] -= 1; return addDaysISO(weekOf(week[0].date), j); })));
+  }
+  return out;
+}
+
+// Anonymous agents (no employee pool) as the same FT-n / PT-n people across the range. FT people are
+// counted and given their days off a week at a time (pairsOff); then each shift, earliest first, goes
+// to someone the week rules allow, preferring the fewest weekend days on a weekend, then the fewest
+// shifts in this start band (early / day / late), then the fewest hours this week. A new agent is
+// added when nobody can take it. Named rosters keep their people (the planner
+// already held them to the rules). Returns the days with renamed rosters, or the days as they are
+// without week rules.
+export function assignWeek(dayPlans, s) {
+  const rules = weekRules(s);
+  if (!rules) return dayPlans;
+  const history = new Map();
+  const types = new Map();
+  const count = { FT: 0, PT: 0 };
+  const record = (agent, type, date, r) => {
+    if (!history.has(agent)) { history.set(agent, []); types.set(agent, type); }
+    history.get(agent).push({ date, start: r.start, end: r.end });
+  };
+  let off = new Map(), offWeek = null;
+  return dayPlans.map((d) => {
+    if (!d) return d;
+    if (d.availability) {
+      d.roster.forEach((r) => record(r.agent, r.type, d.date, r));
+      return d;
+    }
+    // each week: enough FT people for the busiest day and for every FT shift at ftDays each, with
+    // their pairs of days off spread the way the pool's are
+    if (weekOf(d.date) !== offWeek) {
+      offWeek = weekOf(d.date);
+      const week = dayPlans.filter((x) => x && !x.availability && weekOf(x.date) === offWeek)
+        .map((x) => ({ date: x.date, weekday: x.weekday, need: x.roster.filter((r) => r.type === 'FT').length }));
+      const total = week.reduce((sum, x) => sum + x.need, 0);
+      const people = Math.max(...week.map((x) => x.need), Math.ceil(total / Math.max(1, rules.ftDays)));
+      while (count.FT < people) {
+        history.set(`FT-${++count.FT}`, []);
+        types.set(`FT-${count.FT}`, 'FT');
+      }
+      const ft = [...types].filter(([, type]) => type === 'FT').map(([name]) => ({ name, type: 'FT', daysOff: [] }));
+      off = pairsOff(ft, history, week);
+    }
+    const weekend = weekdayIndex(d.date) >= 5;
+    // who may take shift i, most preferred first
+    const candidates = (i) => {
+      const r = d.roster[i];
+      return [...history]
+        .filter(([agent, h]) => types.get(agent) === r.type && !off.get(agent)?.has(d.date) && !weekBlock(h, r.type, d.date, r.start, r.end, rules))
+        .map(([agent, h]) => ({
+          agent,
+          key: [
+            weekend ? h.filter((x) => weekdayIndex(x.date) >= 5).length : 0,
+            h.filter((x) => startBand(x.start) === startBand(r.start)).length,
+            h.filter((x) => weekOf(x.date) === weekOf(d.date)).reduce((sum, x) => sum + x.end - x.start, 0),
+          ],
+        }))
+        .sort((a, b) => (lexLess(a.key, b.key) ? -1 : lexLess(b.key, a.key) ? 1 : 0))
+        .map((c) => c.agent);
+    };
+    // the preferred free candidate, else move someone already placed today to a shift they can also take
+    const names = Array(d.roster.length);
+    const holder = new Map();
+    const place = (i, seen) => {
+      const list = candidates(i);
+      const free = list.find((agent) => !holder.has(agent));
+      const take = (agent) => { holder.set(agent, i); names[i] = agent; return true; };
+      if (free) return take(free);
+      for (const agent of list) {
+        if (seen.has(agent)) continue;
+        seen.add(agent);
+        if (place(holder.get(agent), seen)) return take(agent);
+      }
+      return false;
+    };
+    const order = d.roster.map((r, i) => i).sort((a, b) => d.roster[a].start - d.roster[b].start || a - b);
+    for (const i of order) {
+      if (place(i, new Set())) continue;
+      const r = d.roster[i];
+      const agent = `${r.type}-${++count[r.type]}`;
+      history.set(agent, []);
+      types.set(agent, r.type);
+      holder.set(agent, i);
+      names[i] = agent;
+    }
+    d.roster.forEach((r, i) => record(names[i], r.type, d.date, r));
+    return { ...d, roster: d.roster.map((r, i) => ({ ...r, agent: names[i] })) };
+  });
+}
+
+// Every week rule on the range's final rosters (hand edits included), per employee. The PT minimum
+// and the FT weekly hours are only checked on weeks the range covers from Monday to Sunday.
+//   -> null without week rules, else { people: [{ agent, type, shifts: [{ date, start, end }], days,
+//      hours, weekendDays, violations }], violations: [{ agent, date, rule, message }] }
+//   rule: 'hours' | 'days' | 'daysOff' | 'rest' | 'consecutive' | 'break'; date is the Monday for weekly rules
+export function checkWeek(dayPlans, s) {
+  const rules = weekRules(s);
+  if (!rules) return null;
+  const history = new Map();
+  const types = new Map();
+  for (const d of dayPlans) {
+    if (!d) continue;
+    for (const r of d.roster) {
+      if (!history.has(r.agent)) { history.set(r.agent, []); types.set(r.agent, r.type); }
+      history.get(r.agent).push({ date: d.date, start: r.start, end: r.end, lunchStart: r.lunchStart, breaks: r.breaks || [] });
+    }
+  }
+  const dates = dayPlans.filter(Boolean).map((d) => d.date);
+  const fullWeeks = new Set(dates.filter((x) => weekdayIndex(x) === 0 && dates.includes(addDaysISO(x, 6))));
+  const label = { rest: `less than ${hrs(rules.minRest)} rest since the last shift`, consecutive: `more than ${rules.maxConsecutive} days in a row` };
+  // only the day-to-day rules; the weekly ones are counted below
+  const daily = { ...rules, ftDays: Infinity, ftHours: Infinity, ptMaxHours: Infinity };
+  const violations = [];
+  const people = [...history].map(([agent, shifts]) => {
+    const type = types.get(agent);
+    const own = [];
+    const flag = (date, rule, message) => { const v = { agent, date, rule, message }; own.push(v); violations.push(v); };
+    shifts.forEach((x, i) => {
+      const why = weekBlock(shifts.slice(0, i), type, x.date, x.start, x.end, daily);
+      if (why === 'rest' || why === 'consecutive') flag(x.date, why, label[why]);
+      if (x.end - x.start > rules.breakOver && x.lunchStart === null && !x.breaks.length) {
+        flag(x.date, 'break', `${hrs(x.end - x.start)} shift with no break (required over ${hrs(rules.breakOver)})`);
+      }
+    });
+    for (const week of [...new Set(shifts.map((x) => weekOf(x.date)))]) {
+      const inWeek = shifts.filter((x) => weekOf(x.date) === week);
+      const hours = inWeek.reduce((sum, x) => sum + x.end - x.start, 0);
+      if (type === 'FT') {
+        if (inWeek.length > rules.ftDays) flag(week, 'days', `${inWeek.length} days in the week of ${week} (at most ${rules.ftDays})`);
+        if (hours > rules.ftHours + 1e-9) flag(week, 'hours', `${hrs(hours)} in the week of ${week} (at most ${hrs(rules.ftHours)})`);
+        if (fullWeeks.has(week) && hours < rules.ftHours - 1e-9) flag(week, 'hours', `${hrs(hours)} in the week of ${week} (FT weeks are ${hrs(rules.ftHours)})`);
+        const worked = new Set(inWeek.map((x) => weekdayIndex(x.date)));
+        if (![0, 1, 2, 3, 4, 5].some((i) => !worked.has(i) && !worked.has(i + 1))) flag(week, 'daysOff', `no two days off in a row in the week of ${week}`);
+      } else if (hours > rules.ptMaxHours + 1e-9 || (fullWeeks.has(week) && hours < rules.ptMinHours - 1e-9)) {
+        const range = rules.ptMaxHours === Infinity ? `at least ${hrs(rules.ptMinHours)}` : `${rules.ptMinHours}-${hrs(rules.ptMaxHours)}`;
+        flag(week, 'hours', `${hrs(hours)} in the week of ${week} (PT weeks are ${range})`);
+      }
+    }
+    return {
+      agent,
+      type,
+      shifts: shifts.map(({ date, start, end }) => ({ date, start, end })),
+      days: shifts.length,
+      hours: shifts.reduce((sum, x) => sum + x.end - x.start, 0),
+      weekendDays: shifts.filter((x) => weekdayIndex(x.date) >= 5).length,
+      violations: own,
+    };
+  });
+  return { people, violations };
+}
+
+// ---------- hand edits on the roster timeline ----------
+// One drag on a roster row: mode 'move' | 'start' | 'end' shifts or resizes the shift by deltaHours
+// snapped to the planning interval, 'lunch' moves the lunch in 15-minute steps. The shift stays
+// inside the day (or starts inside it with opts.overnight), between one hour and MAX_SHIFT_HOURS, and
+// lunch and breaks stay inside the shift. Returns a new row.
+export function adjustRosterRow(row, mode, deltaHours, { intervalMinutes = 60, overnight = false } = {}) {
+  if (!Number.isFinite(deltaHours)) return row;
+  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+  const step = (parseInt(intervalMinutes, 10) || 60) / 60;
+  const lunchDur = row.lunchStart === null ? 0 : row.lunchEnd - row.lunchStart;
+  const minLen = Math.ceil(Math.max(1, lunchDur / 60) / step) * step;
+  const lastEnd = overnight ? 24 + MAX_SHIFT_HOURS : 24;
+  let { start, end, lunchStart } = row;
+  let breaks = row.breaks || [];
+
+  if (mode === 'lunch') {
+    if (lunchStart === null) return row;
+    lunchStart = clamp(lunchStart + Math.round(deltaHours * 4) * SLOT_MIN, start * 60, end * 60 - lunchDur);
+  } else {
+    const d = Math.round(deltaHours / step) * step;
+    if (mode === 'move') {
+      const by = clamp(d, -start, Math.min(lastEnd - end, overnight ? 24 - step - start : Infinity));
+      start += by; end += by;
+      if (lunchStart !== null) lunchStart += by * 60;
+      breaks = breaks.map((b) => ({ start: b.start + by * 60, end: b.end + by * 60 }));
+    } else if (mode === 'start') {
+      start = clamp(start + d, Math.max(0, end - MAX_SHIFT_HOURS), end - minLen);
+    } else if (mode === 'end') {
+      end = clamp(end + d, start + minLen, Math.min(start + MAX_SHIFT_HOURS, lastEnd));
+    }
+    if (lunchStart !== null) lunchStart = clamp(lunchStart, start * 60, end * 60 - lunchDur);
+    breaks = breaks.map((b) => {
+      const from = clamp(b.start, start * 60, end * 60 - (b.end - b.start));
+      return { start: from, end: from + (b.end - b.start) };
+    });
+  }
+  return { ...row, start, end, hours: end - start, lunchStart, lunchEnd: lunchStart === null ? null : lunchStart + lunchDur, breaks };
+}
+
+// A planned day with its roster replaced by hand-edited rows (same people, same order). Coverage,
+// shortage, on-phone agents, service, cost, hires and the merged shift list the exports print are
+// all re-counted from the rows. Caps are not enforced: intervals where the rows put more FT, PT or
+// FT + PT agents on shift than capFT / capPT / capFT + capPT come back in edits.violations as
+// { kind: 'FT' | 'PT' | 'total', cap, peak, start, end } (minutes from midnight). The budget and
+// availability notes stay as the planner left them, and in a date range the next day's carry-in
+// does not follow the edit.
+export function applyRosterEdits(day, roster, s) {
+  const invalid = validateShifts(roster.map((r) => ({ ...r, count: 1 })), 'roster');
+  if (invalid.length) throw new PlanInputError(invalid);
+  const sph = day.slotsPerHour;
+  const H = 24 * sph;
+  const wrap = day.plan.overnight && !day.chained;
+
+  // agents on shift per interval by type, on top of what the previous day carried in
+  const span = wrap ? H : 2 * H;
+  const on = {
+    FT: Array.from({ length: span }, (_, i) => (i < H ? day.carryIn?.ft?.[i] ?? 0 : 0)),
+    PT: Array.from({ length: span }, (_, i) => (i < H ? day.carryIn?.pt?.[i] ?? 0 : 0)),
+  };
+  const slots = Array.from({ length: wrap ? DAY_SLOTS : 2 * DAY_SLOTS }, (_, i) => (i < DAY_SLOTS ? day.carryInSlots?.[i] ?? 0 : 0));
+  const addSlots = (from, to, by) => {
+    for (let m = from; m < to; m += SLOT_MIN) slots[wrap ? (m / SLOT_MIN) % DAY_SLOTS : m / SLOT_MIN] += by;
+  };
+  // skill masks on shift per interval when planning queues; carried-in agents take any queue
+  const q = day.plan.queues;
+  const masks = q ? Array.from({ length: H }, (_, i) => Array(on.FT[i] + on.PT[i]).fill(skillMask(null, q.names))) : null;
+  for (const r of roster) {
+    const first = Math.round(r.start * sph);
+    const last = first + Math.max(1, Math.round((r.end - r.start) * sph));
+    for (let i = first; i < last; i++) {
+      on[r.type][wrap ? i % H : i] += 1;
+      if (masks && (wrap || i < H)) masks[i % H].push(skillMask(r.skills, q.names));
+    }
+    addSlots(r.start * 60, r.end * 60, 1);
+    if (r.lunchStart !== null) addSlots(r.lunchStart, r.lunchEnd, -1);
+    for (const b of r.breaks || []) addSlots(b.start, b.end, -1);
+  }
+
+  const required = day.plan.required;
+  const coverage = Array.from({ length: H }, (_, i) => on.FT[i] + on.PT[i]);
+  const queues = q ? { ...q, ...serveQueues(q.required, masks) } : null;
+  const servedAt = (i) => queues.coverage.reduce((sum, cq) => sum + cq[i], 0);
+  const shortage = queues
+    ? coverage.map((_, i) => required[i] - servedAt(i))
+    : coverage.map((c, i) => Math.max(0, required[i] - c));
+  const excess = queues
+    ? coverage.map((c, i) => c - servedAt(i))
+    : coverage.map((c, i) => Math.max(0, c - required[i]));
+  const perInterval = DAY_SLOTS / H;
+  const onPhone = Array.from({ length: H }, (_, i) => {
+    let sum = 0;
+    for (let k = 0; k < perInterval; k++) sum += slots[i * perInterval + k];
+    return sum / perInterval;
+  });
+
+  // runs of intervals over a cap
+  const { capFT, capPT } = day.plan.limits;
+  const violations = [];
+  for (const [kind, cap, count] of [['FT', capFT, (i) => on.FT[i]], ['PT', capPT, (i) => on.PT[i]], ['total', capFT + capPT, (i) => coverage[i]]]) {
+    let run = null;
+    for (let i = 0; i <= H; i++) {
+      const n = i < H ? count(i) : 0;
+      if (n > cap) {
+        if (!run) run = { kind, cap, peak: n, start: (i * 60) / sph, end: 0 };
+        run.peak = Math.max(run.peak, n);
+      } else if (run) {
+        run.end = (i * 60) / sph;
+        violations.push(run);
+        run = null;
+      }
+    }
+  }
+
+  const changed = (r, i) => {
+    const o = day.roster[i];
+    return !o || o.agent !== r.agent || o.start !== r.start || o.end !== r.end || o.lunchStart !== r.lunchStart
+      || JSON.stringify(o.breaks || []) !== JSON.stringify(r.breaks || []);
+  };
+  const rows = roster.map((r, i) => {
+    const unpaid = r.lunchStart !== null && !r.paidLunch ? (r.lunchEnd - r.lunchStart) / 60 : 0;
+    return { ...r, hours: r.end - r.start, paidHours: r.end - r.start - unpaid, edited: changed(r, i) };
+  });
+  const rules = payRules(s, day.weekday);
+  const costed = rules ? laborCost(rows, rules) : null;
+
+  // identical shifts merged back into counted rows, the way the planner reports them
+  const named = !!day.availability;
+  const merged = (type) => {
+    const out = [];
+    for (const r of rows.filter((x) => x.type === type)) {
+      const same = out.find((x) => x.start === r.start && x.end === r.end && x.template === r.template && x.paidLunch === r.paidLunch
+        && String(x.skills) === String(r.skills));
+      if (same) {
+        same.count += 1;
+        if (named) same.agents.push(r.agent);
+      } else {
+        out.push({
+          start: r.start, end: r.end, count: 1, template: r.template, paidLunch: r.paidLunch,
+          ...(named ? { agents: [r.agent] } : {}), ...(r.skills && { skills: r.skills }),
+        });
+      }
+    }
+    return out.sort((a, b) => a.start - b.start || a.end - b.end || a.template.localeCompare(b.template));
+  };
+  const plan = {
+    ...day.plan,
+    shiftsFT: merged('FT'),
+    shiftsPT: merged('PT'),
+    coverage,
+    shortage,
+    excess,
+    maxConcurrent: Math.max(...coverage),
+    carryOut: { ft: on.FT.slice(H, 2 * H), pt: on.PT.slice(H, 2 * H) },
+    hoursShort: shortage.reduce((n, v) => n + (v > 0 ? 1 : 0), 0) / sph,
+    totalShortUnits: shortage.reduce((sum, v) => sum + v, 0) / sph,
+    ...(queues && { queues }),
+  };
+  const service = day.erlang
+    ? projectService(day.callsByInterval, netOfShrinkage(onPhone, day.shrinkage?.shares), day.erlang.aht, Math.max(0, parseFloat(s.slSeconds) || 0), day.interval)
+    : null;
+  const templates = s.templates ? resolveTemplates(s.templates, day.ptLenHours) : null;
+
+  return {
+    ...day,
+    plan,
+    roster: costed ? costed.roster : rows,
+    onPhone,
+    spillSlots: wrap ? null : slots.slice(DAY_SLOTS),
+    service,
+    cost: costed ? costed.totals : null,
+    hourly: {
+      required: day.hourly.required,
+      coverage: toHourly(coverage, sph),
+      shortage: toHourly(shortage, sph),
+      excess: toHourly(excess, sph),
+      onPhone: toHourly(onPhone, sph),
+    },
+    recs: computeHireRecommendations(plan, day.ptLenHours, templates, rules),
+    preferences: day.preferences && s.employees?.length ? preferenceReport(rows, s.employees, day.date, day.weekday) : day.preferences,
+    edits: { changed: rows.filter((r) => r.edited).length, violations },
+  };
+}
+
+// ---------- agent wishes and shift swaps ----------
+export const isAvoidDay = (emp, dateISO, weekday) => !!emp.avoid?.includes(weekday) || !!emp.avoid?.includes(dateISO);
+
+// 0 when a shift starting at `start` meets every wish, more for each one it breaks (a day to avoid
+// weighs more than the start window)
+const unmetWishes = (e, start) => (!e ? 0 : (e.avoidToday ? 2 : 0)
+  + (e.prefer && (start < e.prefer.from - 1e-9 || start > e.prefer.to + 1e-9) ? 1 : 0));
+
+// How well a day's roster meets the pool's wishes. Each wish that applies today counts once: a preferred
+// start window for someone working, and a day to avoid for anyone in the pool (met when they are off).
+//   -> null when no wish applies, else { asked, met, score (met / asked), people: [{ agent, asked, met,
+//      start, prefer, inWindow (null without a window), avoided (null unless today is a day to avoid) }] }
+export function preferenceReport(roster, employees, date, weekday) {
+  const people = [];
+  for (const e of employees) {
+    if (isDayOff(e, date, weekday)) continue;
+    const row = roster.find((r) => r.agent === e.name);
+    const avoided = isAvoidDay(e, date, weekday) ? !row : null;
+    const inWindow = row && e.prefer ? row.start >= e.prefer.from - 1e-9 && row.start <= e.prefer.to + 1e-9 : null;
+    const asked = (avoided !== null) + (inWindow !== null);
+    if (asked) {
+      people.push({ agent: e.name, asked, met: (avoided === true) + (inWindow === true), start: row?.start ?? null, prefer: e.prefer, inWindow, avoided });
+    }
+  }
+  const asked = people.reduce((sum, p) => sum + p.asked, 0);
+  const met = people.reduce((sum, p) => sum + p.met, 0);
+  return asked ? { asked, met, score: met / asked, people } : null;
+}
+
+const clock = (h) => `${String(Math.floor(h) % 24).padStart(2, '0')}:${String(Math.round((h % 1) * 60)).padStart(2, '0')}`;
+
+// Two agents on one planned day trade shifts: each takes the other's start, end, lunch and breaks. Only
+// agents of the same type can trade (a shift's template, hours, pay and caps belong to its type), so the
+// FT and PT counts per interval stay as they were. The swap goes through only when it breaks nothing:
+// every interval keeps its coverage (per queue when planning queues) and with an employee pool each
+// person's new shift fits their window and is not on a day off.
+//   day: planDay / applyRosterEdits output (the roster as published, edits included)
+//   -> { roster (the swapped rows, for applyRosterEdits), reasons: [] when accepted, else why not }
+export function swapShifts(day, agentA, agentB, s) {
+  const i = day.roster.findIndex((r) => r.agent === agentA);
+  const j = day.roster.findIndex((r) => r.agent === agentB);
+  if (i < 0 || j < 0 || i === j) return { roster: day.roster, reasons: ['Pick two different agents on this roster'] };
+  const a = day.roster[i], b = day.roster[j];
+  if (a.type !== b.type) {
+    return { roster: day.roster, reasons: [`${a.agent} is ${a.type} and ${b.agent} is ${b.type}: only shifts of the same type can be swapped`] };
+  }
+  const as = (row, who) => {
+    const { skills, ...rest } = row;
+    return { ...rest, agent: who.agent, type: who.type, ...(who.skills && { skills: who.skills }) };
+  };
+  const roster = day.roster.map((r, k) => (k === i ? as(b, a) : k === j ? as(a, b) : r));
+
+  const reasons = [];
+  for (const [who, shift] of [[a, b], [b, a]]) {
+    const e = s.employees?.find((x) => x.name === who.agent);
+    if (!e) continue;
+    if (isDayOff(e, day.date, day.weekday)) reasons.push(`${who.agent} is off on ${day.date}`);
+    else if (shift.start < e.earliest - 1e-9 || shift.end > e.latest + 1e-9) {
+      reasons.push(`${who.agent} is not available ${clock(shift.start)}-${clock(shift.end)}`);
+    }
+  }
+  const after = applyRosterEdits(day, roster, s);
+  const shorter = after.plan.shortage.map((v, k) => v > day.plan.shortage[k] + 1e-9);
+  const first = shorter.indexOf(true);
+  if (first >= 0) {
+    const last = shorter.lastIndexOf(true);
+    reasons.push(`coverage drops between ${clock(first / day.slotsPerHour)} and ${clock((last + 1) / day.slotsPerHour)}`);
+  }
+  return { roster, reasons };
+}
+
+// ---------- totals across several planned days (week view, scenarios) ----------
+export function summarizeDays(dayPlans) {
+  const t = {
+    days: 0, required: 0, coverage: 0, shortUnits: 0, hoursShort: 0, excess: 0, ft: 0, pt: 0, breaches: 0,
+    paidHours: 0, cost: null,
+  };
+  for (const d of dayPlans) {
+    if (!d) continue;
+    const p = d.plan;
+    t.days += 1;
+    t.required += d.hourly.required.reduce((s, v) => s + v, 0);
+    t.coverage += d.hourly.coverage.reduce((s, v) => s + v, 0);
+    t.shortUnits += p.totalShortUnits;
+    t.hoursShort += p.hoursShort;
+    t.excess += d.hourly.excess.reduce((s, v) => s + v, 0);
+    t.ft += d.roster.filter((r) => r.type === 'FT').length;
+    t.pt += d.roster.filter((r) => r.type === 'PT').length;
+    t.breaches += d.breaches;
+    t.paidHours += d.roster.reduce((s, r) => s + r.paidHours, 0);
+    if (d.cost) t.cost = (t.cost ?? 0) + d.cost.total;
+  }
+  return t;
+}
+
+// ---------- actuals: forecast vs what happened ----------
+// CSV in the exportHourlyCSV layout (DateLabel,...,Hour,Is_Weekend,CALLS,ASA,Staff). Hour and CALLS are
+// required; ASA and Staff are the actual speed of answer (minutes) and agents staffed, shown for context.
+// An optional Minute column is accepted and its rows are rolled up to the hour.
+export function parseActuals(text) {
+  const lines = (text || '').split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return { rows: [], date: null, errors: ['The file is empty'] };
+  const head = parseCSVLine(lines[0]).map((h) => h.toLowerCase());
+  const col = (name) => head.indexOf(name.toLowerCase());
+  const [iHour, iMinute, iCalls, iAsa, iStaff, iY, iM, iD] = ['Hour', 'Minute', 'CALLS', 'ASA', 'Staff', 'Year', 'Month', 'Day'].map(col);
+  if (iHour < 0 || iCalls < 0) return { rows: [], date: null, errors: ['Header must include Hour and CALLS'] };
+  const byHour = new Map();
+  const errors = [];
+  const seen = new Set();
+  lines.slice(1).forEach((raw, i) => {
+    const f = parseCSVLine(raw);
+    const hour = parseInt(f[iHour], 10);
+    const calls = parseFloat(f[iCalls]);
+    const line = `Line ${i + 2}`;
+    if (!(hour >= 0 && hour < 24)) { errors.push(`${line}: Hour must be 0-23`); return; }
+    if (!(calls >= 0)) { errors.push(`${line}: CALLS must be a number`); return; }
+    const key = iMinute >= 0 ? `${hour}:${parseInt(f[iMinute], 10) || 0}` : hour;
+    if (seen.has(key)) { errors.push(`${line}: duplicate hour ${hour}`); return; }
+    seen.add(key);
+    const num = (k) => (k >= 0 && f[k] !== '' && !Number.isNaN(parseFloat(f[k])) ? parseFloat(f[k]) : null);
+    // sub-hour rows roll up: calls summed, ASA weighted by calls, Staff averaged
+    const h = byHour.get(hour) || { hour, calls: 0, asaSum: 0, asaCalls: 0, staffSum: 0, staffN: 0 };
+    const asa = num(iAsa);
+    const staff = num(iStaff);
+    h.calls += calls;
+    if (asa !== null) { h.asaSum += asa * calls; h.asaCalls += calls; }
+    if (staff !== null) { h.staffSum += staff; h.staffN += 1; }
+    byHour.set(hour, h);
+  });
+  const rows = [...byHour.values()]
+    .sort((a, b) => a.hour - b.hour)
+    .map((h) => ({
+      hour: h.hour,
+      calls: h.calls,
+      asa: h.asaCalls > 0 ? h.asaSum / h.asaCalls : null,
+      staff: h.staffN ? h.staffSum / h.staffN : null,
+    }));
+  const first = lines[1] ? parseCSVLine(lines[1]) : [];
+  const date = iY >= 0 && iM >= 0 && iD >= 0 && first[iY]
+    ? `${first[iY]}-${String(first[iM]).padStart(2, '0')}-${String(first[iD]).padStart(2, '0')}`
+    : null;
+  return { rows, date, errors };
+}
+
+// actuals lined up with one planned day by Hour. Calls error per hour (APE, bias = forecast - actual) and
+// for the day (MAPE over hours with calls, bias as a share of actual volume). Whether the plan would have
+// held the ASA threshold: Erlang C on the plan's on-phone agents with the actual calls when an AHT is set,
+// otherwise coverage against the model's requirement scaled by actual / forecast calls.
+export function compareActuals(day, scheduleData, actuals, s) {
+  const thresholdSec = (scheduleData.inputs?.ASA_Threshold_Min ?? 0) * 60;
+  const aht = parseFloat(s.ahtSeconds);
+  const slSec = Math.max(0, parseFloat(s.slSeconds) || 0);
+  const forecastByHour = Array(24).fill(0);
+  for (const r of scheduleData.data) forecastByHour[r.Hour ?? 0] += r.CALLS ?? 0;
+  const hours = actuals.rows.map((a) => {
+    const forecast = forecastByHour[a.hour];
+    const onPhone = day.hourly.onPhone[a.hour];
+    const bias = forecast - a.calls;
+    const ape = a.calls > 0 ? Math.abs(bias) / a.calls : null;
+    let projectedAsa = null;
+    let met;
+    if (aht > 0) {
+      projectedAsa = erlangProjection(onPhone, a.calls, aht, slSec).asa;
+      met = projectedAsa <= thresholdSec;
+    } else {
+      const scaled = forecast > 0 ? Math.ceil(day.hourly.required[a.hour] * (a.calls / forecast)) : a.calls > 0 ? Infinity : 0;
+      met = onPhone >= scaled;
+    }
+    return { hour: a.hour, forecast, actual: a.calls, bias, ape, asaActual: a.asa, staffed: a.staff, onPhone, projectedAsa, met };
+  });
+  const withCalls = hours.filter((h) => h.ape !== null);
+  const actualTotal = hours.reduce((sum, h) => sum + h.actual, 0);
+  const biasTotal = hours.reduce((sum, h) => sum + h.bias, 0);
+  return {
+    hours,
+    mape: withCalls.length ? withCalls.reduce((sum, h) => sum + h.ape, 0) / withCalls.length : null,
+    bias: biasTotal,
+    biasPct: actualTotal > 0 ? biasTotal / actualTotal : null,
+    actualTotal,
+    forecastTotal: hours.reduce((sum, h) => sum + h.forecast, 0),
+    metHours: hours.filter((h) => h.met).length,
+    method: aht > 0 ? 'erlang' : 'scaled',
+  };
+}
+
+// ---------- intraday: re-forecast the rest of the day and patch the roster ----------
+// For a day already under way. Calls so far (actuals rows before `now`) against the forecast for the
+// same hours give one ratio that scales every remaining interval's volume, and the requirement follows:
+// Erlang C on the scaled calls when the day plans on Erlang, otherwise the model requirement times the
+// ratio. Absent agents come off the roster from `now` (a shift already started ends at `now`). The rest
+// of the day is then patched, cheapest move first, counting agents on the phones in 15-minute slots:
+//   lunch    a lunch not taken yet moves to where it costs the least coverage
+//   extend   a shift ends later, or starts earlier if it has not started, by up to extendHours inside
+//            the employee's window and the caps, while at least half the added time closes shortage
+//   callin   a PT shift (ptLen hours) for someone in the pool who is not working today, or an unnamed
+//            call-in without a pool, on the same half-the-hours condition
+//   vto      voluntary time off: an untouched shift ends early by an hour or more (or is dropped before
+//            it starts) where every slot given up is surplus
+// Nothing before `now` changes. Queues, week rules and pay are not considered here; the patched roster
+// goes through applyRosterEdits like any hand edit, which re-counts them.
+//   opts  { now (whole hour, default the hour after the last actual), absent: [agent], extendHours,
+//           maxCallIns, vto (default true) }
+//   -> { now, ratio, actualSoFar, forecastSoFar, absent: [{ agent, lostHours }], fixes: [{ kind, agent,
+//        hours (shift hours added, negative for VTO), gain (short agent-hours closed), message }],
+//        intervals: [{ index, forecastCalls, calls, plannedRequired, required, planned, absent, after,
+//        asaBefore?, asaAfter? }] from now on (on-phone agents planned / after absences / after fixes),
+//        short { planned, absent, after } agent-hours from now on, service { absent, after } (Erlang C
+//        for the rest of the day, null without an AHT), roster }
+export const INTRADAY_EXTEND_HOURS = 2;
+export const INTRADAY_MAX_CALL_INS = 4;
+
+export function replanIntraday(day, scheduleData, actuals, s, opts = {}) {
+  const seen = actuals?.rows || [];
+  const now = opts.now ?? (seen.length ? Math.min(23, seen[seen.length - 1].hour + 1) : 0);
+  if (!(Number.isInteger(now) && now >= 0 && now <= 23)) throw new PlanInputError(['now must be a whole hour 0-23']);
+  const sph = day.slotsPerHour;
+  const H = 24 * sph;
+  const perInterval = DAY_SLOTS / H;
+  const wrap = day.plan.overnight && !day.chained;
+  const lastEnd = day.plan.overnight ? 24 + MAX_SHIFT_HOURS : 24;
+  const from = now * sph;
+  const nowMin = now * 60;
+
+  // re-forecast: one actual / forecast ratio for every interval still ahead
+  const forecastByHour = Array(24).fill(0);
+  for (const r of scheduleData.data) forecastByHour[r.Hour ?? 0] += r.CALLS ?? 0;
+  const sofar = seen.filter((a) => a.hour < now);
+  const actualSoFar = sofar.reduce((sum, a) => sum + a.calls, 0);
+  const forecastSoFar = sofar.reduce((sum, a) => sum + forecastByHour[a.hour], 0);
+  const ratio = forecastSoFar > 0 ? actualSoFar / forecastSoFar : 1;
+  const calls = day.callsByInterval.map((c, i) => (i < from ? c : c * ratio));
+  // Erlang C gives agents on the phones, grossed up for shrinkage like planDay; the model requirement
+  // scales from the plan's, which already is
+  const erlang = day.requirementSource === 'erlang' ? day.erlang : null;
+  const shares = day.shrinkage?.shares;
+  const required = day.plan.required.map((r, i) => {
+    if (i < from) return r;
+    if (!erlang) return Math.ceil(r * ratio - 1e-9);
+    const agents = erlangAgents(calls[i], erlang.aht, erlang.asaSec, day.interval * 60);
+    return shares ? grossUp(agents, shares[i]) : agents;
+  });
+
+  // agents on the phones per slot and on shift per interval and type, carry-in included
+  const need = Array.from({ length: DAY_SLOTS }, (_, k) => required[Math.floor(k / perInterval)]);
+  const slots = Array.from({ length: DAY_SLOTS }, (_, k) => day.carryInSlots?.[k] ?? 0);
+  const on = {
+    FT: Array.from({ length: H }, (_, i) => day.carryIn?.ft?.[i] ?? 0),
+    PT: Array.from({ length: H }, (_, i) => day.carryIn?.pt?.[i] ?? 0),
+  };
+  const slotOf = (m) => (wrap ? (m / SLOT_MIN) % DAY_SLOTS : m / SLOT_MIN < DAY_SLOTS ? m / SLOT_MIN : -1);
+  // slot changes for one row going on (by 1) or off (by -1) the phones, added to `out`
+  const paint = (r, by, out = new Map()) => {
+    const add = (a, b, d) => {
+      for (let m = a; m < b; m += SLOT_MIN) {
+        const k = slotOf(m);
+        if (k >= 0) out.set(k, (out.get(k) || 0) + d);
+      }
+    };
+    add(r.start * 60, r.end * 60, by);
+    if (r.lunchStart !== null) add(r.lunchStart, r.lunchEnd, -by);
+    for (const b of r.breaks || []) add(b.start, b.end, -by);
+    return out;
+  };
+  const intervalsOf = (r) => {
+    const out = [];
+    const first = Math.round(r.start * sph);
+    for (let i = first; i < first + Math.max(1, Math.round((r.end - r.start) * sph)); i++) {
+      if (wrap || i < H) out.push(i % H);
+    }
+    return out;
+  };
+  const put = (r, by) => {
+    for (const [k, d] of paint(r, by)) slots[k] += d;
+    for (const i of intervalsOf(r)) on[r.type][i] += by;
+  };
+  // short agent-hours closed by a set of slot changes, from now on
+  const gainOf = (changes) => {
+    let g = 0;
+    for (const [k, d] of changes) {
+      if (k >= from * perInterval) g += Math.max(0, need[k] - slots[k]) - Math.max(0, need[k] - slots[k] - d);
+    }
+    return (g * SLOT_MIN) / 60;
+  };
+  const change = (a, b) => paint(b, 1, paint(a, -1));
+  const { capFT, capPT } = day.plan.limits;
+  const fits = (type, intervals) => intervals.every((i) => on[type][i] + 1 <= (type === 'FT' ? capFT : capPT) && on.FT[i] + on.PT[i] + 1 <= capFT + capPT);
+  const onPhone = () => Array.from({ length: H }, (_, i) => {
+    let sum = 0;
+    for (let k = 0; k < perInterval; k++) sum += slots[i * perInterval + k];
+    return sum / perInterval;
+  });
+
+  let rows = day.roster.map((r) => ({ ...r }));
+  for (const r of rows) put(r, 1);
+  const planned = onPhone();
+
+  // absences: the part of each shift from now on goes
+  const absentSet = new Set(opts.absent || []);
+  const absent = [];
+  rows = rows.flatMap((r) => {
+    if (!absentSet.has(r.agent) || r.end <= now) return [r];
+    put(r, -1);
+    absent.push({ agent: r.agent, lostHours: r.end - Math.max(r.start, now) });
+    if (r.start >= now) return [];
+    const lunch = r.lunchStart !== null && r.lunchStart < nowMin;
+    const kept = {
+      ...r, end: now, hours: now - r.start,
+      lunchStart: lunch ? r.lunchStart : null, lunchEnd: lunch ? Math.min(r.lunchEnd, nowMin) : null,
+      breaks: (r.breaks || []).filter((b) => b.start < nowMin).map((b) => ({ start: b.start, end: Math.min(b.end, nowMin) })),
+    };
+    put(kept, 1);
+    return [kept];
+  });
+  const afterAbsence = onPhone();
+
+  const fixes = [];
+  const touched = new Set();
+  const replace = (idx, row) => {
+    if (rows[idx]) put(rows[idx], -1);
+    if (row) put(row, 1);
+    rows[idx] = row;
+    touched.add(idx);
+  };
+  const byName = new Map((s.employees || []).map((e) => [e.name, e]));
+  const step = 1 / sph;
+
+  // lunches not taken yet, each moved at most once
+  const lunchMargin = Math.max(0, parseFloat(s.lunchMarginHours) || 0) * 60;
+  for (;;) {
+    let best = null;
+    rows.forEach((r, idx) => {
+      if (r.lunchStart === null || r.lunchStart < nowMin || touched.has(idx)) return;
+      const dur = r.lunchEnd - r.lunchStart;
+      const lo = Math.ceil(Math.max(r.start * 60 + lunchMargin, nowMin) / 30) * 30;
+      for (let m = lo; m <= r.end * 60 - lunchMargin - dur; m += 30) {
+        if (m === r.lunchStart || (r.breaks || []).some((b) => m < b.end + 30 && b.start < m + dur + 30)) continue;
+        const next = { ...r, lunchStart: m, lunchEnd: m + dur };
+        const gain = gainOf(change(r, next));
+        if (gain > (best?.gain ?? 1e-9)) best = { idx, next, gain };
+      }
+    });
+    if (!best) break;
+    const r = rows[best.idx];
+    replace(best.idx, best.next);
+    fixes.push({
+      kind: 'lunch', agent: r.agent, hours: 0, gain: best.gain,
+      message: `Move ${r.agent}'s lunch from ${clock(r.lunchStart / 60)} to ${clock(best.next.lunchStart / 60)}`,
+    });
+  }
+
+  // longer shifts for people already on the roster
+  const extendHours = Math.max(0, opts.extendHours ?? INTRADAY_EXTEND_HOURS);
+  const extended = new Map();
+  for (;;) {
+    let best = null;
+    rows.forEach((r, idx) => {
+      if (r.end <= now || absentSet.has(r.agent)) return;
+      const e = byName.get(r.agent);
+      const had = new Set(intervalsOf(r));
+      for (let k = 1; k <= Math.round((extendHours - (extended.get(idx) || 0)) * sph); k++) {
+        const d = k * step;
+        const tries = [];
+        if (r.end + d <= Math.min(lastEnd, e?.latest ?? Infinity, r.start + MAX_SHIFT_HOURS) + 1e-9) tries.push({ ...r, end: r.end + d, hours: r.hours + d });
+        if (r.start - d >= Math.max(now, e?.earliest ?? 0) - 1e-9 && r.hours + d <= MAX_SHIFT_HOURS) tries.push({ ...r, start: r.start - d, hours: r.hours + d });
+        for (const next of tries) {
+          if (!fits(r.type, intervalsOf(next).filter((i) => !had.has(i)))) continue;
+          const gain = gainOf(change(r, next));
+          if (gain >= d / 2 - 1e-9 && gain > (best?.gain ?? 0) + 1e-9) best = { idx, next, gain, d };
+        }
+      }
+    });
+    if (!best) break;
+    const { agent } = rows[best.idx];
+    replace(best.idx, best.next);
+    extended.set(best.idx, (extended.get(best.idx) || 0) + best.d);
+    // one fix per person, however many steps it took
+    const fix = fixes.find((f) => f.kind === 'extend' && f.agent === agent)
+      || fixes[fixes.push({ kind: 'extend', agent, hours: 0, gain: 0 }) - 1];
+    fix.hours += best.d;
+    fix.gain += best.gain;
+    fix.message = `Extend ${agent} to ${clock(best.next.start)}-${clock(best.next.end)} (+${hrs(fix.hours)})`;
+  }
+
+  // PT call-ins: the pool's PT people who are off the roster today, or unnamed ones without a pool
+  const ptLen = day.ptLenHours;
+  const callable = s.employees?.length
+    ? s.employees.filter((e) => e.type === 'PT' && !isDayOff(e, day.date, day.weekday) && !absentSet.has(e.name)
+      && !day.roster.some((r) => r.agent === e.name))
+    : null;
+  const maxCallIns = Math.max(0, opts.maxCallIns ?? INTRADAY_MAX_CALL_INS);
+  for (let n = 1; n <= maxCallIns; n++) {
+    const current = onPhone();
+    const gap = required.map((r, i) => Math.max(0, r - current[i]));
+    const taken = new Set(rows.map((r) => r?.agent));
+    let k = n;
+    while (taken.has(`Call-in ${k}`)) k += 1;
+    const unnamed = `Call-in ${k}`;
+    let best = null;
+    for (let start = now; start + ptLen <= lastEnd + 1e-9 && start < 24; start += step) {
+      const end = start + ptLen;
+      const who = callable ? callable.find((e) => e.earliest <= start + 1e-9 && e.latest >= end - 1e-9) : { name: unnamed };
+      if (!who) continue;
+      const shift = {
+        agent: who.name, type: 'PT', template: 'Call-in', paidLunch: false, start, end, hours: ptLen,
+        lunchStart: null, lunchEnd: null, breaks: [], ...(who.skills && { skills: who.skills }),
+      };
+      if (!fits('PT', intervalsOf(shift))) continue;
+      const [row] = scheduleBreaks([shift], gap, s, { wrap, intervalMinutes: day.interval }).roster;
+      const gain = gainOf(paint(row, 1));
+      if (gain >= ptLen / 2 - 1e-9 && gain > (best?.gain ?? 0) + 1e-9) best = { row, gain, who };
+    }
+    if (!best) break;
+    rows.push(null);
+    replace(rows.length - 1, best.row);
+    if (callable) callable.splice(callable.indexOf(best.who), 1);
+    fixes.push({
+      kind: 'callin', agent: best.row.agent, hours: ptLen, gain: best.gain,
+      message: `Call in ${best.row.agent} ${clock(best.row.start)}-${clock(best.row.end)}`,
+    });
+  }
+  rows = rows.filter(Boolean);
+  touched.clear();
+  for (const f of fixes) touched.add(rows.findIndex((r) => r.agent === f.agent));
+
+  // VTO where the hours given up are all surplus; the biggest offer first
+  if (opts.vto !== false) {
+    for (;;) {
+      let best = null;
+      rows.forEach((r, idx) => {
+        if (!r || touched.has(idx) || r.end <= now || absentSet.has(r.agent)) return;
+        const tries = r.start >= now ? [null] : [];
+        for (let end = Math.max(now, r.start + 1); end <= r.end - 1 + 1e-9; end += step) {
+          const lunch = r.lunchStart === null || r.lunchEnd <= end * 60 ? 'keep' : r.lunchStart >= end * 60 ? 'drop' : null;
+          if (!lunch || (r.breaks || []).some((b) => b.start < end * 60 && b.end > end * 60)) continue;
+          tries.push({
+            ...r, end, hours: end - r.start,
+            ...(lunch === 'drop' && { lunchStart: null, lunchEnd: null }),
+            breaks: (r.breaks || []).filter((b) => b.end <= end * 60),
+          });
+        }
+        for (const next of tries) {
+          const cut = r.hours - (next ? next.hours : 0);
+          if (gainOf(next ? change(r, next) : paint(r, -1)) < -1e-9) continue;
+          // a whole shift off wins a tie: nobody comes in just to leave again
+          if (cut > (best?.cut ?? 0) + 1e-9 || (best?.next && !next && cut > best.cut - 1e-9)) best = { idx, next, cut };
+          break; // the earliest end that costs nothing is the biggest cut for this row
+        }
+      });
+      if (!best) break;
+      const r = rows[best.idx];
+      replace(best.idx, best.next);
+      fixes.push({
+        kind: 'vto', agent: r.agent, hours: -best.cut, gain: 0,
+        message: best.next
+          ? `Offer ${r.agent} VTO from ${clock(best.next.end)} (${hrs(best.cut)})`
+          : `Offer ${r.agent} VTO for the whole ${clock(r.start)}-${clock(r.end)} shift`,
+      });
+    }
+    rows = rows.filter(Boolean);
+  }
+  const after = onPhone();
+
+  const shortFrom = (cover) => required.reduce((sum, r, i) => sum + (i >= from ? Math.max(0, r - cover[i]) : 0), 0) / sph;
+  const rest = calls.map((c, i) => (i < from ? 0 : c));
+  const sl = Math.max(0, parseFloat(s.slSeconds) || 0);
+  const project = (cover) => (day.erlang ? projectService(rest, netOfShrinkage(cover, shares), day.erlang.aht, sl, day.interval) : null);
+  const before = project(afterAbsence);
+  const patched = project(after);
+  return {
+    now,
+    ratio,
+    actualSoFar,
+    forecastSoFar,
+    absent,
+    fixes,
+    intervals: required.slice(from).map((r, j) => {
+      const i = from + j;
+      return {
+        index: i, forecastCalls: day.callsByInterval[i], calls: calls[i], plannedRequired: day.plan.required[i], required: r,
+        planned: planned[i], absent: afterAbsence[i], after: after[i],
+        ...(before && { asaBefore: before.byInterval[i].asa, asaAfter: patched.byInterval[i].asa }),
+      };
+    }),
+    short: { planned: shortFrom(planned), absent: shortFrom(afterAbsence), after: shortFrom(after) },
+    service: before ? { absent: before.daily, after: patched.daily } : null,
+    roster: rows,
+  };
+}
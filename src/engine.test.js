@@ -0,0 +1,951 @@
+import {
+  buildShiftPlanStrategic, buildRoster, computeHireRecommendations, validatePlanInputs, PlanInputError,
+  resolveTemplates, parseEmployees, payRules, planDay, planDays, summarizeDays, DEFAULT_TEMPLATES, DEFAULT_SETTINGS,
+  adjustRosterRow, applyRosterEdits, simulateHires, parseQueues, serveQueues, assignWeek, checkWeek, swapShifts,
+  replanIntraday, parseShrinkage, shrinkageAt, shrinkageOverCap, SOLVER_RANGE_SECONDS,
+} from './engine';
+
+// n agents needed from `from` to `to` (hours, end exclusive), nothing elsewhere
+const demand = (from, to, n, slotsPerHour = 1) =>
+  Array.from({ length: 24 * slotsPerHour }, (_, i) => (i >= from * slotsPerHour && i < to * slotsPerHour ? n : 0));
+const heads = (shifts) => shifts.reduce((s, x) => s + x.count, 0);
+const sum = (arr) => arr.reduce((s, v) => s + v, 0);
+// agents of one type on shift per hour, from the plan's shift rows
+const coverageOf = (shifts, H = 24, sph = 1) => {
+  const cov = Array(H).fill(0);
+  for (const x of shifts) for (let i = x.start * sph; i < x.end * sph; i++) cov[i % H] += x.count;
+  return cov;
+};
+
+const limits = (capFT, capPT, maxFTShifts = capFT, maxPTShifts = capPT) => ({ capFT, capPT, maxFTShifts, maxPTShifts });
+const plan = (required, lim, opts = {}) => buildShiftPlanStrategic(required, lim, { strategy: 'auto', ptLenHours: 4, ...opts });
+
+// a /schedule response with Staff per hour from fn(hour)
+const scheduleDay = (date, weekday, staff) => ({
+  data: Array.from({ length: 24 }, (_, h) => ({ Hour: h, CALLS: staff(h) * 10, ASA: 2, Staff: staff(h) })),
+  inputs: { ASA_Threshold_Min: 3, Date: date, Weekday: weekday },
+  model_meta: { records: 24 },
+});
+const settings = (over = {}) => ({ ...DEFAULT_SETTINGS, ...over });
+
+describe('buildShiftPlanStrategic', () => {
+  describe('all-zero demand', () => {
+    test.each(['auto', 'ft_first', 'pt_first', 'mixed', 'optimal'])('%s places nothing', (strategy) => {
+      const p = plan(Array(24).fill(0), limits(5, 5), { strategy, mixedFtPercent: 50 });
+      expect(p.shiftsFT).toEqual([]);
+      expect(p.shiftsPT).toEqual([]);
+      expect(p.coverage).toEqual(Array(24).fill(0));
+      expect(p.shortage).toEqual(Array(24).fill(0));
+      expect(p.totalShortUnits).toBe(0);
+      expect(p.hoursShort).toBe(0);
+      expect(p.maxConcurrent).toBe(0);
+    });
+
+    test('zero caps leave all demand short', () => {
+      const p = plan(demand(9, 17, 2), limits(0, 0));
+      expect(heads(p.shiftsFT) + heads(p.shiftsPT)).toBe(0);
+      expect(p.totalShortUnits).toBe(16);
+      expect(p.hoursShort).toBe(8);
+    });
+  });
+
+  describe('strategies', () => {
+    const req = demand(9, 17, 2);
+    const lim = limits(5, 5);
+
+    test('ft_first staffs full timers only when they can cover', () => {
+      const p = plan(req, lim, { strategy: 'ft_first' });
+      expect(p.shiftsFT).toEqual([{ start: 9, end: 17, count: 2, template: 'FT 8h', paidLunch: false }]);
+      expect(p.shiftsPT).toEqual([]);
+      expect(p.totalShortUnits).toBe(0);
+    });
+
+    test('pt_first staffs part timers only when they can cover', () => {
+      const p = plan(req, lim, { strategy: 'pt_first' });
+      expect(p.shiftsFT).toEqual([]);
+      expect(p.shiftsPT.map((x) => [x.start, x.end, x.count])).toEqual([[9, 13, 2], [13, 17, 2]]);
+      expect(p.totalShortUnits).toBe(0);
+    });
+
+    test('auto is FT first on weekdays and PT first on weekends', () => {
+      expect(plan(req, lim, { isWeekend: false })).toEqual(plan(req, lim, { strategy: 'ft_first' }));
+      expect(plan(req, lim, { isWeekend: true })).toEqual(plan(req, lim, { strategy: 'pt_first' }));
+    });
+
+    test('mixed alternates both types', () => {
+      const p = plan(req, lim, { strategy: 'mixed', mixedFtPercent: 50 });
+      expect(heads(p.shiftsFT)).toBe(1);
+      expect(heads(p.shiftsPT)).toBe(2);
+      expect(p.totalShortUnits).toBe(0);
+      expect(p.excess).toEqual(Array(24).fill(0));
+    });
+
+    test('mixed clamps the FT percent to 0-100', () => {
+      expect(plan(req, lim, { strategy: 'mixed', mixedFtPercent: 250 })).toEqual(plan(req, lim, { strategy: 'mixed', mixedFtPercent: 100 }));
+      expect(plan(req, lim, { strategy: 'mixed', mixedFtPercent: -5 })).toEqual(plan(req, lim, { strategy: 'mixed', mixedFtPercent: 0 }));
+    });
+
+    test('optimal closes a gap the greedy pass leaves', () => {
+      const tricky = [0, 0, 0, 0, 0, 0, 0, 3, 1, 2, 3, 1, 1, 0, 0, 3, 3, 0, 3, 2, 0, 0, 0, 0];
+      const lim3 = { capFT: 3, capPT: 2, maxFTShifts: 3, maxPTShifts: 3 };
+      const greedy = plan(tricky, lim3);
+      const p = plan(tricky, lim3, { strategy: 'optimal', timeLimitMs: 5000 });
+      expect(greedy.totalShortUnits).toBe(1);
+      expect(p.totalShortUnits).toBe(0);
+      expect(p.solver).toMatchObject({ optimal: true, usedGreedy: false, unstaffed: 0 });
+      expect(p.solver.greedy.totalShortUnits).toBe(1);
+      expect(p.solver.best.totalShortUnits).toBe(0);
+    });
+
+    test('optimal is never worse than greedy', () => {
+      const req2 = demand(6, 22, 3);
+      const lim2 = limits(3, 3, 4, 3);
+      const p = plan(req2, lim2, { strategy: 'optimal', timeLimitMs: 2000 });
+      expect(p.totalShortUnits).toBeLessThanOrEqual(plan(req2, lim2).totalShortUnits);
+    });
+
+    test('a type with no template and unlimited headcount does not switch pruning off', () => {
+      const templates = [{ id: 'pt', name: 'PT 4h', type: 'PT', len: 4 }];
+      const p = plan(demand(8, 20, 4), limits(2, 2, Infinity, 4), { strategy: 'optimal', templates, timeLimitMs: 5000 });
+      expect(p.totalShortUnits).toBe(32);
+      expect(p.solver).toMatchObject({ optimal: true, timedOut: false });
+      expect(p.solver.nodes).toBeLessThan(100);
+    });
+  });
+
+  describe('caps vs totals', () => {
+    const req = demand(7, 21, 10);
+
+    test('coverage never exceeds the per-type or combined caps', () => {
+      const lim = limits(4, 2, 20, 20);
+      for (const strategy of ['auto', 'ft_first', 'pt_first', 'mixed']) {
+        const p = plan(req, lim, { strategy, mixedFtPercent: 50 });
+        const ft = coverageOf(p.shiftsFT);
+        const pt = coverageOf(p.shiftsPT);
+        expect(Math.max(...ft)).toBeLessThanOrEqual(4);
+        expect(Math.max(...pt)).toBeLessThanOrEqual(2);
+        expect(p.coverage).toEqual(ft.map((v, h) => v + pt[h]));
+        expect(p.maxConcurrent).toBeLessThanOrEqual(6);
+      }
+    });
+
+    test('totals limit the people used even when caps allow more', () => {
+      const p = plan(req, limits(10, 10, 3, 2));
+      expect(heads(p.shiftsFT)).toBe(3);
+      expect(heads(p.shiftsPT)).toBe(2);
+      expect(p.totalShortUnits).toBeGreaterThan(0);
+    });
+
+    test('caps limit concurrency even when totals allow more', () => {
+      const p = plan(demand(0, 24, 5), limits(2, 0, 50, 0));
+      expect(Math.max(...p.coverage)).toBe(2);
+      expect(heads(p.shiftsFT)).toBe(6);
+    });
+
+    test('totals may be unlimited', () => {
+      const p = plan(demand(0, 24, 2), limits(2, 0, Infinity, Infinity));
+      expect(p.totalShortUnits).toBe(0);
+      expect(heads(p.shiftsFT)).toBe(6);
+    });
+
+    test('shortage and excess are measured against the requirement', () => {
+      const p = plan(demand(9, 12, 1), limits(1, 0));
+      // the only shift is 8h long, so five of its hours are excess
+      expect(p.shortage).toEqual(Array(24).fill(0));
+      expect(sum(p.excess)).toBe(5);
+      expect(p.required).toEqual(demand(9, 12, 1));
+    });
+  });
+
+  describe('merge behavior', () => {
+    test('identical shifts come back as one row with a count', () => {
+      const p = plan(demand(9, 17, 4), limits(4, 0));
+      expect(p.shiftsFT).toHaveLength(1);
+      expect(p.shiftsFT[0].count).toBe(4);
+    });
+
+    test('rows are sorted by start, then end', () => {
+      const p = plan(demand(6, 22, 1), limits(2, 0));
+      const starts = p.shiftsFT.map((x) => x.start);
+      expect(starts).toEqual([...starts].sort((a, b) => a - b));
+    });
+
+    test('same hours on different templates stay separate rows', () => {
+      const templates = [
+        { name: 'Early', type: 'FT', len: 8, earliest: 9, latest: 9, cap: 1 },
+        { name: 'Late', type: 'FT', len: 8, earliest: 9, latest: 9, cap: 1 },
+      ];
+      const p = plan(demand(9, 17, 2), limits(2, 0), { templates });
+      expect(p.shiftsFT.map((x) => [x.template, x.start, x.count])).toEqual([['Early', 9, 1], ['Late', 9, 1]]);
+    });
+
+    test('merged rows keep every assigned agent', () => {
+      const { employees } = parseEmployees('Ann,FT\nBob,FT\nCid,FT');
+      const p = plan(demand(9, 17, 3), limits(3, 0), { pool: employees });
+      expect(p.shiftsFT).toHaveLength(1);
+      expect([...p.shiftsFT[0].agents].sort()).toEqual(['Ann', 'Bob', 'Cid']);
+    });
+  });
+
+  describe('templates', () => {
+    test('without templates the plan uses FT 8h and PT ptLenHours', () => {
+      const p = plan(demand(9, 15, 1), limits(0, 2), { ptLenHours: 6 });
+      expect(p.shiftsPT).toEqual([{ start: 9, end: 15, count: 1, template: 'PT 6h', paidLunch: false }]);
+    });
+
+    test('start windows and per-template caps are respected', () => {
+      const templates = resolveTemplates([
+        { id: 'a', name: 'Ten', type: 'FT', length: '10', earliest: '07:00', latest: '08:00', paidLunch: true, cap: '1', enabled: true },
+        { id: 'b', name: 'Eight', type: 'FT', length: '8', earliest: '', latest: '', paidLunch: false, cap: '', enabled: true },
+      ], 4);
+      const p = plan(demand(7, 17, 2), limits(2, 0), { templates });
+      const ten = p.shiftsFT.filter((x) => x.template === 'Ten');
+      expect(heads(ten)).toBe(1);
+      expect(ten[0].start).toBeGreaterThanOrEqual(7);
+      expect(ten[0].start).toBeLessThanOrEqual(8);
+      expect(ten[0].paidLunch).toBe(true);
+    });
+
+    test('disabled templates are never used', () => {
+      const rows = DEFAULT_TEMPLATES.map((t) => (t.type === 'FT' ? { ...t, enabled: false } : t));
+      const p = plan(demand(9, 17, 1), limits(5, 5), { templates: resolveTemplates(rows, 4) });
+      expect(p.shiftsFT).toEqual([]);
+      expect(heads(p.shiftsPT)).toBe(2);
+    });
+  });
+
+  describe('intervals and overnight', () => {
+    test('half-hour planning starts shifts on the half hour', () => {
+      const req = demand(9.5, 13.5, 1, 2);
+      const p = plan(req, limits(0, 1), { slotsPerHour: 2 });
+      expect(p.shiftsPT).toEqual([{ start: 9.5, end: 13.5, count: 1, template: 'PT 4h', paidLunch: false }]);
+      expect(p.coverage).toHaveLength(48);
+      expect(p.slotsPerHour).toBe(2);
+    });
+
+    test('totals are reported in hours at sub-hour intervals', () => {
+      const p = plan(demand(9, 10, 3, 4), limits(0, 0), { slotsPerHour: 4 });
+      expect(p.totalShortUnits).toBe(3);
+      expect(p.hoursShort).toBe(1);
+    });
+
+    test('an overnight shift wraps onto the same day when not chained', () => {
+      const req = demand(0, 6, 2);
+      req[22] = 2; req[23] = 2;
+      const p = plan(req, limits(5, 0), { overnight: true });
+      expect(p.shiftsFT).toEqual([{ start: 22, end: 30, count: 2, template: 'FT 8h', paidLunch: false }]);
+      expect(p.totalShortUnits).toBe(0);
+    });
+
+    test('a chained day hands its spill to the next day', () => {
+      const p = plan(demand(20, 24, 1), limits(1, 0), { overnight: true, chained: true, nextRequired: demand(0, 4, 1) });
+      expect(p.shiftsFT).toEqual([{ start: 20, end: 28, count: 1, template: 'FT 8h', paidLunch: false }]);
+      expect(p.carryOut.ft.slice(0, 5)).toEqual([1, 1, 1, 1, 0]);
+      const next = plan(demand(0, 4, 1), limits(1, 0), { overnight: true, chained: true, carryIn: p.carryOut });
+      expect(next.shiftsFT).toEqual([]);
+      expect(next.totalShortUnits).toBe(0);
+      expect(next.carriedIn.slice(0, 4)).toEqual([1, 1, 1, 1]);
+    });
+  });
+
+  describe('employee pool', () => {
+    test('shifts go to someone whose window holds them', () => {
+      const { employees } = parseEmployees('Early,FT,06:00,14:00\nLate,FT,12:00,22:00');
+      const p = plan(demand(6, 22, 1), limits(2, 0), { pool: employees });
+      const byAgent = Object.fromEntries(p.shiftsFT.map((x) => [x.agents[0], x]));
+      expect(byAgent.Early).toMatchObject({ start: 6, end: 14 });
+      expect(byAgent.Late).toMatchObject({ start: 14, end: 22 });
+    });
+
+    test('nobody available means nothing placed', () => {
+      const { employees } = parseEmployees('Night,FT,20:00,23:00');
+      const p = plan(demand(9, 17, 1), limits(1, 0), { pool: employees });
+      expect(p.shiftsFT).toEqual([]);
+      expect(p.totalShortUnits).toBe(8);
+    });
+  });
+
+  describe('skill-based queues', () => {
+    const queues = (a, b) => ({ names: ['English', 'Spanish'], required: [a, b] });
+    const both = (a, b) => a.map((v, h) => v + b[h]);
+
+    test('a multi-skilled agent is placed where single-skilled ones cannot help', () => {
+      const { employees } = parseEmployees('Ann,FT,,,,English\nBob,FT,,,,English\nCruz,FT,,,,English;Spanish');
+      const eng = demand(9, 17, 1), spa = demand(9, 17, 1);
+      const p = plan(both(eng, spa), limits(3, 0), { pool: employees, queues: queues(eng, spa) });
+      expect(p.shiftsFT.flatMap((x) => x.agents).sort()).toEqual(['Ann', 'Cruz']);
+      expect(p.shiftsFT.find((x) => x.agents.includes('Cruz')).skills).toEqual(['English', 'Spanish']);
+      expect(p.totalShortUnits).toBe(0);
+      expect(p.queues.coverage).toEqual([eng, spa]);
+    });
+
+    test('headcount without the skill leaves that queue short', () => {
+      const { employees } = parseEmployees('Ann,FT,,,,English\nBob,FT,,,,English');
+      const eng = demand(9, 17, 1), spa = demand(9, 17, 1);
+      const p = plan(both(eng, spa), limits(2, 0), { pool: employees, queues: queues(eng, spa) });
+      expect(heads(p.shiftsFT)).toBe(1);
+      expect(sum(p.queues.shortage[0])).toBe(0);
+      expect(sum(p.queues.shortage[1])).toBe(8);
+      expect(p.totalShortUnits).toBe(8);
+    });
+
+    test('without a pool every agent takes every queue', () => {
+      const eng = demand(9, 17, 2), spa = demand(13, 17, 1);
+      const p = plan(both(eng, spa), limits(3, 0), { queues: queues(eng, spa) });
+      expect(p.totalShortUnits).toBe(0);
+      expect(p.shiftsFT.every((x) => x.skills.length === 2)).toBe(true);
+    });
+
+    test('serveQueues moves a multi-skilled agent to make room', () => {
+      // the bilingual agent is counted first, the English-only one pushes them over to Spanish
+      expect(serveQueues([[1], [1]], [[3, 1]])).toEqual({ coverage: [[1], [1]], shortage: [[0], [0]] });
+      expect(serveQueues([[1], [1]], [[1, 1]])).toEqual({ coverage: [[1], [0]], shortage: [[0], [1]] });
+    });
+  });
+
+  describe('budget', () => {
+    const rules = payRules({ ...DEFAULT_SETTINGS, rateFT: '20', ratePT: '15' }, 'Monday');
+
+    test('spend stays within the limit', () => {
+      const budget = { limit: 400, rules, lunchMinutes: 30, lunchMinHours: 0 };
+      const p = plan(demand(7, 23, 3), limits(3, 3), { budget });
+      expect(p.budgetSpent).toBeLessThanOrEqual(400);
+      expect(p.budgetSpent).toBeGreaterThan(0);
+      expect(p.totalShortUnits).toBeGreaterThan(plan(demand(7, 23, 3), limits(3, 3)).totalShortUnits);
+    });
+
+    test('budgetSpent is null without a budget', () => {
+      expect(plan(demand(9, 17, 1), limits(1, 0)).budgetSpent).toBeNull();
+    });
+  });
+
+  describe('input validation', () => {
+    const ok = [demand(9, 17, 1), limits(1, 1), { strategy: 'auto', ptLenHours: 4 }];
+
+    test('valid input has no problems', () => {
+      expect(validatePlanInputs(...ok)).toEqual([]);
+    });
+
+    test.each([
+      ['too few intervals', [Array(23).fill(0), ok[1], ok[2]], /required must hold 24 values/],
+      ['negative demand', [[-1, ...Array(23).fill(0)], ok[1], ok[2]], /required\[0\]/],
+      ['fractional demand', [[...Array(23).fill(0), 1.5], ok[1], ok[2]], /required\[23\]/],
+      ['NaN cap', [ok[0], { ...ok[1], capFT: NaN }, ok[2]], /limits.capFT/],
+      ['negative total', [ok[0], { ...ok[1], maxPTShifts: -1 }, ok[2]], /limits.maxPTShifts/],
+      ['unknown strategy', [ok[0], ok[1], { ...ok[2], strategy: 'random' }], /opts.strategy/],
+      ['mixed without a percent', [ok[0], ok[1], { ...ok[2], strategy: 'mixed' }], /mixedFtPercent/],
+      ['bad interval', [ok[0], ok[1], { ...ok[2], slotsPerHour: 3 }], /slotsPerHour/],
+      ['no PT length', [ok[0], ok[1], { strategy: 'auto' }], /ptLenHours/],
+      ['template too long', [ok[0], ok[1], { templates: [{ name: 'X', type: 'FT', len: 20 }] }], /templates\[0\].len/],
+      ['template type', [ok[0], ok[1], { templates: [{ name: 'X', type: 'XT', len: 8 }] }], /templates\[0\].type/],
+      ['pool entry', [ok[0], ok[1], { ...ok[2], pool: [{ name: 'A', type: 'FT' }] }], /opts.pool\[0\]/],
+      ['budget without rules', [ok[0], ok[1], { ...ok[2], budget: { limit: 100 } }], /budget.rules/],
+      ['queues that do not add up', [ok[0], ok[1], { ...ok[2], queues: { names: ['A'], required: [Array(24).fill(1)] } }], /sum of opts.queues/],
+      ['unnamed queue', [ok[0], ok[1], { ...ok[2], queues: { names: [''], required: [ok[0]] } }], /opts.queues.names/],
+    ])('%s throws PlanInputError', (_, args, message) => {
+      expect(() => buildShiftPlanStrategic(...args)).toThrow(PlanInputError);
+      expect(() => buildShiftPlanStrategic(...args)).toThrow(message);
+    });
+
+    test('every problem is listed', () => {
+      let err;
+      try { buildShiftPlanStrategic([], { capFT: -1, capPT: 0, maxFTShifts: 0, maxPTShifts: 0 }, { strategy: 'x', ptLenHours: 4 }); }
+      catch (e) { err = e; }
+      expect(err).toBeInstanceOf(PlanInputError);
+      expect(err.errors).toHaveLength(3);
+    });
+  });
+});
+
+describe('buildRoster', () => {
+  const ft = [{ start: 9, end: 17, count: 2, template: 'FT 8h', paidLunch: false }];
+  const pt = [{ start: 12, end: 16, count: 1, template: 'PT 4h', paidLunch: true }];
+
+  test('one row per agent, numbered per type', () => {
+    const roster = buildRoster(ft, pt, '30');
+    expect(roster.map((r) => r.agent)).toEqual(['FT-1', 'FT-2', 'PT-1']);
+    expect(roster[2]).toMatchObject({ type: 'PT', template: 'PT 4h', paidLunch: true, start: 12, end: 16, hours: 4 });
+  });
+
+  test('lunch sits mid-shift on the half hour', () => {
+    const [r] = buildRoster(ft, [], '30');
+    expect([r.lunchStart, r.lunchEnd]).toEqual([13 * 60, 13 * 60 + 30]);
+    expect(r.lunchStart % 30).toBe(0);
+  });
+
+  test('lunch stays inside the shift', () => {
+    const [r] = buildRoster([{ start: 9, end: 10, count: 1 }], [], '90');
+    expect(r.lunchStart).toBeGreaterThanOrEqual(9 * 60);
+    expect(r.lunchEnd).toBeLessThanOrEqual(10 * 60);
+  });
+
+  test('named agents and missing templates', () => {
+    const roster = buildRoster([{ start: 8, end: 14, count: 1, agents: ['Ann'] }], [], '0');
+    expect(roster[0]).toMatchObject({ agent: 'Ann', template: 'FT 6h', lunchStart: roster[0].lunchEnd });
+  });
+
+  test('empty plan gives an empty roster', () => {
+    expect(buildRoster([], [], '30')).toEqual([]);
+  });
+
+  test('malformed shifts throw', () => {
+    expect(() => buildRoster([{ start: 10, end: 9, count: 1 }], [], '30')).toThrow(PlanInputError);
+    expect(() => buildRoster(null, [], '30')).toThrow(/shiftsFT must be an array/);
+    expect(() => buildRoster([], [{ start: 1, end: 5, count: 1.5 }], '30')).toThrow(/shiftsPT\[0\]/);
+  });
+});
+
+describe('computeHireRecommendations', () => {
+  const short = (arr) => ({ shortage: arr, totalShortUnits: sum(arr) });
+
+  test('null without a plan', () => {
+    expect(computeHireRecommendations(null)).toBeNull();
+    expect(computeHireRecommendations({})).toBeNull();
+  });
+
+  test('nothing to hire when nothing is short', () => {
+    const r = computeHireRecommendations(short(Array(24).fill(0)), 4);
+    expect(r.totalShort).toBe(0);
+    expect(r.ft[0].count).toBe(0);
+    expect(r.pt[0].count).toBe(0);
+    expect(r.mixed).toEqual({ ft: 0, pt: 0, ftName: 'FT 8h', ptName: 'PT 4h' });
+  });
+
+  test('FT covers the peak, PT covers the volume', () => {
+    const r = computeHireRecommendations(short(demand(9, 13, 3)), 4);
+    expect(r).toMatchObject({ totalShort: 12, peakShort: 3 });
+    expect(r.ft).toEqual([{ name: 'FT 8h', len: 8, count: 3, cost: null }]);
+    expect(r.pt).toEqual([{ name: 'PT 4h', len: 4, count: 3, cost: null }]);
+    expect(r.mixed).toEqual({ ft: 3, pt: 0, ftName: 'FT 8h', ptName: 'PT 4h' });
+  });
+
+  test('mixed fills the rest with PT', () => {
+    const r = computeHireRecommendations(short(demand(6, 22, 1).map((v, h) => (h >= 10 && h < 14 ? 2 : v))), 4);
+    expect(r.mixed).toEqual({ ft: 2, pt: 1, ftName: 'FT 8h', ptName: 'PT 4h' });
+  });
+
+  test('one option per template and a cost with pay rules', () => {
+    const templates = [{ name: 'FT 10h', type: 'FT', len: 10 }, { name: 'FT 8h', type: 'FT', len: 8 }, { name: 'PT 5h', type: 'PT', len: 5 }];
+    const rules = payRules({ ...DEFAULT_SETTINGS, rateFT: '20', ratePT: '10' }, 'Monday');
+    const r = computeHireRecommendations(short(demand(8, 18, 2)), 4, templates, rules);
+    expect(r.ft.map((o) => [o.name, o.count, o.cost])).toEqual([['FT 10h', 2, 400], ['FT 8h', 3, 480]]);
+    expect(r.pt.map((o) => [o.name, o.count, o.cost])).toEqual([['PT 5h', 4, 200]]);
+    expect(r.mixed.ftName).toBe('FT 10h');
+  });
+
+  test('no mixed option when one type has no template', () => {
+    const r = computeHireRecommendations(short(demand(9, 17, 1)), 4, [{ name: 'FT 8h', type: 'FT', len: 8 }]);
+    expect(r.pt).toEqual([]);
+    expect(r.mixed).toBeNull();
+  });
+});
+
+describe('simulateHires', () => {
+  // cover 8-18 with what the caps allow; anything above is left short
+  const planned = (staff, over) => planDay(scheduleDay('2025-09-29', 'Monday', staff), settings(over));
+
+  test('null without a plan', () => {
+    expect(simulateHires(null, settings())).toBeNull();
+    expect(simulateHires({}, settings())).toBeNull();
+  });
+
+  test('short spikes go to part-timers when they need as many people as full shifts', () => {
+    const day = planned((h) => (h >= 9 && h < 17 ? 2 : h >= 17 && h < 19 ? 4 : 0), { capFT: '2', capPT: '0' });
+    const r = simulateHires(day, settings());
+    expect(r.before).toBeGreaterThan(0);
+    expect(r.ftOnly).toMatchObject({ ft: 4, pt: 0, reached: true });
+    expect(r.best).toMatchObject({ ft: 0, pt: 4, shortUnits: 0, reached: true });
+    expect(r.best.hours).toBeLessThan(r.ftOnly.hours);
+    expect(r.best.roster.map((x) => x.agent)).toEqual(['New PT-1', 'New PT-2', 'New PT-3', 'New PT-4']);
+    expect(r.best.roster.filter((x) => x.start <= 17 && x.end >= 19)).toHaveLength(3);
+  });
+
+  test('stops at the target and costs the new shifts', () => {
+    const day = planned((h) => (h >= 8 && h < 18 ? 6 : 0), { capFT: '2', capPT: '0' });
+    const all = simulateHires(day, settings({ rateFT: '20', ratePT: '15' }));
+    expect(all.best).toMatchObject({ shortUnits: 0, reached: true });
+    expect(all.best.cost).toBeGreaterThan(0);
+    const part = simulateHires(day, settings(), { target: all.before / 2 });
+    expect(part.best.ft + part.best.pt).toBeLessThan(all.best.ft + all.best.pt);
+    expect(part.best.shortUnits).toBeLessThanOrEqual(all.before / 2);
+    expect(part.best.cost).toBeNull();
+  });
+
+  test('says when even the most hires leave the day short', () => {
+    const day = planned((h) => (h >= 8 && h < 18 ? 6 : 0), { capFT: '0', capPT: '0' });
+    const r = simulateHires(day, settings(), { maxHires: 3 });
+    expect(r.best.reached).toBe(false);
+    expect(r.best.ft + r.best.pt).toBeLessThanOrEqual(3);
+    expect(r.best.shortUnits).toBeLessThan(r.before);
+  });
+});
+
+describe('planDay', () => {
+  const busy = (h) => (h >= 8 && h < 20 ? 3 : 0);
+
+  test('null without model rows', () => {
+    expect(planDay(null, settings())).toBeNull();
+    expect(planDay({ data: [], inputs: {} }, settings())).toBeNull();
+  });
+
+  test('blank caps and totals fall back to the peak requirement', () => {
+    const d = planDay(scheduleDay('2025-09-29', 'Monday', busy), settings());
+    expect(d.plan.limits).toEqual({ capFT: 3, capPT: 0, maxFTShifts: 3, maxPTShifts: 0 });
+    expect(d.plan.shiftsPT).toEqual([]);
+  });
+
+  test('optimal solves the plan itself; the availability comparison is planned greedily', () => {
+    const { employees } = parseEmployees('Ann,FT,08:00,20:00\nBob,FT,12:00,20:00\nCruz,FT,08:00,20:00');
+    const d = planDay(scheduleDay('2025-09-29', 'Monday', busy), settings({ strategy: 'optimal', employees }));
+    expect(d.plan.solver).toBeDefined();
+    expect(d.availability).toMatchObject({ available: 3, units: expect.any(Number) });
+  });
+
+  test('totals default to caps', () => {
+    const d = planDay(scheduleDay('2025-09-29', 'Monday', busy), settings({ capFT: '2', capPT: '4' }));
+    expect(d.plan.limits).toEqual({ capFT: 2, capPT: 4, maxFTShifts: 2, maxPTShifts: 4 });
+  });
+
+  describe('weekend PT override', () => {
+    const s = settings({ capFT: '0', capPT: '6', ptLen: '4', ptLenWeekendOverride: true, ptLenWeekend: '6' });
+
+    test('weekends use the weekend PT length', () => {
+      const d = planDay(scheduleDay('2025-10-04', 'Saturday', busy), s);
+      expect(d.weekend).toBe(true);
+      expect(d.ptLenHours).toBe(6);
+      expect(new Set(d.plan.shiftsPT.map((x) => x.end - x.start))).toEqual(new Set([6]));
+      expect(d.plan.shiftsPT[0].template).toBe('PT 6h');
+    });
+
+    test('weekdays keep the normal PT length', () => {
+      const d = planDay(scheduleDay('2025-10-03', 'Friday', busy), s);
+      expect(d.ptLenHours).toBe(4);
+      expect(d.plan.shiftsPT[0].template).toBe('PT 4h');
+    });
+
+    test('the override is ignored when switched off', () => {
+      const d = planDay(scheduleDay('2025-10-04', 'Saturday', busy), { ...s, ptLenWeekendOverride: false });
+      expect(d.ptLenHours).toBe(4);
+    });
+  });
+
+  test('roster rows match the planned shifts', () => {
+    const d = planDay(scheduleDay('2025-09-29', 'Monday', busy), settings({ capFT: '3', capPT: '2' }));
+    expect(d.roster).toHaveLength(heads(d.plan.shiftsFT) + heads(d.plan.shiftsPT));
+    expect(d.hourly.required).toEqual(Array.from({ length: 24 }, (_, h) => busy(h)));
+  });
+
+  test('all-zero demand plans an empty day', () => {
+    const d = planDay(scheduleDay('2025-09-29', 'Monday', () => 0), settings({ capFT: '5', capPT: '5' }));
+    expect(d.roster).toEqual([]);
+    expect(d.plan.totalShortUnits).toBe(0);
+    expect(d.recs.totalShort).toBe(0);
+  });
+
+  test('a blank mixed ratio does not break the plan', () => {
+    const d = planDay(scheduleDay('2025-09-29', 'Monday', busy), settings({ strategy: 'mixed', mixedRatio: '', capPT: '3' }));
+    expect(d.plan.totalShortUnits).toBe(0);
+  });
+});
+
+describe('queues in a planned day', () => {
+  const flat = (h) => (h >= 9 && h < 17 ? 4 : 0);
+
+  test('parseQueues normalizes shares and reports bad lines', () => {
+    const r = parseQueues('Name,Share\nEnglish,3\nSpanish,1\nBilling,0\nEnglish,2');
+    expect(r.queues).toEqual([{ name: 'English', share: 0.75 }, { name: 'Spanish', share: 0.25 }]);
+    expect(r.errors).toEqual(['Line 4: share must be a number more than 0', 'Line 5: duplicate queue "English"']);
+  });
+
+  test('each queue takes its share of the requirement, rounded up', () => {
+    const { queues } = parseQueues('English,75\nSpanish,25');
+    const d = planDay(scheduleDay('2025-09-29', 'Monday', (h) => (h >= 9 && h < 17 ? 3 : 0)), settings({ queues }));
+    expect(d.plan.queues.required.map((r) => r[9])).toEqual([3, 1]);
+    expect(d.staffInt[9]).toBe(4);
+    expect(d.queues).toEqual([{ name: 'English', share: 0.75, fromRows: false }, { name: 'Spanish', share: 0.25, fromRows: false }]);
+  });
+
+  test('rows with their own queue numbers win over the share', () => {
+    const day = scheduleDay('2025-09-29', 'Monday', flat);
+    day.data = day.data.map((r) => ({ ...r, Queues: { Spanish: { Staff: r.Hour === 12 ? 2 : 0, CALLS: 5 } } }));
+    const { queues } = parseQueues('English,50\nSpanish,50');
+    const d = planDay(day, settings({ queues }));
+    expect(d.queues.map((q) => q.fromRows)).toEqual([false, true]);
+    expect(d.plan.queues.required[1].filter(Boolean)).toEqual([2]);
+    expect(d.plan.queues.required[0][12]).toBe(2);
+  });
+
+  test('skills follow the roster into edits', () => {
+    const { queues } = parseQueues('English,50\nSpanish,50');
+    const { employees } = parseEmployees('Ann,FT,,,,English\nBob,FT,,,,English\nCruz,FT,,,,Spanish\nDee,FT,,,,Spanish');
+    const d = planDay(scheduleDay('2025-09-29', 'Monday', flat), settings({ queues, employees, capFT: '4' }));
+    expect(d.plan.totalShortUnits).toBe(0);
+    const cruz = d.roster.findIndex((r) => r.agent === 'Cruz');
+    expect(d.roster[cruz].skills).toEqual(['Spanish']);
+    const moved = d.roster.map((r, i) => (i === cruz ? adjustRosterRow(r, 'move', 2) : r));
+    const e = applyRosterEdits(d, moved, settings({ queues }));
+    expect(sum(e.plan.queues.shortage[1])).toBe(2);
+    expect(sum(e.plan.queues.shortage[0])).toBe(0);
+    expect(e.plan.totalShortUnits).toBe(2);
+    expect(e.plan.shiftsFT.find((x) => x.agents.includes('Cruz')).skills).toEqual(['Spanish']);
+  });
+});
+
+describe('shrinkage', () => {
+  const flat = (h) => (h >= 9 && h < 17 ? 4 : 0);
+
+  test('parseShrinkage reads days, hours and percent and reports bad lines', () => {
+    const r = parseShrinkage('Days,Hours,Percent,Reason\nMonday Friday,14:00-16:00,15,Team meeting\n,,5\nFunday,,5\nMonday,16-14,5\nMonday,,100');
+    expect(r.rules).toEqual([
+      { days: ['Monday', 'Friday'], from: 14, to: 16, pct: 15, reason: 'Team meeting' },
+      { days: [], from: 0, to: 24, pct: 5, reason: '' },
+    ]);
+    expect(r.errors).toEqual([
+      'Line 4: unknown day "Funday"',
+      'Line 5: hours must look like 09:00-12:00',
+      'Line 6: percent must be a number from 0 to under 100',
+    ]);
+  });
+
+  test('matching rules add to the overall percentage, up to the cap', () => {
+    const { rules } = parseShrinkage('Monday,14:00-16:00,15\n2025-09-29,15:00-16:00,70');
+    const shares = shrinkageAt(settings({ shrinkagePct: '20', shrinkage: rules }), '2025-09-29', 'Monday', 60);
+    expect([shares[9], shares[14], shares[15]]).toEqual([0.2, 0.35, 0.8]);
+    expect(shrinkageAt(settings({ shrinkagePct: '20', shrinkage: rules }), '2025-09-30', 'Tuesday', 60)[14]).toBe(0.2);
+    expect(shrinkageAt(settings({ shrinkage: rules }), '2025-09-30', 'Tuesday', 60)).toBeNull();
+  });
+
+  test('shrinkageOverCap says where the rules add up past the cap', () => {
+    const { rules } = parseShrinkage('Monday,14:00-16:00,55\n2025-09-29,15:00-15:30,10');
+    expect(shrinkageOverCap(settings({ shrinkagePct: '30', shrinkage: rules }))).toEqual([
+      'Monday: 14:00-16:00 adds up to 85%, planned as 80%',
+      '2025-09-29: 14:00-16:00 adds up to 95%, planned as 80%',
+    ]);
+    expect(shrinkageOverCap(settings({ shrinkagePct: '85' }))).toEqual(['Every day: all day adds up to 85%, planned as 80%']);
+    expect(shrinkageOverCap(settings({ shrinkagePct: '30', shrinkage: rules.slice(0, 1).map((r) => ({ ...r, pct: 20 })) }))).toEqual([]);
+  });
+
+  test('the requirement is grossed up before planning and the raw one is kept', () => {
+    const { rules } = parseShrinkage('Monday,14:00-16:00,30');
+    const d = planDay(scheduleDay('2025-09-29', 'Monday', flat), settings({ shrinkagePct: '20', shrinkage: rules }));
+    expect(d.shrinkage.rawRequired[9]).toBe(4);
+    expect(d.plan.required[9]).toBe(5);
+    expect(d.plan.required[14]).toBe(8);
+    expect(d.shrinkage.byRow[14]).toBe(8);
+    expect(d.shrinkage.hourly.shares[14]).toBeCloseTo(0.5);
+    expect(planDay(scheduleDay('2025-09-29', 'Monday', flat), settings()).shrinkage).toBeNull();
+  });
+
+  test('each queue is grossed up on its own share', () => {
+    const { queues } = parseQueues('English,75\nSpanish,25');
+    const d = planDay(scheduleDay('2025-09-29', 'Monday', (h) => (h >= 9 && h < 17 ? 3 : 0)), settings({ queues, shrinkagePct: '50' }));
+    expect(d.plan.queues.required.map((r) => r[9])).toEqual([6, 2]);
+    expect(d.staffInt[9]).toBe(8);
+    expect(d.shrinkage.rawRequired[9]).toBe(4);
+  });
+});
+
+describe('planDays and summarizeDays', () => {
+  const s = settings({ capFT: '2', capPT: '1' });
+  const days = [
+    scheduleDay('2025-09-29', 'Monday', (h) => (h >= 9 && h < 17 ? 2 : 0)),
+    scheduleDay('2025-09-30', 'Tuesday', (h) => (h >= 9 && h < 17 ? 3 : 0)),
+  ];
+
+  test('one plan per day, totals add up', () => {
+    const plans = planDays(days, s);
+    expect(plans.map((d) => d.date)).toEqual(['2025-09-29', '2025-09-30']);
+    const t = summarizeDays(plans);
+    expect(t.days).toBe(2);
+    expect(t.required).toBe(16 + 24);
+    expect(t.shortUnits).toBe(plans[0].plan.totalShortUnits + plans[1].plan.totalShortUnits);
+    expect(t.ft + t.pt).toBe(plans[0].roster.length + plans[1].roster.length);
+    expect(t.cost).toBeNull();
+  });
+
+  test('cost totals appear once a rate is set', () => {
+    const t = summarizeDays(planDays(days, { ...s, rateFT: '20', ratePT: '15' }));
+    expect(t.cost).toBeGreaterThan(0);
+  });
+
+  test('the optimal solver shares one time budget across the range', () => {
+    // with the clock stopped, each day gets an even share of the whole budget, capped at the per-day limit
+    jest.useFakeTimers('modern');
+    try {
+      const plans = planDays([...days, scheduleDay('2025-10-01', 'Wednesday', (h) => (h >= 9 && h < 17 ? 1 : 0))],
+        { ...s, strategy: 'optimal', solverSeconds: '8' });
+      const total = Math.max(8, SOLVER_RANGE_SECONDS) * 1000;
+      expect(plans.map((d) => d.plan.solver.limitMs)).toEqual([total / 3, total / 2, 8000].map((ms) => expect.closeTo(ms, 0)));
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('week rules', () => {
+  const WEEK = [
+    ['2025-09-29', 'Monday'], ['2025-09-30', 'Tuesday'], ['2025-10-01', 'Wednesday'], ['2025-10-02', 'Thursday'],
+    ['2025-10-03', 'Friday'], ['2025-10-04', 'Saturday'], ['2025-10-05', 'Sunday'],
+  ];
+  const rules = settings({ weekRules: true, capFT: '3', capPT: '0' });
+  // a hand-built range: one row per [date, start, end], lunch unless noBreak
+  const rosterDays = (agent, type, shifts, noBreak = false) => shifts.map(([date, start, end]) => ({
+    date, roster: [{ agent, type, start, end, lunchStart: noBreak ? null : start * 60 + 240, lunchEnd: noBreak ? null : start * 60 + 270, breaks: [] }],
+  }));
+
+  test('off by default: rosters are left alone and nothing is checked', () => {
+    const plans = planDays(WEEK.map(([d, w]) => scheduleDay(d, w, (h) => (h >= 9 && h < 17 ? 1 : 0))), settings());
+    expect(assignWeek(plans, settings())).toBe(plans);
+    expect(checkWeek(plans, settings())).toBeNull();
+  });
+
+  test('a pool works 40h over 5 days with two days off in a row and rotates the weekend', () => {
+    const { employees } = parseEmployees('Ann,FT\nBob,FT\nCruz,FT');
+    const days = WEEK.map(([d, w], i) => scheduleDay(d, w, (h) => (h >= 9 && h < 17 ? (i ? 2 : 3) : 0)));
+    const check = checkWeek(planDays(days, { ...rules, employees }), { ...rules, employees });
+    expect(check.violations).toEqual([]);
+    expect(check.people.map((p) => [p.days, p.hours])).toEqual([[5, 40], [5, 40], [5, 40]]);
+    expect(check.people.map((p) => p.weekendDays).sort()).toEqual([0, 2, 2]);
+  });
+
+  test('the pool waits out the minimum rest after a late shift', () => {
+    const { employees } = parseEmployees('Ann,FT');
+    const days = [
+      scheduleDay('2025-09-29', 'Monday', (h) => (h >= 14 && h < 22 ? 1 : 0)),
+      scheduleDay('2025-09-30', 'Tuesday', (h) => (h >= 6 && h < 14 ? 1 : 0)),
+    ];
+    const plans = planDays(days, { ...rules, employees, minRestHours: '11' });
+    expect(plans[0].roster[0].end).toBe(22);
+    expect(plans[1].roster[0].start).toBe(9);
+  });
+
+  test('rest that runs past the next midnight keeps the pool off that day instead of failing the range', () => {
+    const { employees } = parseEmployees('Ann,FT\nBob,FT');
+    const days = [
+      scheduleDay('2025-09-29', 'Monday', (h) => (h >= 16 ? 1 : 0)),
+      scheduleDay('2025-09-30', 'Tuesday', (h) => (h >= 9 && h < 17 ? 1 : 0)),
+    ];
+    const plans = planDays(days, { ...rules, employees, minRestHours: '30' });
+    expect(plans[0].roster.map((r) => [r.agent, r.end])).toEqual([['Ann', 24]]);
+    expect(plans[1].roster.map((r) => r.agent)).toEqual(['Bob']);
+  });
+
+  test('anonymous agents become the same people across days, within the weekly limits', () => {
+    const days = WEEK.map(([d, w]) => scheduleDay(d, w, (h) => (h >= 9 && h < 17 ? 3 : 0)));
+    const plans = assignWeek(planDays(days, rules), rules);
+    const check = checkWeek(plans, rules);
+    expect(check.people.every((p) => p.days <= 5 && p.hours <= 40)).toBe(true);
+    expect(check.people.length).toBeGreaterThan(3);
+    expect(check.violations.filter((v) => v.rule !== 'hours')).toEqual([]);
+    expect(new Set(plans[0].roster.map((r) => r.agent)).size).toBe(3);
+  });
+
+  test('every rule is reported per employee on hand-built rosters', () => {
+    const s = settings({ weekRules: true, ptWeekMinHours: '10', ptWeekMaxHours: '20', maxConsecutiveDays: '6' });
+    const ann = rosterDays('Ann', 'FT', WEEK.map(([d], i) => [d, i === 1 ? 6 : 14, i === 1 ? 14 : 22]));
+    const pat = rosterDays('Pat', 'PT', [['2025-09-29', 9, 16]], true);
+    const check = checkWeek(ann.map((d, i) => (i ? d : { ...d, roster: [...d.roster, ...pat[0].roster] })), s);
+    const rules = (agent) => check.people.find((p) => p.agent === agent).violations.map((v) => `${v.date} ${v.rule}`);
+    expect(rules('Ann')).toEqual([
+      '2025-09-30 rest', '2025-10-05 consecutive', '2025-09-29 days', '2025-09-29 hours', '2025-09-29 daysOff',
+    ]);
+    expect(rules('Pat')).toEqual(['2025-09-29 break', '2025-09-29 hours']);
+    expect(check.violations).toHaveLength(7);
+  });
+});
+
+describe('roster edits', () => {
+  const busy = (h) => (h >= 8 && h < 20 ? 3 : 0);
+  const s = settings({ capFT: '3', capPT: '2', rateFT: '20', ratePT: '15' });
+  const day = planDay(scheduleDay('2025-09-29', 'Monday', busy), s);
+  const withRow = (i, row) => day.roster.map((r, k) => (k === i ? row : r));
+
+  test('an unedited roster re-counts to the planned numbers', () => {
+    const same = applyRosterEdits(day, day.roster, s);
+    expect(same.plan.coverage).toEqual(day.plan.coverage);
+    expect(same.onPhone).toEqual(day.onPhone);
+    expect(same.cost.total).toBeCloseTo(day.cost.total);
+    expect(same.plan.shiftsFT).toEqual(day.plan.shiftsFT);
+    expect(same.edits).toEqual({ changed: 0, violations: [] });
+  });
+
+  test('moving a shift moves its lunch and breaks and snaps to the interval', () => {
+    const r = day.roster[0];
+    const moved = adjustRosterRow(r, 'move', 1.4);
+    expect([moved.start, moved.end]).toEqual([r.start + 1, r.end + 1]);
+    expect(moved.lunchStart).toBe(r.lunchStart + 60);
+    expect(moved.breaks.map((b) => b.start)).toEqual(r.breaks.map((b) => b.start + 60));
+    expect(adjustRosterRow(r, 'move', 30).end).toBe(24);
+    expect(adjustRosterRow(r, 'move', -30).start).toBe(0);
+  });
+
+  test('resizing keeps the shift between an hour and the longest shift, lunch inside', () => {
+    const r = day.roster[0];
+    expect(adjustRosterRow(r, 'end', -20).hours).toBe(1);
+    expect(adjustRosterRow(r, 'start', -20).hours).toBe(Math.min(16, r.end));
+    const short = adjustRosterRow(r, 'end', -(r.hours - 1));
+    expect(short.lunchStart).toBeGreaterThanOrEqual(short.start * 60);
+    expect(short.lunchEnd).toBeLessThanOrEqual(short.end * 60);
+    expect(adjustRosterRow(r, 'lunch', 0.6).lunchStart).toBe(r.lunchStart + 30);
+  });
+
+  test('an edit re-counts coverage, cost and the shift list', () => {
+    const r = day.roster[0];
+    const edited = applyRosterEdits(day, withRow(0, adjustRosterRow(r, 'end', -2)), s);
+    expect(sum(edited.plan.coverage)).toBe(sum(day.plan.coverage) - 2);
+    expect(edited.plan.totalShortUnits).toBe(day.plan.totalShortUnits + 2);
+    expect(edited.cost.total).toBeLessThan(day.cost.total);
+    expect(edited.roster[0].edited).toBe(true);
+    expect(edited.edits.changed).toBe(1);
+    expect(heads(edited.plan.shiftsFT) + heads(edited.plan.shiftsPT)).toBe(day.roster.length);
+    expect(edited.plan.shiftsFT.some((x) => x.end - x.start === r.hours - 2)).toBe(true);
+  });
+
+  test('stacking agents past the caps reports the violating intervals', () => {
+    const ft = day.roster.filter((r) => r.type === 'FT');
+    const at = ft[0].start;
+    const stacked = day.roster.map((r) => (r.type === 'FT' ? adjustRosterRow(r, 'move', at - r.start) : r));
+    const extra = { ...ft[0], agent: 'FT-extra' };
+    const edited = applyRosterEdits(day, [...stacked, extra], s);
+    const v = edited.edits.violations.find((x) => x.kind === 'FT');
+    expect(v).toMatchObject({ cap: 3, peak: ft.length + 1, start: at * 60 });
+  });
+
+  test('malformed rows throw PlanInputError', () => {
+    expect(() => applyRosterEdits(day, withRow(0, { ...day.roster[0], end: day.roster[0].start }), s)).toThrow(PlanInputError);
+  });
+});
+
+describe('wishes and shift swaps', () => {
+  const one = (h) => (h >= 9 && h < 17 ? 1 : 0);
+  const row = (agent, type, start, end) => ({
+    agent, type, template: `${type} ${end - start}h`, paidLunch: false, start, end, hours: end - start, lunchStart: null, lunchEnd: null, breaks: [],
+  });
+
+  test('preferred starts and days to avoid are parsed and checked', () => {
+    const r = parseEmployees('Ann,FT,,,,,07:00-09:30,Mon;2025-10-01\nBob,FT,,,,,9-8\nCid,FT,,,,,,Someday');
+    expect(r.employees).toHaveLength(1);
+    expect(r.employees[0]).toMatchObject({ prefer: { from: 7, to: 9.5 }, avoid: ['Monday', '2025-10-01'] });
+    expect(r.errors).toEqual(['Line 2: preferred start must look like 07:00-09:00', 'Line 3: unknown day to avoid "Someday"']);
+  });
+
+  test('the shift goes to whoever it suits, and the day reports how many wishes were met', () => {
+    const { employees } = parseEmployees('Ann,FT,,,,,06:00-07:00\nBob,FT,,,,,09:00-10:00\nCid,FT,,,,,,Mon');
+    const d = planDay(scheduleDay('2025-09-29', 'Monday', one), settings({ employees, capFT: '1' }));
+    expect(d.roster.map((r) => [r.agent, r.start])).toEqual([['Bob', 9]]);
+    expect(d.preferences).toMatchObject({ asked: 2, met: 2, score: 1 });
+    const moved = applyRosterEdits(d, [{ ...d.roster[0], start: 11, end: 19 }], settings({ employees, capFT: '1' }));
+    expect(moved.preferences).toMatchObject({ asked: 2, met: 1 });
+    expect(planDay(scheduleDay('2025-09-29', 'Monday', one), settings({ capFT: '1' })).preferences).toBeNull();
+  });
+
+  test('a swap between two people who can work each other\'s shift goes through', () => {
+    const { employees } = parseEmployees('Ann,FT\nBob,FT');
+    const s = settings({ employees, capFT: '2' });
+    const d = planDay(scheduleDay('2025-09-29', 'Monday', (h) => (h >= 6 && h < 20 ? 1 : 0)), s);
+    const [a, b] = d.roster;
+    const { roster, reasons } = swapShifts(d, a.agent, b.agent, s);
+    expect(reasons).toEqual([]);
+    expect(roster.map((r) => [r.agent, r.start])).toEqual([[a.agent, b.start], [b.agent, a.start]]);
+    expect(applyRosterEdits(d, roster, s).edits.changed).toBe(2);
+  });
+
+  test('a swap is refused outside someone\'s window or between FT and PT', () => {
+    const { employees } = parseEmployees('Ann,FT,06:00,14:00\nBob,FT\nPat,PT\nQuinn,PT');
+    const s = settings({ employees, capFT: '1', capPT: '1' });
+    const base = planDay(scheduleDay('2025-09-29', 'Monday', one), s);
+    const d = applyRosterEdits(base, [row('Ann', 'FT', 6, 14), row('Bob', 'FT', 14, 22), row('Pat', 'PT', 9, 13), row('Quinn', 'PT', 13, 17)], s);
+    expect(swapShifts(d, 'Ann', 'Bob', s).reasons).toEqual(['Ann is not available 14:00-22:00']);
+    const mixed = swapShifts(d, 'Bob', 'Quinn', s);
+    expect(mixed.reasons).toEqual(['Bob is FT and Quinn is PT: only shifts of the same type can be swapped']);
+    expect(mixed.roster).toBe(d.roster);
+    expect(swapShifts(d, 'Pat', 'Quinn', s).reasons).toEqual([]);
+    expect(swapShifts(d, 'Ann', 'Ann', s).reasons).toHaveLength(1);
+  });
+
+  test('a swap that moves a skill off its queue is refused', () => {
+    const { queues } = parseQueues('English,50\nSpanish,50');
+    const { employees } = parseEmployees('Ann,FT,,,,English\nBob,FT,,,,Spanish\nCid,FT,,,,English');
+    const s = settings({ employees, queues, capFT: '3' });
+    const base = planDay(scheduleDay('2025-09-29', 'Monday', (h) => (h >= 9 && h < 17 ? 2 : 0)), s);
+    const d = applyRosterEdits(base, [
+      { ...row('Ann', 'FT', 9, 13), skills: ['English'] }, { ...row('Bob', 'FT', 9, 17), skills: ['Spanish'] }, { ...row('Cid', 'FT', 13, 17), skills: ['English'] },
+    ], s);
+    expect(d.plan.totalShortUnits).toBe(0);
+    expect(swapShifts(d, 'Ann', 'Bob', s).reasons).toEqual(['coverage drops between 13:00 and 17:00']);
+  });
+});
+
+describe('intraday re-plan', () => {
+  const row = (agent, type, start, end, lunchStart = null) => ({
+    agent, type, template: `${type} ${end - start}h`, paidLunch: false, start, end, hours: end - start,
+    lunchStart, lunchEnd: lunchStart === null ? null : lunchStart + 30, breaks: [],
+  });
+  // a planned day (9-17 at `staff` agents) with its roster replaced by the given rows
+  const dayWith = (staff, rows, s) => {
+    const scheduleData = scheduleDay('2025-09-29', 'Monday', (h) => (h >= 9 && h < 17 ? staff(h) : 0));
+    return { scheduleData, day: applyRosterEdits(planDay(scheduleData, s), rows, s) };
+  };
+  const actuals = (scheduleData, hours, factor) => ({
+    rows: hours.map((h) => ({ hour: h, calls: scheduleData.data[h].CALLS * factor, asa: null, staff: null })),
+  });
+
+  test('calls so far scale the rest of the day and absences come off the roster from now', () => {
+    const s = settings({ capFT: '2', capPT: '2', lunchMinutes: '0', breakMinutes: '0' });
+    const { scheduleData, day } = dayWith(() => 2, [row('Ann', 'FT', 9, 17), row('Bob', 'FT', 9, 17)], s);
+    const r = replanIntraday(day, scheduleData, actuals(scheduleData, [9, 10], 1.5), s, { absent: ['Bob'] });
+    expect(r.now).toBe(11);
+    expect(r.ratio).toBeCloseTo(1.5);
+    expect(r.intervals[0]).toMatchObject({ index: 11, forecastCalls: 20, calls: 30, plannedRequired: 2, required: 3, planned: 2, absent: 1 });
+    expect(r.absent).toEqual([{ agent: 'Bob', lostHours: 6 }]);
+    expect(r.short).toMatchObject({ planned: 6, absent: 12 });
+    // two call-ins fill 11-15 up to capPT, the next two cover the rest
+    expect(r.fixes.map((f) => f.message)).toEqual([
+      'Call in Call-in 1 11:00-15:00', 'Call in Call-in 2 11:00-15:00', 'Call in Call-in 3 15:00-19:00', 'Call in Call-in 4 15:00-19:00',
+    ]);
+    expect(r.short.after).toBe(0);
+    const bob = r.roster.find((x) => x.agent === 'Bob');
+    expect([bob.start, bob.end]).toEqual([9, 11]);
+    expect(applyRosterEdits(day, r.roster, s).edits.violations).toEqual([]);
+    expect(() => replanIntraday(day, scheduleData, null, s, { now: 24 })).toThrow(PlanInputError);
+  });
+
+  test('with shrinkage the Erlang requirement stays grossed up and ASA counts agents net of it', () => {
+    const s = settings({ ahtSeconds: '300', requirementSource: 'erlang', shrinkagePct: '30', capFT: '20' });
+    const scheduleData = scheduleDay('2025-09-29', 'Monday', (h) => (h >= 8 && h < 20 ? 6 : 0));
+    const day = planDay(scheduleData, s);
+    const r = replanIntraday(day, scheduleData, null, s, { now: 10 });
+    expect(r.ratio).toBe(1);
+    expect(r.intervals.every((x) => x.required === x.plannedRequired)).toBe(true);
+    expect(r.intervals[2].required).toBeGreaterThan(day.erlang.required[12]);
+    // nobody absent: the ASA before any fix is the plan's own projection
+    expect(r.intervals[2].asaBefore).toBeCloseTo(day.service.byInterval[12].asa);
+  });
+
+  test('a shift runs on where the day is short, inside the employee\'s window', () => {
+    const s = settings({ capFT: '1', capPT: '0', lunchMinutes: '0' });
+    const { scheduleData, day } = dayWith(() => 1, [row('Ann', 'FT', 9, 15)], s);
+    const r = replanIntraday(day, scheduleData, null, s, { now: 10 });
+    expect(r.fixes).toEqual([{ kind: 'extend', agent: 'Ann', hours: 2, gain: 2, message: 'Extend Ann to 09:00-17:00 (+2h)' }]);
+    const { employees } = parseEmployees('Ann,FT,06:00,16:00');
+    const pooled = replanIntraday(day, scheduleData, null, { ...s, employees }, { now: 10 });
+    expect(pooled.fixes.map((f) => f.message)).toEqual(['Extend Ann to 09:00-16:00 (+1h)']);
+  });
+
+  test('a lunch not taken yet moves out of a short hour', () => {
+    const s = settings({ capFT: '2', lunchMinutes: '30' });
+    const { scheduleData, day } = dayWith((h) => (h < 13 ? 1 : 2), [row('Ann', 'FT', 9, 17, 14 * 60), row('Bob', 'FT', 9, 17)], s);
+    const r = replanIntraday(day, scheduleData, null, s, { now: 10, maxCallIns: 0, extendHours: 0 });
+    expect(r.fixes).toEqual([{ kind: 'lunch', agent: 'Ann', hours: 0, gain: 0.5, message: "Move Ann's lunch from 14:00 to 11:00" }]);
+    expect(r.short.after).toBe(0);
+  });
+
+  test('VTO goes to hours that are all surplus', () => {
+    const s = settings({ capFT: '2', lunchMinutes: '0' });
+    const { scheduleData, day } = dayWith(() => 1, [row('Ann', 'FT', 9, 17), row('Bob', 'FT', 12, 17)], s);
+    const r = replanIntraday(day, scheduleData, null, s, { now: 10 });
+    expect(r.fixes).toEqual([{ kind: 'vto', agent: 'Bob', hours: -5, gain: 0, message: 'Offer Bob VTO for the whole 12:00-17:00 shift' }]);
+    expect(r.roster.map((x) => x.agent)).toEqual(['Ann']);
+    expect(replanIntraday(day, scheduleData, null, s, { now: 10, vto: false }).fixes).toEqual([]);
+  });
+});
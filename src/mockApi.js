@@ -0,0 +1,148 @@
+// Offline stand-in for the Flask POST /schedule route. Same request and response shape, with synthetic
+// hourly CALLS, ASA and Staff that are repeatable for a given seed and date. Enable it with
+// REACT_APP_MOCK_API=true; REACT_APP_API_BASE is then not needed.
+//
+//   REACT_APP_MOCK_SEED        changes every curve (default 1)
+//   REACT_APP_MOCK_FAIL_DATES  comma-separated YYYY-MM-DD dates that answer 500
+//   REACT_APP_MOCK_DELAY_MS    simulated latency per request (default 150)
+
+export const MOCK_API = process.env.REACT_APP_MOCK_API === 'true';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const CALLS_FEATURES = ['Day', 'Month', 'Year', 'Hour', 'Is_Weekend'];
+const STAFF_FEATURES = ['Day', 'Month', 'Is_Weekend', 'Year', 'Hour', 'CALLS', 'ASA'];
+const AHT_SECONDS = 270;
+const OCCUPANCY = 0.85;
+
+// small seeded PRNG (mulberry32) so the same seed and date always give the same day
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hash(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) h = Math.imul(h ^ str.charCodeAt(i), 16777619);
+  return h >>> 0;
+}
+
+// 'YYYY-MM-DD' that is a real calendar day -> UTC Date, else null
+function parseDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const d = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== value ? null : d;
+}
+
+// intraday shape: quiet nights, a morning peak around 10:30 and a smaller afternoon one around 14:30
+const shape = (h) =>
+  0.04 + Math.exp(-((h - 10.5) ** 2) / 6) + 0.8 * Math.exp(-((h - 14.5) ** 2) / 8) + 0.15 * Math.exp(-((h - 19) ** 2) / 6);
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// one day of synthetic model output for a valid date and threshold
+function synthDay(dateISO, threshold, seed) {
+  const d = parseDate(dateISO);
+  const next = rng(hash(`${seed}:${dateISO}`));
+  const wd = d.getUTCDay();
+  const weekend = wd === 0 || wd === 6;
+  const day = d.getUTCDate();
+  const month = d.getUTCMonth() + 1;
+  const year = d.getUTCFullYear();
+  // daily volume: weekday pattern (Monday busiest), mild seasonality and a per-day wobble
+  const weekdayFactor = [0.55, 1.15, 1.05, 1.0, 0.98, 0.92, 0.6][wd];
+  const season = 1 + 0.1 * Math.cos(((month - 1) / 12) * 2 * Math.PI);
+  const volume = 900 * weekdayFactor * season * (0.92 + 0.16 * next());
+  const total = Array.from({ length: 24 }, (_, h) => shape(h)).reduce((s, v) => s + v, 0);
+  const peak = Math.max(...Array.from({ length: 24 }, (_, h) => shape(h))) / total * volume;
+  const label = `${month}/${day}/${year}`;
+
+  const data = Array.from({ length: 24 }, (_, h) => {
+    const calls = Math.max(0, (shape(h) / total) * volume * (0.9 + 0.2 * next()));
+    // predicted ASA climbs with load; the busiest hours run past a typical 3 minute target
+    const asa = Math.max(0.2, 0.8 + 3.2 * (calls / peak) ** 2 + (next() - 0.5) * 0.6);
+    // staff: workload at target occupancy, plus extra where predicted ASA is over the threshold
+    const workload = (calls * AHT_SECONDS) / 3600;
+    const over = Math.max(0, asa - threshold) / threshold;
+    const staff = calls > 0 ? Math.max(1, Math.ceil((workload / OCCUPANCY) * (1 + 0.3 * over))) : 0;
+    return {
+      ASA: round1(asa),
+      CALLS: round1(calls),
+      DateLabel: `${DAY_NAMES[wd]} ${label}`,
+      DateMDY: label,
+      Day: day,
+      DayName: DAY_NAMES[wd],
+      Hour: h,
+      Is_Weekend: weekend ? 1 : 0,
+      Month: month,
+      Staff: staff,
+      Year: year,
+    };
+  });
+
+  return {
+    data,
+    inputs: { ASA_Threshold_Min: threshold, Date: dateISO, Weekday: DAY_NAMES[wd] },
+    model_meta: { calls_model_features: CALLS_FEATURES, staff_model_features: STAFF_FEATURES, records: data.length },
+  };
+}
+
+// request body -> { status, data } the way the Flask route answers, errors as { error }
+export function mockSchedule(body, { seed = 1, failDates = [] } = {}) {
+  const date = body?.Date;
+  const threshold = body?.Threshold;
+  if (date === undefined || date === null || date === '') return { status: 400, data: { error: 'Date is required' } };
+  if (!parseDate(date)) return { status: 400, data: { error: 'Invalid Date, expected YYYY-MM-DD' } };
+  if (threshold === undefined || threshold === null || threshold === '') return { status: 400, data: { error: 'Threshold is required' } };
+  const thr = Number(threshold);
+  if (!Number.isFinite(thr) || thr <= 0) return { status: 400, data: { error: 'Threshold must be a positive number' } };
+  if (failDates.includes(date)) return { status: 500, data: { error: 'Internal server error' } };
+  return { status: 200, data: synthDay(date, thr, seed) };
+}
+
+function envOptions() {
+  return {
+    seed: process.env.REACT_APP_MOCK_SEED || 1,
+    failDates: (process.env.REACT_APP_MOCK_FAIL_DATES || '').split(',').map((d) => d.trim()).filter(Boolean),
+  };
+}
+
+// axios adapter: pass as { adapter: mockAdapter } and the request never leaves the browser. Non-2xx
+// answers reject with an error carrying .response, the way axios reports a real HTTP error. Kept free of
+// axios imports so tests can load this module without a browser build of axios.
+export function mockAdapter(config) {
+  const delay = Number(process.env.REACT_APP_MOCK_DELAY_MS ?? 150) || 0;
+  const method = (config.method || 'get').toUpperCase();
+  let result;
+  if (!/\/schedule$/.test(config.url || '')) result = { status: 404, data: { error: 'Not found' } };
+  else if (method !== 'POST') result = { status: 405, data: { error: 'Method not allowed' } };
+  else {
+    let body = config.data;
+    try {
+      if (typeof body === 'string') body = JSON.parse(body);
+      result = mockSchedule(body, envOptions());
+    } catch {
+      result = { status: 400, data: { error: 'Request body must be JSON' } };
+    }
+  }
+  const response = { data: result.data, status: result.status, statusText: String(result.status), headers: {}, config, request: null };
+  return new Promise((resolve, reject) => {
+    setTimeout(() => {
+      if (result.status >= 200 && result.status < 300) resolve(response);
+      else {
+        const err = new Error(`Request failed with status code ${result.status}`);
+        err.name = 'AxiosError';
+        err.code = result.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST';
+        err.isAxiosError = true;
+        err.config = config;
+        err.response = response;
+        reject(err);
+      }
+    }, delay);
+  });
+}
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { DEFAULT_SETTINGS } from './engine';
+import { UsageError, buildSettings, readSaved } from '../scripts/planArgs.mjs';
+
+const response = (date) => ({ data: [{ Hour: 0, CALLS: 1, ASA: 1, Staff: 1 }], inputs: { Date: date } });
+
+describe('buildSettings', () => {
+  test('flags and --set land on the form settings as strings', () => {
+    const s = buildSettings({ 'cap-ft': '12', 'pt-len-weekend': '6', set: ['ahtSeconds=240', 'weekRules=true', 'shrinkagePct=30'] });
+    expect(s).toMatchObject({ capFT: '12', ptLenWeekendOverride: true, ptLenWeekend: '6', ahtSeconds: '240', weekRules: true, shrinkagePct: '30' });
+    expect(s.strategy).toBe(DEFAULT_SETTINGS.strategy);
+  });
+
+  test('unknown settings and values the planner would refuse are usage errors', () => {
+    expect(() => buildSettings({ set: ['nope=1'] })).toThrow(new UsageError('--set nope=1: unknown setting'));
+    expect(() => buildSettings({ set: ['queues=English'] })).toThrow('--set queues=English: unknown setting');
+    expect(() => buildSettings({ strategy: 'bogus' })).toThrow(/^strategy must be one of auto/);
+    expect(() => buildSettings({ 'pt-len': '20' })).toThrow('ptLen must be a whole number of hours from 1 to 16');
+    expect(() => buildSettings({ 'cap-pt': '-1' })).toThrow('capPT must be a whole number >= 0');
+    expect(() => buildSettings({ set: ['intervalMinutes=45'] })).toThrow('intervalMinutes must be 60, 30 or 15');
+    expect(buildSettings({ 'pt-len': '5' }).ptLen).toBe('5');
+  });
+});
+
+describe('readSaved', () => {
+  let dir;
+  beforeAll(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-args-')); });
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = (name, json) => {
+    const f = path.join(dir, name);
+    fs.writeFileSync(f, typeof json === 'string' ? json : JSON.stringify(json));
+    return f;
+  };
+
+  test('every response in date order without a range, the named dates with one', () => {
+    const f = file('week.json', [response('2025-09-30'), response('2025-09-29'), { error: 'x' }]);
+    expect(readSaved(f, null).map((d) => d.inputs.Date)).toEqual(['2025-09-29', '2025-09-30']);
+    expect(readSaved(f, ['2025-09-30']).map((d) => d.inputs.Date)).toEqual(['2025-09-30']);
+    expect(readSaved(file('one.json', response('2025-10-01')), null)).toHaveLength(1);
+  });
+
+  test('missing files, broken JSON, no responses or a missing date are usage errors', () => {
+    const f = file('week2.json', [response('2025-09-29')]);
+    expect(() => readSaved(f, ['2025-09-29', '2025-10-02'])).toThrow(`${f} has no response for 2025-10-02`);
+    expect(() => readSaved(file('broken.json', '{'), null)).toThrow(UsageError);
+    expect(() => readSaved(path.join(dir, 'absent.json'), null)).toThrow(/^Cannot read /);
+    expect(() => readSaved(file('empty.json', []), null)).toThrow('holds no /schedule responses');
+  });
+});
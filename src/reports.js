@@ -0,0 +1,349 @@
+// reports.js
+// CSV layouts for the model output, shift plan and roster, built from planDay results. Each builder
+// returns the file's lines; the app downloads them and the batch CLI writes them to disk, so both
+// produce the same files. The XLSX workbook (sheet specs for xlsx.js) and the per-employee
+// iCalendar files are built here too.
+
+// full file name so Node can load this module for the batch CLI (scripts/plan.mjs)
+import { addDaysISO } from './engine.js';
+
+// minutes from the plan day's midnight -> "HH:MM", marked when it lands on a later calendar day
+export const hhmm = (mins) => {
+  const dayOffset = Math.floor(mins / 1440);
+  const m = mins - dayOffset * 1440;
+  const t = `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+  return dayOffset > 0 ? `${t} (+${dayOffset})` : t;
+};
+
+export const fmtBreaks = (breaks) => (breaks || []).map((b) => `${hhmm(b.start)}-${hhmm(b.end)}`).join('; ');
+
+// integers as is, everything else to 2 decimals (hourly means of sub-hour intervals)
+const num = (v) => (Number.isInteger(v) ? v : v.toFixed(2));
+
+// RFC 4180: quote a cell holding a comma, quote or line break (template and employee names are free text)
+const csvCell = (v) => {
+  const t = v === null || v === undefined ? '' : String(v);
+  return /[",\r\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+};
+const csvRow = (cells) => cells.map(csvCell).join(',');
+
+const ROSTER_HEAD = ['Employee','Type','Template','Start','End','EndDate','LunchStart','LunchEnd','LunchPaid','Breaks','Hours','PaidHours','Cost'];
+const rosterCells = (r, date) => [
+  r.agent, r.type, r.template,
+  hhmm(r.start * 60),
+  hhmm(r.end * 60),
+  date ? addDaysISO(date, Math.floor(r.end / 24)) : '',
+  r.lunchStart === null ? '' : hhmm(r.lunchStart),
+  r.lunchEnd === null ? '' : hhmm(r.lunchEnd),
+  r.lunchStart === null ? '' : r.paidLunch ? 'Yes' : 'No',
+  fmtBreaks(r.breaks),
+  r.hours,
+  r.paidHours,
+  r.cost === undefined ? '' : r.cost.toFixed(2),
+];
+
+// the /schedule rows as they came back, plus Staff grossed up for shrinkage when the planned day has it
+export function hourlyCSV(scheduleData, day = null) {
+  const shrunk = day?.shrinkage?.byRow;
+  const headers = ['DateLabel','DateMDY','Year','Month','Day','DayName','Hour','Is_Weekend','CALLS','ASA','Staff', ...(shrunk ? ['StaffWithShrinkage'] : [])];
+  const lines = [headers.join(',')];
+  scheduleData.data.forEach((r, i) => {
+    lines.push(
+      [
+        r.DateLabel, r.DateMDY, r.Year, r.Month, r.Day, r.DayName, r.Hour, r.Is_Weekend, r.CALLS, r.ASA, r.Staff, ...(shrunk ? [shrunk[i]] : [])
+      ].map((v) => (typeof v === 'string' ? `"${v.replace(/"/g, '""')}"` : v)).join(',')
+    );
+  });
+  return lines;
+}
+
+// limits, cost and service header, FT/PT shift blocks, then coverage per hour (and per interval)
+export function shiftPlanCSV(day) {
+  const p = day.plan;
+  const out = [];
+  out.push(`Capped full timers,${p.limits.capFT}`);
+  out.push(`Capped part timers,${p.limits.capPT}`);
+  out.push(`Total FT employees,${p.limits.maxFTShifts}`);
+  out.push(`Total PT employees,${p.limits.maxPTShifts}`);
+  if (day.cost) {
+    const c = day.cost;
+    out.push(`Labor cost,${c.total.toFixed(2)}`);
+    out.push(`Cost breakdown (base/night/weekend/overtime),${[c.base, c.night, c.weekend, c.overtime].map((v) => v.toFixed(2)).join('/')}`);
+  }
+  if (p.queues) {
+    p.queues.names.forEach((name, q) => {
+      out.push(csvRow([`Short units ${name}`, p.queues.shortage[q].reduce((sum, v) => sum + v, 0) / day.slotsPerHour]));
+    });
+  }
+  if (day.budget) {
+    out.push(`Daily budget,${day.budget.limit}`);
+    out.push(`Short units left uncovered for budget,${day.budget.units}`);
+  }
+  const sv = day.service;
+  // projected service columns (Erlang C); blank when no AHT is set
+  const asaCell = (sec) => (sec === Infinity ? 'overloaded' : (sec / 60).toFixed(2));
+  const svCells = (x) => (sv ? [asaCell(x.asa), (x.sl * 100).toFixed(1), (x.occupancy * 100).toFixed(1)] : []);
+  const svHead = sv ? ',ProjectedASA_Min,ServiceLevelPct,OccupancyPct' : '';
+  if (sv) {
+    out.push(`AHT seconds,${day.erlang.aht}`);
+    out.push(`Projected ASA (min),${asaCell(sv.daily.asa)}`);
+    out.push(`Service level within ${sv.slSec}s (%),${(sv.daily.sl * 100).toFixed(1)}`);
+    out.push(`Occupancy (%),${(sv.daily.occupancy * 100).toFixed(1)}`);
+  }
+  out.push('');
+  const shiftRow = (s) => csvRow([s.template, hhmm(s.start * 60), hhmm((s.end % 24) * 60), s.end >= 24 ? 'Yes' : 'No', s.count, s.end - s.start]);
+  out.push('Full-time shifts'); out.push('Template,Start,End,EndsNextDay,Agents,Hours');
+  p.shiftsFT.forEach((s) => out.push(shiftRow(s)));
+  out.push('');
+  out.push('Part-time shifts'); out.push('Template,Start,End,EndsNextDay,Agents,Hours');
+  p.shiftsPT.forEach((s) => out.push(shiftRow(s)));
+  out.push('');
+  // with shrinkage, the requirement before it and the share taken sit left of Required (grossed up)
+  const sh = day.shrinkage;
+  const shHead = sh ? 'RawRequired,ShrinkagePct,' : '';
+  const shCells = (raw, share) => (sh ? [num(raw), (share * 100).toFixed(1)] : []);
+  // hourly rollup: averages over the hour's intervals, so Short/Excess are agent-hours
+  const hr = day.hourly;
+  out.push('Coverage'); out.push(`Hour,${shHead}Required,Coverage,Short,Excess,OnPhone,NetShort${svHead}`);
+  for (let h = 0; h < 24; h++) {
+    out.push([h, ...shCells(sh?.hourly.rawRequired[h], sh?.hourly.shares[h]), num(hr.required[h]), num(hr.coverage[h]), num(hr.shortage[h]), num(hr.excess[h]),
+      hr.onPhone[h].toFixed(2), Math.max(0, hr.required[h] - hr.onPhone[h]).toFixed(2), ...svCells(sv?.hourly[h])].join(','));
+  }
+  if (day.interval < 60) {
+    out.push('');
+    out.push(`Coverage by ${day.interval}-minute interval`); out.push(`Interval,${shHead}Required,Coverage,Short,Excess,OnPhone,NetShort${svHead}`);
+    p.required.forEach((req, i) => {
+      const onPhone = day.onPhone[i];
+      out.push([hhmm(i * day.interval), ...shCells(sh?.rawRequired[i], sh?.shares[i]), req, p.coverage[i], p.shortage[i], p.excess[i],
+        onPhone.toFixed(2), Math.max(0, req - onPhone).toFixed(2), ...svCells(sv?.byInterval[i])].join(','));
+    });
+  }
+  // skill-based queues: what each queue needed, how many agents answered it and what was left
+  if (p.queues) {
+    const { names, required, coverage, shortage } = p.queues;
+    out.push('');
+    out.push('Coverage by queue');
+    out.push(csvRow(['Interval', ...names.flatMap((n) => [`Required ${n}`, `Coverage ${n}`, `Short ${n}`])]));
+    p.required.forEach((_, i) => {
+      out.push([hhmm(i * day.interval), ...names.flatMap((_n, q) => [required[q][i], coverage[q][i], shortage[q][i]])].join(','));
+    });
+  }
+  return out;
+}
+
+// one line per employee with lunch, breaks, paid hours and cost (and skills when planning queues)
+export function rosterCSV(day) {
+  if (!day.plan.queues) return [ROSTER_HEAD.join(','), ...day.roster.map((r) => csvRow(rosterCells(r, day.date)))];
+  return [
+    [...ROSTER_HEAD, 'Skills'].join(','),
+    ...day.roster.map((r) => csvRow([...rosterCells(r, day.date), (r.skills || day.plan.queues.names).join('; ')])),
+  ];
+}
+
+// every planned day: hourly coverage (with the requirement before shrinkage when any day has it), then
+// one summary line per day
+export function weekPlanCSV(dayPlans) {
+  const shrunk = dayPlans.some((d) => d.shrinkage);
+  const out = [['Date','Weekday','Hour', ...(shrunk ? ['RawRequired'] : []), 'Required','Coverage','Short','Excess'].join(',')];
+  dayPlans.forEach((d) => {
+    const hr = d.hourly;
+    const raw = d.shrinkage?.hourly.rawRequired ?? hr.required;
+    for (let h = 0; h < 24; h++) {
+      out.push([d.date, d.weekday, h, ...(shrunk ? [num(raw[h])] : []), num(hr.required[h]), num(hr.coverage[h]), num(hr.shortage[h]), num(hr.excess[h])].join(','));
+    }
+  });
+  out.push('');
+  out.push(['Date','Weekday','FT shifts','PT shifts','PT length','Short units','Hours short','Cost'].join(','));
+  dayPlans.forEach((d) => {
+    const list = (shifts) => shifts.map((s) => `${s.count}x ${s.template} ${hhmm(s.start * 60)}-${hhmm(s.end * 60)}`).join('; ');
+    const ft = list(d.plan.shiftsFT);
+    const pt = list(d.plan.shiftsPT);
+    out.push(csvRow([d.date, d.weekday, ft, pt, d.ptLenHours, d.plan.totalShortUnits, d.plan.hoursShort, d.cost ? d.cost.total.toFixed(2) : '']));
+  });
+  return out;
+}
+
+// every planned day's roster in one file, dated
+export function weekRosterCSV(dayPlans) {
+  const out = [['Date','Weekday',...ROSTER_HEAD].join(',')];
+  dayPlans.forEach((d) => {
+    d.roster.forEach((r) => out.push(csvRow([d.date, d.weekday, ...rosterCells(r, d.date)])));
+  });
+  return out;
+}
+
+// week rules (checkWeek output): one line per employee and violation, employees with none get one clean line
+export function weekRulesCSV(check) {
+  const out = ['Employee,Type,Days,Hours,WeekendDays,Date,Rule,Violation'];
+  for (const p of check.people) {
+    const head = [p.agent, p.type, p.days, num(p.hours), p.weekendDays];
+    if (!p.violations.length) out.push(csvRow([...head, '', '', '']));
+    for (const v of p.violations) out.push(csvRow([...head, v.date, v.rule, v.message]));
+  }
+  return out;
+}
+
+// ---------- XLSX workbook ----------
+// Hourly, Shift Plan, Coverage and Roster sheets for one planned day, as buildXlsx (xlsx.js) takes
+// them. Values the CSVs print as text stay numbers here; ASA over the threshold (model and
+// projected) and short intervals are highlighted.
+export function planWorkbook(day, scheduleData) {
+  const thr = scheduleData.inputs.ASA_Threshold_Min;
+  const head = (cells) => cells.map((v) => ({ v, style: 'header' }));
+  const dec = (v) => ({ v, style: 'decimal' });
+  const flag = (v, on) => ({ v, style: on ? (typeof v === 'number' ? 'highlightDecimal' : 'highlight') : 'decimal' });
+
+  const sh = day.shrinkage;
+  const hourly = {
+    name: 'Hourly',
+    header: 1,
+    widths: [22, 12, 7, 7, 6, 11, 6, 11, 10, 24, 8, ...(sh ? [20] : [])],
+    rows: [
+      head(['DateLabel', 'DateMDY', 'Year', 'Month', 'Day', 'DayName', 'Hour', 'Is_Weekend', 'CALLS', `ASA (min, threshold ${thr})`, 'Staff',
+        ...(sh ? ['StaffWithShrinkage'] : [])]),
+      ...scheduleData.data.map((r, i) => [
+        r.DateLabel, r.DateMDY, r.Year, r.Month, r.Day, r.DayName, r.Hour, r.Is_Weekend, dec(r.CALLS), flag(r.ASA, r.ASA > thr), r.Staff,
+        ...(sh ? [sh.byRow[i]] : []),
+      ]),
+    ],
+  };
+
+  const p = day.plan;
+  const sv = day.service;
+  const asaMin = (sec) => (sec === Infinity ? 'overloaded' : sec / 60);
+  const shiftRows = (title, shifts) => [
+    [],
+    [{ v: title, style: 'title' }],
+    head(['Template', 'Start', 'End', 'EndsNextDay', 'Agents', 'Hours']),
+    ...shifts.map((x) => [x.template, hhmm(x.start * 60), hhmm((x.end % 24) * 60), x.end >= 24 ? 'Yes' : 'No', x.count, x.end - x.start]),
+  ];
+  const plan = {
+    name: 'Shift Plan',
+    widths: [34, 12, 12, 12, 10, 10],
+    rows: [
+      [{ v: `Shift plan ${day.date} (${day.weekday})`, style: 'title' }],
+      ['ASA threshold (min)', thr],
+      ['Capped full timers', p.limits.capFT],
+      ['Capped part timers', p.limits.capPT],
+      ['Total FT employees', p.limits.maxFTShifts],
+      ['Total PT employees', p.limits.maxPTShifts],
+      ['Short agent-hours', flag(p.totalShortUnits, p.totalShortUnits > 0)],
+      ['Hours short', flag(p.hoursShort, p.hoursShort > 0)],
+      ...(day.cost ? [
+        ['Labor cost', { v: day.cost.total, style: 'money' }],
+        ...['base', 'night', 'weekend', 'overtime'].map((k) => [`  ${k}`, { v: day.cost[k], style: 'money' }]),
+      ] : []),
+      ...(day.budget ? [['Daily budget', { v: day.budget.limit, style: 'money' }], ['Short units left uncovered for budget', dec(day.budget.units)]] : []),
+      ...(sv ? [
+        ['AHT seconds', day.erlang.aht],
+        ['Projected ASA (min)', flag(asaMin(sv.daily.asa), sv.daily.asa > thr * 60)],
+        [`Service level within ${sv.slSec}s (%)`, dec(sv.daily.sl * 100)],
+        ['Occupancy (%)', dec(sv.daily.occupancy * 100)],
+      ] : []),
+      ...shiftRows('Full-time shifts', p.shiftsFT),
+      ...shiftRows('Part-time shifts', p.shiftsPT),
+    ],
+  };
+
+  const coverage = {
+    name: 'Coverage',
+    header: 1,
+    widths: [10, ...(sh ? [13, 14] : []), 10, 10, 8, 8, 10, 10, ...(sv ? [16, 16, 13] : [])],
+    rows: [
+      head(['Time', ...(sh ? ['RawRequired', 'ShrinkagePct'] : []), 'Required', 'Coverage', 'Short', 'Excess', 'OnPhone', 'NetShort',
+        ...(sv ? ['ProjectedASA_Min', 'ServiceLevelPct', 'OccupancyPct'] : [])]),
+      ...p.required.map((req, i) => {
+        const x = sv?.byInterval[i];
+        return [
+          hhmm(i * day.interval), ...(sh ? [sh.rawRequired[i], dec(sh.shares[i] * 100)] : []), req, p.coverage[i], flag(p.shortage[i], p.shortage[i] > 0), p.excess[i],
+          dec(day.onPhone[i]), dec(Math.max(0, req - day.onPhone[i])),
+          ...(x ? [flag(asaMin(x.asa), x.asa > thr * 60), dec(x.sl * 100), dec(x.occupancy * 100)] : []),
+        ];
+      }),
+    ],
+  };
+
+  // skills as in rosterCSV, when planning queues
+  const queues = day.plan.queues;
+  const roster = {
+    name: 'Roster',
+    header: 1,
+    widths: [16, 6, 16, 10, 10, 12, 11, 11, 10, 26, 7, 9, 10, ...(queues ? [24] : [])],
+    rows: [
+      head([...ROSTER_HEAD, ...(queues ? ['Skills'] : [])]),
+      ...day.roster.map((r) => {
+        const cells = rosterCells(r, day.date);
+        return [...cells.slice(0, -1), r.cost === undefined ? '' : { v: r.cost, style: 'money' },
+          ...(queues ? [(r.skills || queues.names).join('; ')] : [])];
+      }),
+    ],
+  };
+  return [hourly, plan, coverage, roster];
+}
+
+// ---------- iCalendar (one file per employee) ----------
+// Shift and lunch as events in floating local time: the calendar shows them at the call center's
+// clock times whatever time zone the agent's device is in. Breaks go in the shift's description.
+const icsText = (s) => String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+// lines longer than 75 octets of UTF-8 continue on the next line after a space, never inside a character
+const utf8Length = (ch) => {
+  const c = ch.codePointAt(0);
+  return c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4;
+};
+const icsFold = (line) => {
+  const parts = [''];
+  let room = 75;
+  for (const ch of line) {
+    const n = utf8Length(ch);
+    if (n > room) { parts.push(''); room = 74; }
+    parts[parts.length - 1] += ch;
+    room -= n;
+  }
+  return parts.join('\r\n ');
+};
+// minutes from the plan day's midnight -> YYYYMMDDTHHMMSS on the right calendar day
+const icsTime = (date, mins) => {
+  const day = addDaysISO(date, Math.floor(mins / 1440));
+  const t = hhmm(mins - Math.floor(mins / 1440) * 1440);
+  return `${day.replace(/-/g, '')}T${t.replace(':', '')}00`;
+};
+const icsStamp = (d) => d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const slug = (s) => String(s).replace(/[^A-Za-z0-9_-]+/g, '_');
+
+// every shift an employee works across the planned days -> [{ agent, fileName, text }], one .ics each.
+// Names that slug alike (Zoë, Zoé) get a numbered file name and event UIDs of their own.
+export function rosterCalendars(dayPlans, now = new Date()) {
+  const byAgent = new Map();
+  for (const d of dayPlans) {
+    if (!d) continue;
+    for (const r of d.roster) {
+      if (!byAgent.has(r.agent)) byAgent.set(r.agent, []);
+      byAgent.get(r.agent).push({ d, r });
+    }
+  }
+  const taken = new Set();
+  return [...byAgent].map(([agent, shifts]) => {
+    let base = slug(agent);
+    for (let n = 2; taken.has(base); n++) base = `${slug(agent)}_${n}`;
+    taken.add(base);
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//AI Schedule Recommender//Roster//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', `X-WR-CALNAME:${icsText(`Shifts ${agent}`)}`];
+    const event = (uid, start, end, summary, description) => {
+      lines.push('BEGIN:VEVENT', `UID:${uid}@ai-schedule-recommender`, `DTSTAMP:${icsStamp(now)}`, `DTSTART:${start}`, `DTEND:${end}`, `SUMMARY:${icsText(summary)}`);
+      if (description) lines.push(`DESCRIPTION:${icsText(description)}`);
+      lines.push('END:VEVENT');
+    };
+    for (const { d, r } of shifts) {
+      const id = `${d.date}-${base}`;
+      const notes = [
+        `Template ${r.template}`,
+        r.lunchStart === null ? 'No lunch' : `Lunch ${hhmm(r.lunchStart)}-${hhmm(r.lunchEnd)}${r.paidLunch ? ' (paid)' : ''}`,
+        r.breaks?.length ? `Breaks ${fmtBreaks(r.breaks)}` : '',
+        `Paid hours ${r.paidHours}`,
+      ].filter(Boolean).join('\n');
+      event(`${id}-shift`, icsTime(d.date, r.start * 60), icsTime(d.date, r.end * 60), `Shift ${r.template}`, notes);
+      if (r.lunchStart !== null) event(`${id}-lunch`, icsTime(d.date, r.lunchStart), icsTime(d.date, r.lunchEnd), 'Lunch', '');
+    }
+    lines.push('END:VCALENDAR');
+    return { agent, fileName: `${base}.ics`, text: `${lines.map(icsFold).join('\r\n')}\r\n` };
+  });
+}
@@ -0,0 +1,140 @@
+/**
+ * @jest-environment node
+ */
+import { planDay, DEFAULT_SETTINGS, DEFAULT_TEMPLATES } from './engine';
+import { hourlyCSV, shiftPlanCSV, rosterCSV, weekPlanCSV, weekRulesCSV, planWorkbook, rosterCalendars } from './reports';
+
+const day = (date, weekday) => ({
+  data: Array.from({ length: 24 }, (_, h) => ({
+    Hour: h, CALLS: h >= 8 && h < 18 ? 40 : 0, ASA: h === 12 ? 4.5 : 1, Staff: h >= 8 && h < 18 ? 3 : 0,
+    DateLabel: `${weekday} x`, DateMDY: 'x', Year: 2025, Month: 9, Day: 29, DayName: weekday, Is_Weekend: 0,
+  })),
+  inputs: { ASA_Threshold_Min: 3, Date: date, Weekday: weekday },
+  model_meta: { records: 24 },
+});
+const templates = DEFAULT_TEMPLATES.map((t) => (t.type === 'FT' ? { ...t, name: 'Day, "early"' } : t));
+const scheduleData = day('2025-09-29', 'Monday');
+const plan = planDay(scheduleData, { ...DEFAULT_SETTINGS, capFT: '3', capPT: '0', rateFT: '20', templates });
+
+describe('CSV escaping', () => {
+  test('names with commas and quotes are quoted', () => {
+    expect(rosterCSV(plan)[1]).toMatch(/^FT-1,FT,"Day, ""early""",/);
+    expect(shiftPlanCSV(plan)).toContain('Full-time shifts');
+    expect(shiftPlanCSV(plan).some((l) => l.startsWith('"Day, ""early""",'))).toBe(true);
+  });
+});
+
+describe('shifts ending at midnight', () => {
+  test('end the next day in the shift plan, the workbook and the roster alike', () => {
+    const late = planDay({ ...scheduleData, data: scheduleData.data.map((r) => ({ ...r, Staff: r.Hour >= 16 ? 1 : 0 })) },
+      { ...DEFAULT_SETTINGS, capFT: '1', capPT: '0' });
+    expect(shiftPlanCSV(late)).toContain('FT 8h,16:00,00:00,Yes,1,8');
+    const sheet = planWorkbook(late, scheduleData).find((s) => s.name === 'Shift Plan');
+    expect(sheet.rows.find((r) => r[0] === 'FT 8h').slice(1, 4)).toEqual(['16:00', '00:00', 'Yes']);
+    expect(rosterCSV(late)[1]).toContain(',16:00,00:00 (+1),2025-09-30,');
+  });
+});
+
+describe('queues in the CSVs', () => {
+  test('the roster CSV and sheet get a Skills column and the shift plan a coverage block per queue', () => {
+    const queues = [{ name: 'English', share: 0.5 }, { name: 'Spanish', share: 0.5 }];
+    const employees = [
+      { name: 'Ann', type: 'FT', earliest: 0, latest: 24, daysOff: [], skills: ['English'] },
+      { name: 'Cruz', type: 'FT', earliest: 0, latest: 24, daysOff: [], skills: ['English', 'Spanish'] },
+    ];
+    const q = planDay(scheduleData, { ...DEFAULT_SETTINGS, capFT: '2', queues, employees });
+    const roster = rosterCSV(q);
+    expect(roster[0].endsWith(',Cost,Skills')).toBe(true);
+    expect(roster.some((l) => l.startsWith('Cruz,') && l.endsWith(',English; Spanish'))).toBe(true);
+    const lines = shiftPlanCSV(q);
+    expect(lines).toContain('Interval,Required English,Coverage English,Short English,Required Spanish,Coverage Spanish,Short Spanish');
+    expect(lines.find((l) => l.startsWith('Short units Spanish,'))).toBeDefined();
+    expect(rosterCSV(plan)[0].endsWith(',Cost')).toBe(true);
+    const sheet = planWorkbook(q, scheduleData).find((s) => s.name === 'Roster');
+    expect(sheet.rows[0].map((c) => c.v).slice(-2)).toEqual(['Cost', 'Skills']);
+    expect(sheet.rows.find((r) => r[0] === 'Cruz').at(-1)).toBe('English; Spanish');
+    expect(planWorkbook(plan, scheduleData)[3].rows[0].at(-1).v).toBe('Cost');
+  });
+});
+
+describe('shrinkage in the CSVs', () => {
+  test('the requirement before shrinkage sits next to the grossed-up one', () => {
+    const shrunk = planDay(scheduleData, { ...DEFAULT_SETTINGS, capFT: '3', shrinkagePct: '25' });
+    const hourly = hourlyCSV(scheduleData, shrunk);
+    expect(hourly[0].endsWith(',Staff,StaffWithShrinkage')).toBe(true);
+    expect(hourly[9].endsWith(',3,4')).toBe(true);
+    expect(hourlyCSV(scheduleData)[0].endsWith(',Staff')).toBe(true);
+    const lines = shiftPlanCSV(shrunk);
+    expect(lines).toContain('Hour,RawRequired,ShrinkagePct,Required,Coverage,Short,Excess,OnPhone,NetShort');
+    expect(lines.find((l) => l.startsWith('8,3,25.0,4,'))).toBeDefined();
+    expect(weekPlanCSV([shrunk])[0]).toBe('Date,Weekday,Hour,RawRequired,Required,Coverage,Short,Excess');
+    expect(weekPlanCSV([plan])[0]).toBe('Date,Weekday,Hour,Required,Coverage,Short,Excess');
+  });
+});
+
+describe('weekRulesCSV', () => {
+  test('one line per violation, one clean line for everyone else', () => {
+    const check = {
+      people: [
+        { agent: 'Ann', type: 'FT', days: 5, hours: 40, weekendDays: 1, violations: [] },
+        { agent: 'Lee, Jr', type: 'PT', days: 1, hours: 7.5, weekendDays: 0, violations: [
+          { date: '2025-09-29', rule: 'break', message: '7.5h shift with no break (required over 6h)' },
+          { date: '2025-09-29', rule: 'hours', message: '7.5h in the week of 2025-09-29 (PT weeks are 10-20h)' },
+        ] },
+      ],
+    };
+    expect(weekRulesCSV(check)).toEqual([
+      'Employee,Type,Days,Hours,WeekendDays,Date,Rule,Violation',
+      'Ann,FT,5,40,1,,,',
+      '"Lee, Jr",PT,1,7.50,0,2025-09-29,break,7.5h shift with no break (required over 6h)',
+      '"Lee, Jr",PT,1,7.50,0,2025-09-29,hours,7.5h in the week of 2025-09-29 (PT weeks are 10-20h)',
+    ]);
+  });
+});
+
+describe('planWorkbook', () => {
+  test('the workbook has the four sheets and highlights ASA over the threshold', () => {
+    const sheets = planWorkbook(plan, scheduleData);
+    expect(sheets.map((s) => s.name)).toEqual(['Hourly', 'Shift Plan', 'Coverage', 'Roster']);
+    const asaCol = sheets[0].rows[0].findIndex((c) => c.v.startsWith('ASA'));
+    const styles = sheets[0].rows.slice(1).map((r) => r[asaCol].style);
+    expect(styles[12]).toBe('highlightDecimal');
+    expect(styles.filter((st) => st === 'highlightDecimal')).toHaveLength(1);
+    expect(sheets[3].rows[1][2]).toBe('Day, "early"');
+  });
+});
+
+describe('rosterCalendars', () => {
+  const now = new Date('2025-09-01T12:00:00Z');
+
+  test('one calendar per employee with a shift and a lunch event', () => {
+    const cals = rosterCalendars([plan], now);
+    expect(cals.map((c) => c.agent)).toEqual(plan.roster.map((r) => r.agent));
+    const r = plan.roster[0];
+    const text = cals[0].text;
+    expect(text.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(text).toContain(`DTSTART:20250929T${String(r.start).padStart(2, '0')}0000`);
+    expect(text).toContain('SUMMARY:Shift Day\\, "early"');
+    expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(text).toContain('DTSTAMP:20250901T120000Z');
+    expect(text.split('\r\n').every((l) => l.length <= 75)).toBe(true);
+  });
+
+  test('an employee working several days gets every shift in one file', () => {
+    const next = planDay(day('2025-09-30', 'Tuesday'), { ...DEFAULT_SETTINGS, capFT: '3', capPT: '0', templates });
+    const cals = rosterCalendars([plan, next], now);
+    expect(cals).toHaveLength(plan.roster.length);
+    expect(cals[0].text.match(/SUMMARY:Shift/g)).toHaveLength(2);
+    expect(cals[0].text).toContain('DTSTART:20250930T');
+  });
+
+  test('names that slug alike get files of their own and long lines fold by UTF-8 octets', () => {
+    const names = ['Zoë', 'Zoé', 'Ñ'.repeat(60)];
+    const cals = rosterCalendars([{ ...plan, roster: plan.roster.map((r, i) => ({ ...r, agent: names[i] })) }], now);
+    expect(cals.map((c) => c.fileName)).toEqual(['Zo_.ics', 'Zo__2.ics', '_.ics']);
+    expect(cals[1].text).toContain('UID:2025-09-29-Zo__2-shift@');
+    const lines = cals[2].text.split('\r\n');
+    expect(lines.every((l) => new TextEncoder().encode(l).length <= 75)).toBe(true);
+    expect(cals[2].text.replace(/\r\n /g, '')).toContain(`X-WR-CALNAME:Shifts ${names[2]}\r\n`);
+  });
+});
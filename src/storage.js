@@ -0,0 +1,125 @@
+// storage.js
+// Browser persistence: the form survives reloads (localStorage) and travels in the URL query string,
+// and /schedule responses are cached per source, date and threshold so a plan reopens without
+// calling the API again. Every storage call is guarded: private windows and full quotas just mean
+// nothing is remembered.
+
+import { DEFAULT_SETTINGS, settingError } from './engine';
+
+const FORM_KEY = 'asr.form.v1';
+const CACHE_PREFIX = 'asr.schedule.v1:';
+const CACHE_MAX = 200; // responses kept; a day is a few KB, well inside the usual 5 MB quota
+
+// every input the form holds, at its starting value; the form is stored and shared in this shape
+const { employees, queues, shrinkage, ...SETTINGS_FORM } = DEFAULT_SETTINGS;
+export const FORM_DEFAULTS = {
+  date: '', asaThreshold: '', rangeMode: false, endDate: '', ...SETTINGS_FORM, employeesText: '', queuesText: '', shrinkageText: '',
+};
+
+const read = (key) => {
+  try { return JSON.parse(window.localStorage.getItem(key)); } catch { return null; }
+};
+const write = (key, value) => {
+  try { window.localStorage.setItem(key, JSON.stringify(value)); return true; } catch { return false; }
+};
+
+// only known keys with the default's type and a value the planner accepts (settingError), so an old
+// or hand-edited value is dropped instead of breaking the form
+const isTemplate = (t) => t && t.id && typeof t.name === 'string' && (t.type === 'FT' || t.type === 'PT');
+function sanitize(f) {
+  const out = {};
+  for (const [k, def] of Object.entries(FORM_DEFAULTS)) {
+    const v = f?.[k];
+    if (v === undefined || v === null) continue;
+    if (k === 'templates') { if (Array.isArray(v) && v.length && v.every(isTemplate)) out[k] = v; }
+    else if (typeof def === 'boolean') out[k] = v === true || v === '1' || v === 'true';
+    else if (!settingError(k, v)) out[k] = String(v);
+  }
+  return out;
+}
+
+// ---------- form in the URL ----------
+// ?date=2025-09-29&asaThreshold=3&capFT=18 ... only values that differ from the defaults, templates as JSON
+export function formToQuery(form) {
+  const q = new URLSearchParams();
+  for (const [k, def] of Object.entries(FORM_DEFAULTS)) {
+    const v = form[k];
+    if (k === 'templates') { if (JSON.stringify(v) !== JSON.stringify(def)) q.set(k, JSON.stringify(v)); }
+    else if (typeof def === 'boolean') { if (!!v !== def) q.set(k, v ? '1' : '0'); }
+    else if (v !== def && v !== undefined) q.set(k, v);
+  }
+  return q.toString();
+}
+
+export function formFromQuery(search) {
+  const q = new URLSearchParams(search);
+  const raw = {};
+  for (const k of Object.keys(FORM_DEFAULTS)) {
+    if (!q.has(k)) continue;
+    if (k === 'templates') { try { raw[k] = JSON.parse(q.get(k)); } catch { /* ignore a broken list */ } }
+    else raw[k] = q.get(k);
+  }
+  return Object.keys(raw).length ? sanitize(raw) : null;
+}
+
+// ---------- form across reloads ----------
+// loaded: a plan was generated with this form, so reopening the page should show it again
+export function loadForm() {
+  const saved = read(FORM_KEY);
+  return saved ? { form: sanitize(saved.form), loaded: !!saved.loaded } : null;
+}
+
+export const saveForm = (form, loaded) => write(FORM_KEY, { form, loaded });
+
+// URL first (a shared link wins), then what this browser saved last. A link opens its plan when it
+// names a date and threshold.
+export function restoreForm() {
+  const fromUrl = formFromQuery(window.location.search);
+  if (fromUrl) return { form: { ...FORM_DEFAULTS, ...fromUrl }, loaded: !!(fromUrl.date && fromUrl.asaThreshold), source: 'url' };
+  const saved = loadForm();
+  return saved ? { form: { ...FORM_DEFAULTS, ...saved.form }, loaded: saved.loaded, source: 'storage' } : null;
+}
+
+export function replaceUrlQuery(form) {
+  const qs = formToQuery(form);
+  const { pathname, hash } = window.location;
+  try { window.history.replaceState(null, '', `${pathname}${qs ? `?${qs}` : ''}${hash}`); } catch { /* sandboxed frames */ }
+}
+
+// ---------- /schedule response cache ----------
+// source tells backends apart (API base URL, or 'mock') so synthetic data never answers for the real one
+export const scheduleCacheKey = (source, date, threshold) => `${CACHE_PREFIX}${source}|${date}|${parseFloat(threshold)}`;
+
+const cacheKeys = () => {
+  try {
+    return Object.keys(window.localStorage).filter((k) => k.startsWith(CACHE_PREFIX));
+  } catch {
+    return [];
+  }
+};
+
+export function readCachedSchedule(key) {
+  const hit = read(key);
+  return hit?.data?.data?.length ? hit.data : null;
+}
+
+// oldest responses go first when the cache is full or the browser runs out of room
+export function writeCachedSchedule(key, data) {
+  const evict = (n) => cacheKeys()
+    .map((k) => [k, read(k)?.savedAt ?? 0])
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, n)
+    .forEach(([k]) => { try { window.localStorage.removeItem(k); } catch { /* ignore */ } });
+  const over = cacheKeys().length - CACHE_MAX + 1;
+  if (over > 0) evict(over);
+  const entry = { savedAt: Date.now(), data };
+  if (write(key, entry)) return;
+  evict(Math.ceil(cacheKeys().length / 2));
+  write(key, entry);
+}
+
+export const scheduleCacheSize = () => cacheKeys().length;
+
+export function clearScheduleCache() {
+  for (const k of cacheKeys()) { try { window.localStorage.removeItem(k); } catch { /* ignore */ } }
+}
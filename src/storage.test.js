@@ -0,0 +1,79 @@
+import {
+  FORM_DEFAULTS, formToQuery, formFromQuery, saveForm, restoreForm,
+  scheduleCacheKey, readCachedSchedule, writeCachedSchedule, scheduleCacheSize, clearScheduleCache,
+} from './storage';
+
+const day = (date) => ({ data: [{ Hour: 0, CALLS: 1, ASA: 1, Staff: 1 }], inputs: { Date: date } });
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+describe('form in the URL', () => {
+  test('only values that differ from the defaults go in the query', () => {
+    const q = formToQuery({ ...FORM_DEFAULTS, date: '2025-09-29', asaThreshold: '3', rangeMode: true });
+    expect(q).toBe('date=2025-09-29&asaThreshold=3&rangeMode=1');
+    expect(formToQuery(FORM_DEFAULTS)).toBe('');
+  });
+
+  test('round trips templates and booleans', () => {
+    const templates = [{ id: 'x', name: 'Early', type: 'FT', len: 8, earliest: 6, latest: 10, cap: '' }];
+    const form = { ...FORM_DEFAULTS, capFT: '12', overnight: true, templates };
+    expect(formFromQuery(`?${formToQuery(form)}`)).toEqual({ capFT: '12', overnight: true, templates });
+  });
+
+  test('drops unknown keys and broken template lists', () => {
+    expect(formFromQuery('?nope=1&templates=%5Bbad')).toBeNull();
+    expect(formFromQuery('?capPT=4&templates=%5B%5D')).toEqual({ capPT: '4' });
+  });
+
+  test('drops values the planner would refuse', () => {
+    expect(formFromQuery('?strategy=bogus&intervalMinutes=45&ptLen=abc&capFT=3')).toEqual({ capFT: '3' });
+    expect(formFromQuery('?ptLen=20&capFT=-1&strategy=optimal')).toEqual({ strategy: 'optimal' });
+  });
+});
+
+describe('restoreForm', () => {
+  test('a link wins over the saved form and opens its plan when it names a date and threshold', () => {
+    saveForm({ ...FORM_DEFAULTS, capFT: '9' }, true);
+    window.history.replaceState(null, '', '/?date=2025-10-01&asaThreshold=2');
+    const r = restoreForm();
+    expect(r.source).toBe('url');
+    expect(r.loaded).toBe(true);
+    expect(r.form.capFT).toBe('');
+    expect(r.form.date).toBe('2025-10-01');
+  });
+
+  test('a saved form with a bad value keeps the default for it', () => {
+    saveForm({ ...FORM_DEFAULTS, intervalMinutes: '45', capFT: '9' }, true);
+    expect(restoreForm().form).toEqual({ ...FORM_DEFAULTS, capFT: '9' });
+  });
+
+  test('falls back to the saved form', () => {
+    expect(restoreForm()).toBeNull();
+    saveForm({ ...FORM_DEFAULTS, capFT: '9' }, false);
+    const r = restoreForm();
+    expect(r).toMatchObject({ source: 'storage', loaded: false });
+    expect(r.form).toEqual({ ...FORM_DEFAULTS, capFT: '9' });
+  });
+});
+
+describe('schedule cache', () => {
+  test('keys by source, date and threshold', () => {
+    const key = scheduleCacheKey('mock', '2025-09-29', '3');
+    writeCachedSchedule(key, day('2025-09-29'));
+    expect(readCachedSchedule(key)).toEqual(day('2025-09-29'));
+    expect(readCachedSchedule(scheduleCacheKey('mock', '2025-09-29', '2'))).toBeNull();
+    expect(readCachedSchedule(scheduleCacheKey('http://api', '2025-09-29', '3'))).toBeNull();
+    expect(scheduleCacheSize()).toBe(1);
+  });
+
+  test('clearing leaves the saved form alone', () => {
+    saveForm({ ...FORM_DEFAULTS, capFT: '9' }, false);
+    writeCachedSchedule(scheduleCacheKey('mock', '2025-09-29', 3), day('2025-09-29'));
+    clearScheduleCache();
+    expect(scheduleCacheSize()).toBe(0);
+    expect(restoreForm().form.capFT).toBe('9');
+  });
+});
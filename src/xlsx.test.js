@@ -0,0 +1,88 @@
+/**
+ * @jest-environment node
+ */
+import { buildXlsx, zipFiles, crc32 } from './xlsx';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+// zip entries by name, read back from the central directory
+function unzip(bytes) {
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  const out = {};
+  for (let i = 0; i < count; i++) {
+    const size = view.getUint32(at + 24, true);
+    const nameLen = view.getUint16(at + 28, true);
+    const offset = view.getUint32(at + 42, true);
+    const name = text(bytes.slice(at + 46, at + 46 + nameLen));
+    const start = offset + 30 + view.getUint16(offset + 26, true);
+    out[name] = { crc: view.getUint32(at + 16, true), flags: view.getUint16(at + 8, true), offset, data: bytes.slice(start, start + size) };
+    at += 46 + nameLen;
+  }
+  return out;
+}
+
+describe('crc32', () => {
+  test('known check values', () => {
+    expect(crc32(new Uint8Array(0))).toBe(0);
+    expect(crc32(new TextEncoder().encode('hello'))).toBe(0x3610a686);
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+});
+
+describe('zipFiles', () => {
+  test('stored entries read back with their checksums', () => {
+    const files = unzip(zipFiles([{ name: 'a.txt', data: 'héllo' }, { name: 'b.bin', data: new Uint8Array([1, 2, 3]) }]));
+    expect(Object.keys(files)).toEqual(['a.txt', 'b.bin']);
+    expect(text(files['a.txt'].data)).toBe('héllo');
+    expect(files['b.bin'].crc).toBe(crc32(new Uint8Array([1, 2, 3])));
+  });
+
+  test('the central directory points at every local header and the end record adds it up', () => {
+    const bytes = zipFiles([{ name: 'één.ics', data: 'x' }, { name: 'b.txt', data: '' }], new Date(2025, 8, 29, 14, 30, 10));
+    const view = new DataView(bytes.buffer);
+    const files = unzip(bytes);
+    expect(Object.keys(files)).toEqual(['één.ics', 'b.txt']);
+    for (const f of Object.values(files)) {
+      expect(view.getUint32(f.offset, true)).toBe(0x04034b50);
+      expect(f.flags).toBe(0x0800); // names are UTF-8
+    }
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 8, true)).toBe(2);
+    const dirSize = view.getUint32(end + 12, true);
+    const dirStart = view.getUint32(end + 16, true);
+    expect(dirStart + dirSize).toBe(end);
+    expect(view.getUint32(dirStart, true)).toBe(0x02014b50);
+    // DOS date and time: 2025-09-29 14:30:10
+    expect(view.getUint16(dirStart + 12, true)).toBe((14 << 11) | (30 << 5) | 5);
+    expect(view.getUint16(dirStart + 14, true)).toBe(((2025 - 1980) << 9) | (9 << 5) | 29);
+  });
+});
+
+describe('buildXlsx', () => {
+  const sheets = [
+    { name: "Ann's <plan>", header: 1, rows: [[{ v: 'Name', style: 'header' }, 'Cost'], ['R&D "night"', { v: 12.5, style: 'money' }], ['', null]] },
+    { name: 'a/b[c]', rows: [['x']] },
+  ];
+  const files = unzip(buildXlsx(sheets));
+
+  test('cell text and sheet names are escaped', () => {
+    const sheet = text(files['xl/worksheets/sheet1.xml'].data);
+    expect(sheet).toContain('<t xml:space="preserve">R&amp;D &quot;night&quot;</t>');
+    expect(sheet).toContain('<c r="B2" s="4"><v>12.5</v></c>');
+    expect(sheet).toContain('<row r="3"></row>');
+    const workbook = text(files['xl/workbook.xml'].data);
+    expect(workbook).toContain('<sheet name="Ann\'s &lt;plan&gt;" sheetId="1" r:id="rId1"/>');
+    expect(workbook).toContain('<sheet name="a b c " sheetId="2" r:id="rId2"/>');
+  });
+
+  test('the filter range quotes the sheet name with apostrophes doubled', () => {
+    const workbook = text(files['xl/workbook.xml'].data);
+    expect(workbook).toContain(`localSheetId="0" hidden="1">'Ann''s &lt;plan&gt;'!$A$1:$B$3</definedName>`);
+    expect(workbook).not.toContain('localSheetId="1"');
+    expect(text(files['xl/worksheets/sheet1.xml'].data)).toContain('<autoFilter ref="A1:B3"/>');
+  });
+});